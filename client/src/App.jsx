@@ -1,8 +1,15 @@
 import React, { useState, useEffect, useMemo, useRef, useCallback } from 'react';
+import { version as APP_VERSION } from '../package.json';
 
 // --- CONFIGURATION CONSTANTS (Easily modifiable) ---
 const MAX_STORES_PER_ITEM = 10;
 const MAX_REUSABLE_STORES = 50;
+const MAX_PRICE_HISTORY_PER_STORE = 50;
+const RUNNING_LOW_AT_FRACTION = 0.75; // Share of the repurchase interval after which a stocked item counts as Running Low
+const STATUS_DECAY_CHECK_MS = 60 * 60 * 1000; // Re-evaluate predicted statuses hourly while the app is open
+const MAX_TRIP_COMBINATIONS = 20000; // Above this, the trip planner switches from exhaustive search to greedy
+const MAX_UNDO_HISTORY = 50;
+const UNDO_SNACKBAR_MS = 6000;
 const DEFAULT_CATEGORIES = ['Produce', 'Dairy', 'Meat', 'Pantry', 'Frozen', 'Household', 'Snacks', 'Other'];
 const STATUS_OPTIONS = [
     { value: 'Depleted', label: 'Depleted', color: 'bg-red-600', dot: 'bg-red-400' },
@@ -10,24 +17,290 @@ const STATUS_OPTIONS = [
     { value: 'Home Stocked', label: 'Home Stocked', color: 'bg-green-600', dot: 'bg-green-400' },
 ];
 const STATUS_CYCLE = ['Depleted', 'Running Low', 'Home Stocked'];
+// Package units; `toBase` converts to the dimension's base unit (grams, millilitres, pieces)
+const UNIT_OPTIONS = [
+    { value: 'oz', label: 'oz', dimension: 'weight', toBase: 28.349523125 },
+    { value: 'lb', label: 'lb', dimension: 'weight', toBase: 453.59237 },
+    { value: 'g', label: 'g', dimension: 'weight', toBase: 1 },
+    { value: 'kg', label: 'kg', dimension: 'weight', toBase: 1000 },
+    { value: 'ml', label: 'mL', dimension: 'volume', toBase: 1 },
+    { value: 'L', label: 'L', dimension: 'volume', toBase: 1000 },
+    { value: 'count', label: 'count', dimension: 'count', toBase: 1 },
+];
+// Unit prices are always displayed per one of these units, so every store is compared alike
+const UNIT_PRICE_DISPLAY_UNITS = { weight: 'oz', volume: 'L', count: 'count' };
 
 // Initial data source is now empty, as data will be loaded from IndexedDB
 const initialItems = [];
 const initialStores = [];
 const initialReceipts = [];
 
-// --- INDEXEDDB UTILITIES (MODIFIED) ---
+// --- INDEXEDDB UTILITIES (MODIFIED: versioned migrations) ---
 const DB_NAME = 'GroceryDB';
-const DB_VERSION = 1;
 const ITEM_STORE = 'items';
 const STORE_STORE = 'stores';
 const RECEIPT_STORE = 'receipts';
+const CATALOG_STORE = 'catalog';
+const SETTINGS_STORE = 'settings';
+const SNAPSHOT_STORE = 'snapshots';
+const SNAPSHOT_SUMMARY_STORE = 'snapshotSummaries';
+const LEDGER_STORE = 'ledgers';
+
+// Record transforms per upgrade transaction: the pass walking its object store and those waiting their turn
+const transformQueues = new WeakMap();
+
+const runNextTransform = (transaction, queue) => {
+    const next = queue.pending.shift();
+    if (!next) {
+        queue.running = false;
+        queue.callbacks.splice(0).forEach(callback => callback());
+        return;
+    }
+    queue.running = true;
+    const { storeName, transform } = next;
+    transaction.objectStore(storeName).openCursor().onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) {
+            runNextTransform(transaction, queue);
+            return;
+        }
+        const updated = transform(cursor.value);
+        if (updated !== cursor.value) cursor.update(updated);
+        cursor.continue();
+    };
+};
+
+/**
+ * Applies `transform` to every record of an object store inside an upgrade transaction.
+ * Records for which the transform returns the same object are left untouched. Passes run one
+ * after another in the order they were started, so each step sees the records the earlier
+ * steps wrote; two cursors rewriting the same records at once would overwrite each other.
+ * @param {IDBTransaction} transaction - The versionchange transaction.
+ * @param {string} storeName - Name of the object store.
+ * @param {function} transform - Receives a record, returns the (possibly new) record.
+ */
+const transformRecords = (transaction, storeName, transform) => {
+    const queue = transformQueues.get(transaction) || { running: false, pending: [], callbacks: [] };
+    transformQueues.set(transaction, queue);
+    queue.pending.push({ storeName, transform });
+    if (!queue.running) runNextTransform(transaction, queue);
+};
+
+/**
+ * Calls `callback` once the record transforms of earlier migration steps have finished, including
+ * those a step starts from a request callback (v7 does, after loading the stores).
+ * @param {IDBTransaction} transaction - The versionchange transaction.
+ * @param {function} callback - Runs while the transaction is still active.
+ */
+const afterEarlierTransforms = (transaction, callback) => {
+    // Queued behind the earlier steps' requests, so their callbacks have run when this one succeeds
+    transaction.objectStore(ITEM_STORE).count().onsuccess = () => {
+        const queue = transformQueues.get(transaction);
+        if (queue && queue.running) queue.callbacks.push(callback);
+        else callback();
+    };
+};
+
+const ensureIndex = (objectStore, indexName, keyPath, options = { unique: false }) => {
+    if (!objectStore.indexNames.contains(indexName)) {
+        objectStore.createIndex(indexName, keyPath, options);
+    }
+};
+
+/**
+ * Seeds `item.priceHistory` the way withPriceHistory() did when price history shipped: one entry per
+ * store price, keyed by store name only, at most 50 per store. Released upgrade steps use this frozen
+ * copy so they keep producing the same records whatever withPriceHistory() later learns.
+ * @param {object} item - Item without a price history.
+ * @param {string} date - ISO timestamp for the seeded entries.
+ */
+const seedReleasedPriceHistory = (item, date) => {
+    const history = [];
+    (item.stores || []).forEach(({ storeName, price }) => {
+        const numericPrice = Number(price);
+        if (!storeName || !(numericPrice > 0)) return;
+        const last = [...history].reverse().find(entry => entry.storeName === storeName);
+        if (!last || last.price !== numericPrice) history.push({ storeName, price: numericPrice, date });
+    });
+
+    const perStoreCount = {};
+    const trimmed = [];
+    for (let i = history.length - 1; i >= 0; i--) {
+        const entry = history[i];
+        perStoreCount[entry.storeName] = (perStoreCount[entry.storeName] || 0) + 1;
+        if (perStoreCount[entry.storeName] <= 50) trimmed.unshift(entry);
+    }
+    return { ...item, priceHistory: trimmed };
+};
+
+/**
+ * Ordered schema migrations. Each step runs once, inside the upgrade transaction, when the
+ * stored database version is lower than its `version`. Never edit a released step: add a new one.
+ */
+const DB_MIGRATIONS = [
+    {
+        version: 1,
+        description: "Create 'items', 'stores' and 'receipts' object stores",
+        migrate: (db) => {
+            if (!db.objectStoreNames.contains(ITEM_STORE)) db.createObjectStore(ITEM_STORE, { keyPath: 'id' });
+            if (!db.objectStoreNames.contains(STORE_STORE)) db.createObjectStore(STORE_STORE, { keyPath: 'id' });
+            if (!db.objectStoreNames.contains(RECEIPT_STORE)) db.createObjectStore(RECEIPT_STORE, { keyPath: 'id' });
+        },
+    },
+    {
+        version: 2,
+        description: "Create the 'catalog' object store keyed by normalized barcode",
+        migrate: (db) => {
+            if (!db.objectStoreNames.contains(CATALOG_STORE)) db.createObjectStore(CATALOG_STORE, { keyPath: 'barcode' });
+        },
+    },
+    {
+        version: 3,
+        description: "Normalize item fields and add barcode/category/status/timestamp indexes",
+        migrate: (db, transaction) => {
+            // Records missing an indexed field are skipped by the index, so backfill them first
+            transformRecords(transaction, ITEM_STORE, (item) => {
+                const normalized = {
+                    ...item,
+                    barcode: typeof item.barcode === 'string' ? item.barcode : String(item.barcode || ''),
+                    category: item.category || DEFAULT_CATEGORIES[DEFAULT_CATEGORIES.length - 1],
+                    status: STATUS_CYCLE.includes(item.status) ? item.status : STATUS_CYCLE[0],
+                    quantity: Math.max(1, Number(item.quantity) || 1),
+                };
+                const changed = Object.keys(normalized).some(key => normalized[key] !== item[key]);
+                return changed ? normalized : item;
+            });
+
+            const itemStore = transaction.objectStore(ITEM_STORE);
+            ensureIndex(itemStore, 'barcode', 'barcode');
+            ensureIndex(itemStore, 'category', 'category');
+            ensureIndex(itemStore, 'status', 'status');
+            ensureIndex(transaction.objectStore(RECEIPT_STORE), 'timestamp', 'timestamp');
+        },
+    },
+    {
+        version: 4,
+        description: "Seed per-store price history from current item prices",
+        migrate: (db, transaction) => {
+            const seededAt = new Date().toISOString();
+            transformRecords(transaction, ITEM_STORE, (item) => (
+                Array.isArray(item.priceHistory) ? item : seedReleasedPriceHistory(item, seededAt)
+            ));
+        },
+    },
+    {
+        version: 5,
+        description: "Create the 'settings' key/value object store (budgets, preferences)",
+        migrate: (db) => {
+            if (!db.objectStoreNames.contains(SETTINGS_STORE)) db.createObjectStore(SETTINGS_STORE, { keyPath: 'key' });
+        },
+    },
+    {
+        version: 6,
+        description: "Create the 'snapshots' object store for point-in-time restore",
+        migrate: (db) => {
+            if (!db.objectStoreNames.contains(SNAPSHOT_STORE)) {
+                db.createObjectStore(SNAPSHOT_STORE, { keyPath: 'id' }).createIndex('createdAt', 'createdAt');
+            }
+        },
+    },
+    {
+        version: 7,
+        description: "Reference stores by id from item prices, price history and receipt lines",
+        migrate: (db, transaction) => {
+            const storeStore = transaction.objectStore(STORE_STORE);
+            storeStore.getAll().onsuccess = (event) => {
+                const storesByName = new Map((event.target.result || []).map(store => [store.name.toLowerCase(), store]));
+                // Prices pointing at a deleted store get the store back, so no price is left orphaned
+                const findStore = (name, createMissing) => {
+                    if (!name || name === 'N/A') return null;
+                    let store = storesByName.get(name.toLowerCase());
+                    if (!store && createMissing) {
+                        store = { id: crypto.randomUUID(), name };
+                        storesByName.set(name.toLowerCase(), store);
+                        storeStore.add(store);
+                    }
+                    return store || null;
+                };
+                // Queued behind the v3/v4 passes, so the price history v4 seeds is there to link
+                transformRecords(transaction, ITEM_STORE, (item) => ({
+                    ...item,
+                    stores: (item.stores || []).map(price => {
+                        const store = findStore(price.storeName, true);
+                        return store ? { ...price, storeId: store.id, storeName: store.name } : price;
+                    }),
+                    priceHistory: (item.priceHistory || []).map(entry => {
+                        const store = findStore(entry.storeName, false);
+                        return store ? { ...entry, storeId: store.id, storeName: store.name } : entry;
+                    }),
+                }));
+                transformRecords(transaction, RECEIPT_STORE, (receipt) => ({
+                    ...receipt,
+                    items: (receipt.items || []).map(line => {
+                        const store = findStore(line.cheapestStore, false);
+                        return store ? { ...line, cheapestStoreId: store.id } : line;
+                    }),
+                }));
+            };
+        },
+    },
+    {
+        version: 8,
+        description: "Create the 'ledgers' object store and move existing data into the default ledger",
+        migrate: (db, transaction) => {
+            if (!db.objectStoreNames.contains(LEDGER_STORE)) db.createObjectStore(LEDGER_STORE, { keyPath: 'id' });
+            transaction.objectStore(LEDGER_STORE).put({ ...DEFAULT_LEDGER, createdAt: new Date().toISOString() });
+
+            afterEarlierTransforms(transaction, () => {
+                [ITEM_STORE, STORE_STORE, RECEIPT_STORE, SNAPSHOT_STORE].forEach(storeName => {
+                    transformRecords(transaction, storeName, (record) => (record.ledgerId ? record : { ...record, ledgerId: DEFAULT_LEDGER.id }));
+                    ensureIndex(transaction.objectStore(storeName), 'ledgerId', 'ledgerId');
+                });
+            });
+
+            // Budgets and categories become per-ledger settings
+            const settingsStore = transaction.objectStore(SETTINGS_STORE);
+            LEDGER_SETTING_KEYS.forEach(key => {
+                settingsStore.get(key).onsuccess = (event) => {
+                    const record = event.target.result;
+                    if (!record) return;
+                    settingsStore.put({ key: ledgerSettingKey(DEFAULT_LEDGER.id, key), value: record.value });
+                    settingsStore.delete(key);
+                };
+            });
+        },
+    },
+    {
+        version: 9,
+        description: "Create the 'snapshotSummaries' object store so listing snapshots doesn't read their data",
+        migrate: (db, transaction) => {
+            const summaryStore = db.objectStoreNames.contains(SNAPSHOT_SUMMARY_STORE)
+                ? transaction.objectStore(SNAPSHOT_SUMMARY_STORE)
+                : db.createObjectStore(SNAPSHOT_SUMMARY_STORE, { keyPath: 'id' });
+            ensureIndex(summaryStore, 'ledgerId', 'ledgerId');
+            // Queued behind v8's pass, so the summaries carry the ledger id
+            afterEarlierTransforms(transaction, () => {
+                transformRecords(transaction, SNAPSHOT_STORE, (snapshot) => {
+                    const { data: _data, ...summary } = snapshot;
+                    summaryStore.put(summary);
+                    return snapshot;
+                });
+            });
+        },
+    },
+];
+const DB_VERSION = DB_MIGRATIONS[DB_MIGRATIONS.length - 1].version;
+
+// The connection is opened once and shared by every transaction
+let dbConnectionPromise = null;
 
 /**
- * Opens the IndexedDB connection and initializes object stores if needed.
+ * Opens the IndexedDB connection and runs any pending schema migrations.
  */
 const openDB = () => {
-    return new Promise((resolve, reject) => {
+    if (dbConnectionPromise) return dbConnectionPromise;
+
+    dbConnectionPromise = new Promise((resolve, reject) => {
         if (!window.indexedDB) {
             console.error("IndexedDB not supported.");
             reject("IndexedDB not supported.");
@@ -38,29 +311,39 @@ const openDB = () => {
 
         request.onupgradeneeded = (event) => {
             const db = event.target.result;
-            // Create the 'items' object store with 'id' as the key path
-            if (!db.objectStoreNames.contains(ITEM_STORE)) {
-                db.createObjectStore(ITEM_STORE, { keyPath: 'id' });
-            }
-            // Create the 'stores' object store with 'id' as the key path
-            if (!db.objectStoreNames.contains(STORE_STORE)) {
-                db.createObjectStore(STORE_STORE, { keyPath: 'id' });
-            }
-            // Create the 'receipts' object store with 'id' as the key path
-            if (!db.objectStoreNames.contains(RECEIPT_STORE)) {
-                db.createObjectStore(RECEIPT_STORE, { keyPath: 'id' });
-            }
+            const transaction = event.target.transaction;
+            const fromVersion = event.oldVersion || 0;
+
+            DB_MIGRATIONS
+                .filter(migration => migration.version > fromVersion)
+                .forEach(migration => {
+                    console.log(`[DB MIGRATION] v${migration.version}: ${migration.description}`);
+                    migration.migrate(db, transaction);
+                });
         };
 
         request.onsuccess = (event) => {
-            resolve(event.target.result);
+            const db = event.target.result;
+            // Let a newer version of the app (e.g. in another tab) upgrade the schema
+            db.onversionchange = () => {
+                db.close();
+                dbConnectionPromise = null;
+            };
+            resolve(db);
+        };
+
+        request.onblocked = () => {
+            console.warn("Database upgrade blocked: close other tabs running an older version of the app.");
         };
 
         request.onerror = (event) => {
             console.error("Database error: ", event.target.errorCode);
+            dbConnectionPromise = null;
             reject(event.target.error);
         };
     });
+
+    return dbConnectionPromise;
 };
 
 /**
@@ -91,10 +374,11 @@ const executeDBTransaction = (storeName, mode, callback) => {
 };
 
 // --- CRUD Operations for Items (IndexedDB) ---
+// Items and receipts belong to one ledger; stores belong to the ledger that owns the store list
 
-const loadAllItemsDB = () => new Promise(async (resolve) => {
+const loadAllItemsDB = (ledgerId) => new Promise(async (resolve) => {
     await executeDBTransaction(ITEM_STORE, 'readonly', (store) => {
-        const request = store.getAll();
+        const request = store.index('ledgerId').getAll(ledgerId);
         request.onsuccess = (event) => resolve(event.target.result || []);
         request.onerror = () => resolve([]); // Return empty array on read error
     });
@@ -103,25 +387,26 @@ const loadAllItemsDB = () => new Promise(async (resolve) => {
 const addItemDB = (item) => executeDBTransaction(ITEM_STORE, 'readwrite', (store) => { store.add(item); });
 const updateItemDB = (item) => executeDBTransaction(ITEM_STORE, 'readwrite', (store) => { store.put(item); });
 const deleteItemDB = (itemId) => executeDBTransaction(ITEM_STORE, 'readwrite', (store) => { store.delete(itemId); });
+// NEW: Saves several items in one transaction (bulk status changes)
+const putItemsDB = (items) => executeDBTransaction(ITEM_STORE, 'readwrite', (store) => { items.forEach(item => store.put(item)); });
 
 // --- CRUD Operations for Stores (IndexedDB) ---
 
-const loadAllStoresDB = () => new Promise(async (resolve) => {
+const loadAllStoresDB = (storeLedgerId) => new Promise(async (resolve) => {
     await executeDBTransaction(STORE_STORE, 'readonly', (store) => {
-        const request = store.getAll();
+        const request = store.index('ledgerId').getAll(storeLedgerId);
         request.onsuccess = (event) => resolve(event.target.result || []);
         request.onerror = () => resolve([]); // Return empty array on read error
     });
 });
 
 const addStoreDB = (store) => executeDBTransaction(STORE_STORE, 'readwrite', (storeObj) => { storeObj.add(store); });
-const deleteStoreDB = (storeId) => executeDBTransaction(STORE_STORE, 'readwrite', (storeObj) => { storeObj.delete(storeId); });
 
 // --- CRUD Operations for Receipts (MODIFIED) ---
 
-const loadAllReceiptsDB = () => new Promise(async (resolve) => {
+const loadAllReceiptsDB = (ledgerId) => new Promise(async (resolve) => {
     await executeDBTransaction(RECEIPT_STORE, 'readonly', (store) => {
-        const request = store.getAll();
+        const request = store.index('ledgerId').getAll(ledgerId);
         request.onsuccess = (event) => resolve(event.target.result || []);
         request.onerror = () => resolve([]);
     });
@@ -132,695 +417,5715 @@ const addReceiptDB = (receipt) => executeDBTransaction(RECEIPT_STORE, 'readwrite
 // NEW: Delete Receipt
 const deleteReceiptDB = (receiptId) => executeDBTransaction(RECEIPT_STORE, 'readwrite', (store) => { store.delete(receiptId); });
 
-// --- UTILITY COMPONENTS (Unchanged) ---
-
-// Enhanced Button with Modern/Mobile Feel
-const MobileButton = ({ children, onClick, className = '', disabled = false, title = '' }) => (
-    <button
-        onClick={onClick}
-        disabled={disabled}
-        title={title}
-        className={`
-            w-full px-5 py-3 rounded-xl font-bold text-white transition duration-300
-            bg-red-800/80 shadow-lg shadow-red-900/40
-            hover:bg-red-700/90 active:bg-red-900
-            focus:outline-none focus:ring-4 focus:ring-red-400/50
-            disabled:opacity-40 disabled:cursor-not-allowed disabled:shadow-none disabled:hover:bg-red-800/80
-            ${className}
-        `}
-    >
-        {children}
-    </button>
-);
-
-// Enhanced Card with Deep Glassmorphism Effect
-const DeepCard = ({ children, className = '', onClick }) => (
-    <div
-        onClick={onClick}
-        className={`
-            bg-black bg-opacity-60 backdrop-filter backdrop-blur-xl
-            p-5 rounded-3xl shadow-[0_15px_30px_rgba(0,0,0,0.5)] border border-red-900/50
-            ${className}
-        `}
-    >
-        {children}
-    </div>
-);
+// --- PRICE HISTORY UTILITIES (NEW) ---
 
-// Quantity Control Button (Small for table)
-const QuantityButton = ({ children, onClick, className = '', disabled = false, title = '' }) => (
-    <button
-        onClick={onClick}
-        disabled={disabled}
-        title={title}
-        className={`
-            w-8 h-8 rounded-full font-bold text-lg text-white transition duration-200
-            bg-black/50 border border-red-900/50
-            hover:bg-red-800/70 active:scale-95
-            disabled:opacity-30 disabled:cursor-not-allowed
-            ${className}
-        `}
-    >
-        {children}
-    </button>
-);
+/**
+ * Appends a dated entry to `item.priceHistory` for every store price that differs from the
+ * last recorded price at that store, keeping at most MAX_PRICE_HISTORY_PER_STORE per store.
+ * @param {object} item - Item with sanitized (numeric) store prices.
+ * @param {string} date - ISO timestamp for new entries.
+ */
+const withPriceHistory = (item, date = new Date().toISOString()) => {
+    const history = Array.isArray(item.priceHistory) ? [...item.priceHistory] : [];
+
+    (item.stores || []).forEach(({ storeId, storeName, price }) => {
+        const numericPrice = Number(price);
+        if (!storeName || !(numericPrice > 0)) return;
+        const last = [...history].reverse().find(entry => entry.storeName === storeName);
+        if (!last || last.price !== numericPrice) {
+            history.push({ storeName, ...(storeId ? { storeId } : {}), price: numericPrice, date });
+        }
+    });
 
+    // Trim the oldest entries per store, walking backwards so the newest are kept
+    const perStoreCount = {};
+    const trimmed = [];
+    for (let i = history.length - 1; i >= 0; i--) {
+        const entry = history[i];
+        perStoreCount[entry.storeName] = (perStoreCount[entry.storeName] || 0) + 1;
+        if (perStoreCount[entry.storeName] <= MAX_PRICE_HISTORY_PER_STORE) trimmed.unshift(entry);
+    }
 
-const Modal = ({ children, onClose }) => (
-    <div className="fixed inset-0 bg-black bg-opacity-80 flex items-center justify-center z-50 p-4" onClick={onClose}>
-        <DeepCard
-            className="w-full max-w-lg max-h-[95vh] overflow-y-auto"
-            onClick={(e) => e.stopPropagation()}
-        >
-            {children}
-        </DeepCard>
-    </div>
-);
+    return { ...item, priceHistory: trimmed };
+};
 
-// --- Action Dropdown Component ---
-const ActionDropdown = ({ onEdit, onDelete }) => {
-    const [isOpen, setIsOpen] = useState(false);
-    const dropdownRef = useRef(null);
+/**
+ * Groups an item's price history by store with min/max/first/last stats, sorted by store name.
+ * @param {object[]} priceHistory - The item's history entries.
+ */
+const summarizePriceHistory = (priceHistory) => {
+    const byStore = {};
+    (priceHistory || []).forEach(entry => {
+        (byStore[entry.storeName] = byStore[entry.storeName] || []).push(entry);
+    });
 
-    useEffect(() => {
-        const handleClickOutside = (event) => {
-            if (dropdownRef.current && !dropdownRef.current.contains(event.target)) {
-                setIsOpen(false);
-            }
+    return Object.keys(byStore).sort((a, b) => a.localeCompare(b)).map(storeName => {
+        const entries = byStore[storeName].sort((a, b) => new Date(a.date) - new Date(b.date));
+        const prices = entries.map(e => e.price);
+        const first = entries[0];
+        const last = entries[entries.length - 1];
+        return {
+            storeName,
+            entries,
+            min: Math.min(...prices),
+            max: Math.max(...prices),
+            current: last.price,
+            lastChanged: last.date,
+            changePercent: first.price > 0 ? ((last.price - first.price) / first.price) * 100 : 0,
         };
+    });
+};
 
-        document.addEventListener('mousedown', handleClickOutside);
-        return () => document.removeEventListener('mousedown', handleClickOutside);
-    }, []);
+// --- UNIT PRICING UTILITIES (NEW) ---
 
-    const handleAction = (actionFn) => {
-        setIsOpen(false);
-        actionFn();
+/**
+ * Converts a store price point with a package size and unit into a comparable unit price.
+ * Returns { value, dimension, label } or null when size/unit are missing.
+ * @param {object} storePrice - An entry of an item's `stores` array.
+ */
+const getUnitPrice = (storePrice) => {
+    const unit = UNIT_OPTIONS.find(u => u.value === storePrice.unit);
+    const size = Number(storePrice.packageSize);
+    const price = Number(storePrice.price);
+    if (!unit || !(size > 0) || !(price > 0)) return null;
+
+    const displayUnit = UNIT_OPTIONS.find(u => u.value === UNIT_PRICE_DISPLAY_UNITS[unit.dimension]);
+    return {
+        value: (price / (size * unit.toBase)) * displayUnit.toBase,
+        dimension: unit.dimension,
+        label: displayUnit.value === 'count' ? 'ea' : displayUnit.label,
     };
+};
 
-    return (
-        <div className="relative inline-block text-left" ref={dropdownRef}>
-            <button
-                onClick={() => setIsOpen(!isOpen)}
-                className="w-8 h-8 p-0 flex items-center justify-center rounded-full bg-black/50 text-white hover:bg-red-800/70 transition duration-150"
-                title="Item Actions"
-            >
-                <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 5v.01M12 12v.01M12 19v.01M12 6a1 1 0 110-2 1 1 0 010 2zm0 7a1 1 0 110-2 1 1 0 010 2zm0 7a1 1 0 110-2 1 1 0 010 2z"></path></svg>
-            </button>
+const formatUnitPrice = (unitPrice) => {
+    const digits = unitPrice.value < 0.1 ? 3 : 2;
+    return `$${unitPrice.value.toFixed(digits)}/${unitPrice.label}`;
+};
 
-            {isOpen && (
-                <div className="absolute right-0 mt-2 w-36 origin-top-right z-10">
-                    <DeepCard className="!p-1 bg-black/80">
-                        <button
-                            onClick={() => handleAction(onEdit)}
-                            className="w-full text-left px-4 py-2 text-sm text-gray-200 rounded-t-xl hover:bg-red-900/70 transition duration-100 block"
-                        >
-                            Edit Item
-                        </button>
-                        <button
-                            onClick={() => handleAction(onDelete)}
-                            className="w-full text-left px-4 py-2 text-sm text-red-400 rounded-b-xl hover:bg-red-800/60 transition duration-100 block border-t border-red-900/50"
-                        >
-                            Delete
-                        </button>
-                    </DeepCard>
-                </div>
-            )}
-        </div>
-    );
+// --- SALE & COUPON UTILITIES (NEW) ---
+// A price point may carry `sale: { price, startDate, endDate }` and
+// `coupon: { type: 'fixed' | 'percent', amount, minQuantity, endDate }`. Dates are local
+// 'YYYY-MM-DD' strings and inclusive; a blank date leaves that side of the range open.
+
+const COUPON_TYPES = [
+    { value: 'fixed', label: '$ off' },
+    { value: 'percent', label: '% off' },
+];
+
+const toLocalDateKey = (date = new Date()) => {
+    const d = new Date(date);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
 };
-// --- END: Action Dropdown Component ---
 
+const isSaleActive = (sale, today) => Boolean(sale) && sale.price > 0
+    && (!sale.startDate || sale.startDate <= today)
+    && (!sale.endDate || today <= sale.endDate);
 
-// --- BARCODE SCANNER MODAL (Simplified for UI/UX) ---
+const isCouponActive = (coupon, quantity, today) => Boolean(coupon) && coupon.amount > 0
+    && quantity >= (coupon.minQuantity || 1)
+    && (!coupon.endDate || today <= coupon.endDate);
 
-const BarcodeScannerModal = ({ onClose, onScanComplete }) => {
-    const videoRef = useRef(null);
-    const [status, setStatus] = useState('Camera initialization...');
-    const [stream, setStream] = useState(null);
+/**
+ * Per-unit price a store charges today for `quantity` of an item: the sale price while the sale
+ * runs, less any coupon that applies. A fixed coupon comes off the line once, so it is spread
+ * over the quantity; a percent coupon comes off every unit.
+ * Returns { price, regularPrice, onSale, couponApplied }.
+ * @param {object} storePrice - An entry of an item's `stores` array.
+ * @param {number} quantity - Units being bought.
+ * @param {string} today - Local date key from toLocalDateKey.
+ */
+const getEffectivePrice = (storePrice, quantity = 1, today = toLocalDateKey()) => {
+    const regularPrice = Number(storePrice.price);
+    const onSale = isSaleActive(storePrice.sale, today) && storePrice.sale.price < regularPrice;
+    let price = onSale ? storePrice.sale.price : regularPrice;
+
+    const couponApplied = isCouponActive(storePrice.coupon, quantity, today);
+    if (couponApplied) {
+        const { type, amount } = storePrice.coupon;
+        price = type === 'percent' ? price * (1 - Math.min(amount, 100) / 100) : price - amount / quantity;
+    }
+    return { price: Math.max(0, price), regularPrice, onSale, couponApplied };
+};
 
-    useEffect(() => {
-        if (navigator.mediaDevices && navigator.mediaDevices.getUserMedia) {
-            navigator.mediaDevices.getUserMedia({ video: { facingMode: "environment" } })
-                .then((mediaStream) => {
-                    if (videoRef.current) {
-                        videoRef.current.srcObject = mediaStream;
-                        videoRef.current.play();
-                        setStream(mediaStream);
-                        setStatus('Ready to scan. Point at a UPC.');
-                    }
-                })
-                .catch((err) => {
-                    console.error("Camera access failed:", err);
-                    setStatus('Error: Camera access required to simulate scan.');
-                });
-        } else {
-            setStatus('Error: Browser does not support camera access.');
-        }
+// Short description of the offers behind an effective price, e.g. "Sale + coupon"
+const describeOffer = ({ onSale, couponApplied }) => {
+    if (onSale && couponApplied) return 'Sale + coupon';
+    if (onSale) return 'Sale';
+    return couponApplied ? 'Coupon' : '';
+};
 
-        return () => {
-            if (stream) {
-                stream.getTracks().forEach(track => track.stop());
-            }
+/**
+ * Finds the cheapest store for an item, using whichever sale or coupon is active today.
+ * In 'unit' mode, price points with a package size are compared by unit price (within the
+ * dimension most of them use); items without any sized price point fall back to raw price.
+ * Given the store records, prices are compared tax-inclusive using each store's profile;
+ * `price` is the offer price before tax and `priceWithTax` adds the store's tax on the item's category.
+ * `isOfferWin` marks a store that only wins because of its sale or coupon.
+ * @param {object} item - The item.
+ * @param {string} comparisonMode - 'package' or 'unit'.
+ * @param {Map<string, object>|null} storesById - Store records by id, or null to ignore tax.
+ * @param {string} today - Local date key deciding which offers are active.
+ */
+const getCheapestOption = (item, comparisonMode = 'package', storesById = null, today = toLocalDateKey()) => {
+    const none = { price: null, priceWithTax: null, regularPrice: null, taxRate: 0, storeName: 'N/A', storeId: null, unitPrice: null, onSale: false, couponApplied: false, isOfferWin: false };
+    if (!item.stores || item.stores.length === 0) return none;
+
+    const validPrices = item.stores.filter(s => s.price > 0);
+    if (validPrices.length === 0) return none;
+
+    const quantity = item.quantity || 1;
+    const taxRateOf = (storePrice) => (storesById ? getStoreTaxRate(storesById.get(storePrice.storeId), item.category) : 0);
+    const candidates = validPrices.map(storePrice => {
+        const effective = getEffectivePrice(storePrice, quantity, today);
+        const taxFactor = 1 + taxRateOf(storePrice);
+        return {
+            storePrice,
+            effective,
+            taxFactor,
+            unitPrice: getUnitPrice({ ...storePrice, price: effective.price }),
+            regularUnitPrice: getUnitPrice(storePrice),
         };
-    }, []);
+    });
 
-    const simulateScan = () => {
-        if (!stream) return;
-        setStatus('Scanning...');
-        const mockBarcode = '978' + Math.floor(Math.random() * 9000000000).toString().padStart(10, '0');
+    // Picks the cheapest candidate by the given per-candidate cost
+    const cheapestBy = (list, cost) => list.reduce((min, current) => (cost(current) < cost(min) ? current : min));
+
+    let pool = candidates;
+    let offerCost = (c) => c.effective.price * c.taxFactor;
+    let regularCost = (c) => c.effective.regularPrice * c.taxFactor;
+    if (comparisonMode === 'unit') {
+        const sized = candidates.filter(c => c.unitPrice);
+        if (sized.length > 0) {
+            const dimensionCounts = {};
+            sized.forEach(({ unitPrice }) => {
+                dimensionCounts[unitPrice.dimension] = (dimensionCounts[unitPrice.dimension] || 0) + 1;
+            });
+            const dimension = Object.keys(dimensionCounts).sort((a, b) => dimensionCounts[b] - dimensionCounts[a])[0];
+            pool = sized.filter(c => c.unitPrice.dimension === dimension);
+            offerCost = (c) => c.unitPrice.value * c.taxFactor;
+            regularCost = (c) => c.regularUnitPrice.value * c.taxFactor;
+        }
+    }
 
-        setTimeout(() => {
-            console.log(`[BARCODE SCANNED]: ${mockBarcode}`);
-            setStatus(`Scan successful: ${mockBarcode}`);
-            onScanComplete(mockBarcode);
-        }, 1200);
+    const cheapest = cheapestBy(pool, offerCost);
+    const cheapestAtRegular = cheapestBy(pool, regularCost);
+    const taxRate = taxRateOf(cheapest.storePrice);
+    const { price, regularPrice, onSale, couponApplied } = cheapest.effective;
+
+    return {
+        price,
+        priceWithTax: price * (1 + taxRate),
+        regularPrice,
+        taxRate,
+        storeName: cheapest.storePrice.storeName,
+        storeId: cheapest.storePrice.storeId || null,
+        unitPrice: cheapest.unitPrice,
+        onSale,
+        couponApplied,
+        isOfferWin: (onSale || couponApplied) && offerCost(cheapest) < offerCost(cheapestAtRegular),
     };
+};
 
+// --- STORE REFERENCE UTILITIES (NEW: prices point at stores by id) ---
+// Price points, history entries and receipt lines keep the store's name alongside its id for
+// display; the helpers below keep the two in sync on rename, reassignment and import.
 
-    return (
-        <Modal onClose={onClose}>
-            <h2 className="text-3xl font-extrabold text-white mb-6 border-b border-red-700 pb-2">Barcode Scanner</h2>
-            <div className="relative w-full aspect-square bg-black rounded-xl overflow-hidden border-2 border-red-700/70">
-                <video ref={videoRef} className="w-full h-full object-cover" style={{ transform: 'scaleX(-1)' }} playsInline></video>
-                <div className="absolute inset-0 flex items-center justify-center pointer-events-none">
-                    {/* Visual scanning line with animation */}
-                    <div className="w-full h-1 bg-red-400 shadow-xl shadow-red-400/80 animate-pulse-slow"></div>
-                    <style>{`
-                        @keyframes pulse-slow { 
-                            0%, 100% { opacity: 0.5; } 
-                            50% { opacity: 1.0; }
-                        }
-                        .animate-pulse-slow {
-                            animation: pulse-slow 2s infinite ease-in-out;
-                        }
-                    `}</style>
-                </div>
-            </div>
+const buildStoresByName = (stores) => new Map(stores.map(store => [store.name.toLowerCase(), store]));
 
-            <p className="mt-4 text-center text-sm text-gray-400">{status}</p>
+// Store names are unique ignoring case; `exceptId` lets a store keep its own name on rename
+const isStoreNameTaken = (stores, name, exceptId = null) => {
+    const wanted = name.trim().toLowerCase();
+    return stores.some(store => store.id !== exceptId && store.name.toLowerCase() === wanted);
+};
 
-            <div className="flex justify-between space-x-4 pt-4 border-t border-red-900/40 mt-4">
-                <MobileButton
-                    onClick={simulateScan}
-                    disabled={!stream || status.includes('Scanning')}
-                    className="flex-grow bg-red-600/90 hover:bg-red-500/90 shadow-red-700/50"
-                >
-                    Capture Barcode
-                </MobileButton>
-                <MobileButton onClick={onClose} className="w-1/4 bg-black/50 hover:bg-red-900/70">X</MobileButton>
-            </div>
-        </Modal>
-    );
+/**
+ * Points every price, history entry and receipt line at a store record, matching by name.
+ * Price points naming a store that doesn't exist get a new store so nothing is left orphaned,
+ * up to MAX_REUSABLE_STORES; past the limit they keep only the store name.
+ * Returns { items, receipts, createdStores, unlinkedCount }.
+ * @param {{items: object[], stores: object[], receipts: object[]}} data - Records to link.
+ */
+const linkStoreReferences = ({ items, stores, receipts }) => {
+    const storesByName = buildStoresByName(stores);
+    const createdStores = [];
+    let unlinkedCount = 0;
+    const findStore = (name, createMissing) => {
+        if (!name || name === 'N/A') return null;
+        let store = storesByName.get(name.toLowerCase());
+        if (!store && createMissing) {
+            if (stores.length + createdStores.length >= MAX_REUSABLE_STORES) {
+                unlinkedCount++;
+                return null;
+            }
+            store = { id: crypto.randomUUID(), name };
+            storesByName.set(name.toLowerCase(), store);
+            createdStores.push(store);
+        }
+        return store || null;
+    };
+    // Malformed records (e.g. from an import file) pass through untouched for validation to report
+    const isRecord = (value) => Boolean(value) && typeof value === 'object';
+    const link = (record, nameField, idField, createMissing) => {
+        if (!isRecord(record) || typeof record[nameField] !== 'string') return record;
+        const store = findStore(record[nameField], createMissing);
+        if (store) return { ...record, [idField]: store.id, [nameField]: store.name };
+        // An id carried over from the file would point at a store that isn't in the list
+        if (!(idField in record)) return record;
+        const { [idField]: _staleId, ...unlinked } = record;
+        return unlinked;
+    };
+    const linkList = (list, ...args) => (Array.isArray(list) ? list.map(record => link(record, ...args)) : list);
+
+    return {
+        items: items.map(item => (isRecord(item) ? {
+            ...item,
+            stores: linkList(item.stores || [], 'storeName', 'storeId', true),
+            priceHistory: linkList(item.priceHistory || [], 'storeName', 'storeId', false),
+        } : item)),
+        receipts: receipts.map(receipt => (isRecord(receipt) ? {
+            ...receipt,
+            items: linkList(receipt.items || [], 'cheapestStore', 'cheapestStoreId', false),
+        } : receipt)),
+        createdStores,
+        unlinkedCount,
+    };
 };
 
+// Import previews report the prices linkStoreReferences() will leave without a store
+const describeUnlinkedPrices = (unlinkedCount) => (
+    `${unlinkedCount} price${unlinkedCount === 1 ? '' : 's'} name${unlinkedCount === 1 ? 's' : ''} a store beyond the ${MAX_REUSABLE_STORES}-store limit and will keep only the store name.`
+);
 
-// --- RECEIPTS MODAL COMPONENT (MODIFIED for separate Month/Year selects) ---
-const ReceiptsModal = ({ onClose, receipts, onDeleteReceipt }) => {
+// Number of price points (and items carrying them) that reference a store
+const countStoreDependents = (items, storeId) => {
+    let priceCount = 0;
+    let itemCount = 0;
+    items.forEach(item => {
+        const count = (item.stores || []).filter(price => price.storeId === storeId).length;
+        priceCount += count;
+        if (count > 0) itemCount++;
+    });
+    return { priceCount, itemCount };
+};
+
+// Returns the item with every reference to `storeId` renamed, or the same object if it has none
+const renameStoreInItem = (item, storeId, name) => {
+    const touches = (item.stores || []).some(p => p.storeId === storeId) || (item.priceHistory || []).some(e => e.storeId === storeId);
+    if (!touches) return item;
+    const rename = (record) => (record.storeId === storeId ? { ...record, storeName: name } : record);
+    return { ...item, stores: item.stores.map(rename), priceHistory: (item.priceHistory || []).map(rename) };
+};
+
+const renameStoreInReceipt = (receipt, storeId, name) => {
+    if (!(receipt.items || []).some(line => line.cheapestStoreId === storeId)) return receipt;
+    return { ...receipt, items: receipt.items.map(line => (line.cheapestStoreId === storeId ? { ...line, cheapestStore: name } : line)) };
+};
+
+/**
+ * Detaches an item from a store that is being deleted. With a `target` store the prices and
+ * history move to it (an existing price at the target wins over the moved one); without one
+ * the prices are removed and the history is kept under the old name.
+ * Returns the same object when the item has no price at the store.
+ * @param {object} item - Item to update.
+ * @param {string} storeId - Store being deleted.
+ * @param {object|null} target - Store record receiving the prices, or null to remove them.
+ */
+const detachStoreFromItem = (item, storeId, target) => {
+    if (!(item.stores || []).some(p => p.storeId === storeId)) return item;
+    if (!target) {
+        return {
+            ...item,
+            stores: item.stores.filter(p => p.storeId !== storeId),
+            priceHistory: (item.priceHistory || []).map(({ storeId: entryStoreId, ...entry }) => (entryStoreId === storeId ? entry : { ...entry, storeId: entryStoreId })),
+        };
+    }
+    const hasTargetPrice = item.stores.some(p => p.storeId === target.id);
+    const moveTo = (record) => (record.storeId === storeId ? { ...record, storeId: target.id, storeName: target.name } : record);
+    return {
+        ...item,
+        stores: hasTargetPrice ? item.stores.filter(p => p.storeId !== storeId) : item.stores.map(moveTo),
+        priceHistory: (item.priceHistory || []).map(moveTo).sort((a, b) => new Date(a.date) - new Date(b.date)),
+    };
+};
+
+// --- STORE PROFILE & TAX UTILITIES (NEW) ---
+// Store profiles carry a sales tax rate in percent plus the categories that store doesn't tax.
+
+const STORE_PROFILE_FIELDS = ['address', 'notes', 'loyaltyCard', 'taxRate', 'taxExemptCategories'];
+const MAX_TAX_RATE = 30;
+
+/**
+ * Sales tax a store charges on a category, as a fraction (0.0825 for 8.25%).
+ * Unknown stores, stores without a rate and exempt categories pay none.
+ * @param {object|undefined} store - Store record.
+ * @param {string} category - Item category.
+ */
+const getStoreTaxRate = (store, category) => {
+    if (!store || !(store.taxRate > 0)) return 0;
+    if ((store.taxExemptCategories || []).includes(category)) return 0;
+    return store.taxRate / 100;
+};
+
+const buildStoresById = (stores) => new Map(stores.map(store => [store.id, store]));
+
+// Sums the estimated subtotal and tax of receipt lines that recorded their store's tax rate
+const sumLineTotals = (lines) => lines.reduce((totals, line) => {
+    const subtotal = (line.cheapestPrice || 0) * (line.quantity || 1);
+    return { subtotal: totals.subtotal + subtotal, tax: totals.tax + subtotal * (line.taxRate || 0) };
+}, { subtotal: 0, tax: 0 });
+
+// --- AISLE ROUTE UTILITIES (NEW) ---
+// A store may carry `aisles: [{ id, name, categories }]` in walking order; a category sits in at
+// most one aisle per store. Items can pin themselves to an aisle per store in `aisleOverrides`
+// ({ [storeId]: aisleId }), which wins over the category mapping.
+
+const MAX_AISLES_PER_STORE = 40;
+
+/**
+ * Where an item sits on a store's route. Returns { aisle, index } with a null aisle and an
+ * index past the last aisle when neither an override nor the item's category places it.
+ * @param {object} item - The item.
+ * @param {object|null} store - Store record with an `aisles` layout.
+ */
+const getItemAisle = (item, store) => {
+    const aisles = (store && store.aisles) || [];
+    const overrideId = store && item.aisleOverrides ? item.aisleOverrides[store.id] : null;
+    let index = overrideId ? aisles.findIndex(aisle => aisle.id === overrideId) : -1;
+    if (index === -1) index = aisles.findIndex(aisle => (aisle.categories || []).includes(item.category));
+    return index === -1 ? { aisle: null, index: aisles.length } : { aisle: aisles[index], index };
+};
+
+// --- CONSUMPTION PREDICTION UTILITIES (NEW) ---
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Lower rank = closer to empty; automatic decay only ever moves an item down this scale
+const STATUS_RANK = { 'Depleted': 0, 'Running Low': 1, 'Home Stocked': 2 };
+
+const median = (values) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
+};
+
+/**
+ * Applies a user-driven status change. `statusChangedAt` stops automatic decay from overriding
+ * the user's choice, and `restockedAt` (set when an item becomes Home Stocked) is where
+ * predictions start counting from.
+ * @param {object} item - The item.
+ * @param {string} status - New status value.
+ * @param {string} date - ISO timestamp of the change.
+ */
+const applyStatusChange = (item, status, date = new Date().toISOString()) => {
+    if (status === item.status) return item;
+    const changed = { ...item, status, statusChangedAt: date };
+    return status === 'Home Stocked' ? { ...changed, restockedAt: date } : changed;
+};
+
+/**
+ * Learns each item's typical repurchase interval (median days between purchases) from receipts.
+ * Purchases on the same day count once. Items need at least two purchases to get a prediction.
+ * @param {object[]} receipts - Logged receipts.
+ * @returns {Map<string, {intervalMs: number, lastPurchase: number, purchaseCount: number}>}
+ */
+const buildConsumptionPredictions = (receipts) => {
+    const purchaseDays = new Map();
+    receipts.forEach(receipt => {
+        const day = Math.floor(new Date(receipt.timestamp).getTime() / DAY_MS);
+        if (isNaN(day)) return;
+        (receipt.items || []).forEach(line => {
+            if (!line.id) return;
+            if (!purchaseDays.has(line.id)) purchaseDays.set(line.id, new Set());
+            purchaseDays.get(line.id).add(day);
+        });
+    });
+
+    const predictions = new Map();
+    purchaseDays.forEach((daySet, itemId) => {
+        const days = Array.from(daySet).sort((a, b) => a - b);
+        if (days.length < 2) return;
+        const intervals = days.slice(1).map((day, i) => day - days[i]);
+        predictions.set(itemId, {
+            intervalMs: median(intervals) * DAY_MS,
+            // Assume purchases happened at the end of their day so same-day restocks aren't already aged
+            lastPurchase: (days[days.length - 1] + 1) * DAY_MS,
+            purchaseCount: days.length,
+        });
+    });
+    return predictions;
+};
+
+/**
+ * Computes an item's predicted run-out date and the status it should have decayed to by `now`.
+ * Returns null when the item has no prediction.
+ * @param {object} item - The item.
+ * @param {object|undefined} prediction - Entry from buildConsumptionPredictions().
+ * @param {number} now - Current time in ms.
+ */
+const getConsumptionForecast = (item, prediction, now) => {
+    if (!prediction) return null;
+    const toTime = (iso) => {
+        const time = iso ? new Date(iso).getTime() : 0;
+        return isNaN(time) ? 0 : time;
+    };
+    const anchor = Math.max(prediction.lastPurchase, toTime(item.restockedAt));
+    const lowAt = anchor + prediction.intervalMs * RUNNING_LOW_AT_FRACTION;
+    const outAt = anchor + prediction.intervalMs;
+    // A threshold only applies if it was crossed after the user last set the status by hand
+    const manualAt = toTime(item.statusChangedAt);
+
+    let predictedStatus = 'Home Stocked';
+    if (now >= outAt && outAt > manualAt) predictedStatus = 'Depleted';
+    else if (now >= lowAt && lowAt > manualAt) predictedStatus = 'Running Low';
+
+    const canDecay = item.autoDecay !== false && STATUS_RANK[predictedStatus] < (STATUS_RANK[item.status] ?? 0);
+    return {
+        runOutDate: new Date(outAt),
+        intervalDays: Math.round(prediction.intervalMs / DAY_MS),
+        decayedStatus: canDecay ? predictedStatus : null,
+    };
+};
+
+// --- CATEGORY UTILITIES (NEW) ---
+// The category list is stored as an ordered array of { name, color } under the 'categories'
+// setting. Items, receipt lines, store tax exemptions and budgets refer to categories by name.
+
+const CATEGORY_COLORS = ['#22c55e', '#60a5fa', '#f87171', '#f59e0b', '#38bdf8', '#a78bfa', '#f472b6', '#9ca3af', '#34d399', '#fb923c', '#e879f9', '#facc15'];
+const DEFAULT_CATEGORY_LIST = DEFAULT_CATEGORIES.map((name, i) => ({ name, color: CATEGORY_COLORS[i % CATEGORY_COLORS.length] }));
+const MAX_CATEGORIES = 40;
+
+/**
+ * Appends categories that items use but the list doesn't know (e.g. from an import), so every
+ * item's category can be shown, picked and sorted.
+ * @param {object[]} categories - Saved category list.
+ * @param {object[]} items - Current items.
+ */
+const withItemCategories = (categories, items) => {
+    const known = new Set(categories.map(category => category.name));
+    const missing = [...new Set(items.map(item => item.category).filter(name => name && !known.has(name)))].sort();
+    return [...categories, ...missing.map((name, i) => ({ name, color: CATEGORY_COLORS[(categories.length + i) % CATEGORY_COLORS.length] }))];
+};
+
+const isCategoryNameTaken = (categories, name, exceptName = null) => {
+    const wanted = name.trim().toLowerCase();
+    return categories.some(category => category.name !== exceptName && category.name.toLowerCase() === wanted);
+};
+
+/**
+ * Moves every use of category `from` to `to`. On rename the store exemptions and budget limit
+ * carry over; when merging into an existing category (`merge`) the target keeps its own.
+ * With no `to` (deleting a category no item uses) past receipt lines keep the old name.
+ * Catalog entries (shared by every ledger) follow too, so a scan never prefills a category that is gone.
+ * Returns only what changed: { items, stores, receipts, catalog, budgets }.
+ * @param {{items: object[], stores: object[], receipts: object[], catalog: object[], budgets: object}} data - Current records.
+ * @param {string} from - Category being renamed or deleted.
+ * @param {string|null} to - Category receiving its items, or null.
+ * @param {boolean} merge - True when `to` already exists.
+ */
+const reassignCategory = ({ items, stores, receipts, catalog, budgets }, from, to, merge) => {
+    const now = new Date().toISOString();
+    const keepsUses = !merge && to !== null; // Rename: exemptions and limits move with the category
+    const changedItems = to === null ? [] : items.filter(item => item.category === from).map(item => ({ ...item, category: to, updatedAt: now }));
+
+    const changedReceipts = to === null ? [] : receipts
+        .filter(receipt => (receipt.items || []).some(line => line.category === from))
+        .map(receipt => ({ ...receipt, items: receipt.items.map(line => (line.category === from ? { ...line, category: to } : line)) }));
+
+    const changedCatalog = to === null ? [] : catalog.filter(entry => entry.category === from).map(entry => ({ ...entry, category: to, updatedAt: now }));
+
+    // Aisle layouts always follow a rename; on delete the items land in the target's aisle anyway
+    const inAisle = (store) => (store.aisles || []).some(aisle => (aisle.categories || []).includes(from));
+    const changedStores = stores
+        .filter(store => (store.taxExemptCategories || []).includes(from) || inAisle(store))
+        .map(store => {
+            const others = (store.taxExemptCategories || []).filter(name => name !== from);
+            const taxExemptCategories = keepsUses && store.taxExemptCategories?.includes(from) ? [...others, to] : others;
+            const aisles = (store.aisles || []).map(aisle => {
+                if (!(aisle.categories || []).includes(from)) return aisle;
+                const rest = aisle.categories.filter(name => name !== from);
+                return { ...aisle, categories: keepsUses ? [...rest, to] : rest };
+            });
+            return {
+                ...store,
+                ...(store.taxExemptCategories ? { taxExemptCategories } : {}),
+                ...(store.aisles ? { aisles } : {}),
+            };
+        });
+
+    const { [from]: fromLimit, ...otherLimits } = budgets.categories || {};
+    const categoryLimits = keepsUses && fromLimit ? { ...otherLimits, [to]: fromLimit } : otherLimits;
+
+    return {
+        items: changedItems,
+        stores: changedStores,
+        receipts: changedReceipts,
+        catalog: changedCatalog,
+        budgets: { ...budgets, categories: categoryLimits },
+    };
+};
+
+// --- BUDGET UTILITIES (NEW) ---
+
+const DEFAULT_BUDGETS = { monthly: null, categories: {} };
+const BUDGET_WARNING_FRACTION = 0.9; // Warn once spending (plus cart) reaches 90% of a limit
+
+const isSameMonth = (date, reference) => date.getFullYear() === reference.getFullYear() && date.getMonth() === reference.getMonth();
+
+// Amount spent on a receipt line: the actual price when known, else the estimate
+const getLineSpend = (line) => (typeof line.actualPrice === 'number' ? line.actualPrice : (line.cheapestPrice || 0)) * (line.quantity || 1);
+
+/**
+ * Totals spending for the month containing `reference`, overall and per category.
+ * The overall total uses actual (tax-inclusive) receipt totals when available; category totals
+ * are built from the lines. Lines from older receipts without a category use the item's current one.
+ * @param {object[]} receipts - Logged receipts.
+ * @param {Map<string, object>} itemsById - Current items, for category lookup.
+ * @param {Date} reference - Any date in the month to total.
+ */
+const computeMonthlySpending = (receipts, itemsById, reference = new Date()) => {
+    const byCategory = {};
+    let total = 0;
+    receipts.forEach(receipt => {
+        if (!isSameMonth(new Date(receipt.timestamp), reference)) return;
+        const actual = getReceiptActualTotal(receipt);
+        total += actual !== null ? actual : receipt.estimatedTotal;
+        (receipt.items || []).forEach(line => {
+            const category = line.category || itemsById.get(line.id)?.category || 'Other';
+            byCategory[category] = (byCategory[category] || 0) + getLineSpend(line);
+        });
+    });
+    return { total, byCategory };
+};
+
+/**
+ * Compares spending and the current cart estimate with the configured limits.
+ * Returns one entry per limit: { key, label, limit, spent, cart, remaining, level } where level is
+ * 'ok', 'warning' (near the limit with the cart) or 'over' (the cart would push it over).
+ * @param {object} budgets - { monthly, categories }.
+ * @param {object} spending - Result of computeMonthlySpending().
+ * @param {object} cartEstimate - { total, byCategory } for the current cart.
+ */
+const evaluateBudgets = (budgets, spending, cartEstimate) => {
+    const evaluate = (key, label, limit, spent, cart) => {
+        const projected = spent + cart;
+        let level = 'ok';
+        if (projected > limit) level = 'over';
+        else if (projected >= limit * BUDGET_WARNING_FRACTION) level = 'warning';
+        return { key, label, limit, spent, cart, remaining: limit - spent, level };
+    };
+
+    const results = [];
+    if (budgets.monthly > 0) {
+        results.push(evaluate('monthly', 'This Month', budgets.monthly, spending.total, cartEstimate.total));
+    }
+    Object.entries(budgets.categories || {}).forEach(([category, limit]) => {
+        if (!(limit > 0)) return;
+        results.push(evaluate(category, category, limit, spending.byCategory[category] || 0, cartEstimate.byCategory[category] || 0));
+    });
+    return results;
+};
+
+// --- SPENDING ANALYTICS UTILITIES (NEW) ---
+
+const ANALYTICS_RANGE_OPTIONS = [
+    { value: '30d', label: 'Last 30 Days' },
+    { value: '90d', label: 'Last 90 Days' },
+    { value: '12m', label: 'Last 12 Months' },
+    { value: 'ytd', label: 'This Year' },
+    { value: 'all', label: 'All Time' },
+    { value: 'custom', label: 'Custom Range' },
+];
+const TOP_ITEMS_LIMIT = 10;
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+const startOfWeek = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate() - date.getDay());
+const startOfMonth = (date) => new Date(date.getFullYear(), date.getMonth(), 1);
+
+/**
+ * Resolves a range preset (or custom YYYY-MM-DD bounds) to { from, to } dates; `to` is exclusive.
+ * "All Time", and a custom range without a start date, start at the earliest receipt.
+ */
+const resolveAnalyticsRange = (preset, receipts, customFrom, customTo, now = new Date()) => {
+    const tomorrow = new Date(startOfDay(now).getTime() + DAY_MS);
+    const earliestReceiptDay = () => {
+        const times = receipts.map(r => new Date(r.timestamp).getTime()).filter(t => !isNaN(t));
+        return times.length ? startOfDay(new Date(Math.min(...times))) : startOfDay(now);
+    };
+    switch (preset) {
+        case '30d': return { from: new Date(tomorrow.getTime() - 30 * DAY_MS), to: tomorrow };
+        case '90d': return { from: new Date(tomorrow.getTime() - 90 * DAY_MS), to: tomorrow };
+        case '12m': return { from: new Date(now.getFullYear() - 1, now.getMonth() + 1, 1), to: tomorrow };
+        case 'ytd': return { from: new Date(now.getFullYear(), 0, 1), to: tomorrow };
+        case 'custom': {
+            // Date inputs give local calendar days; parse them as local midnight
+            const parse = (value) => (value ? new Date(`${value}T00:00:00`) : null);
+            const from = parse(customFrom) || earliestReceiptDay();
+            const toDay = parse(customTo);
+            return { from, to: toDay ? new Date(toDay.getTime() + DAY_MS) : tomorrow };
+        }
+        default: return { from: earliestReceiptDay(), to: tomorrow };
+    }
+};
+
+/**
+ * Aggregates receipt lines within [from, to) into the figures shown on the analytics dashboard.
+ * Line amounts use the actual price paid when recorded, otherwise the estimate.
+ * @param {object[]} receipts - Logged receipts.
+ * @param {{from: Date, to: Date}} range - Date range; `to` is exclusive.
+ * @param {'week'|'month'} granularity - Bucket size of the spending-over-time series.
+ * @param {Map<string, object>} itemsById - Current items, to categorize older lines without a category.
+ */
+const buildSpendingAnalytics = (receipts, range, granularity, itemsById) => {
+    const bucketStart = granularity === 'week' ? startOfWeek : startOfMonth;
+    const nextBucket = (date) => (granularity === 'week'
+        ? new Date(date.getFullYear(), date.getMonth(), date.getDate() + 7)
+        : new Date(date.getFullYear(), date.getMonth() + 1, 1));
+
+    // Pre-fill every bucket in the range so gaps show as zero bars
+    const series = new Map();
+    for (let cursor = bucketStart(range.from); cursor < range.to && series.size < 1000; cursor = nextBucket(cursor)) {
+        series.set(cursor.getTime(), { start: cursor, total: 0 });
+    }
+
+    const byCategory = {};
+    const byStore = {};
+    const byItem = {};
+    let total = 0;
+    let receiptCount = 0;
+    let lineCount = 0;
+
+    receipts.forEach(receipt => {
+        const date = new Date(receipt.timestamp);
+        if (isNaN(date.getTime()) || date < range.from || date >= range.to) return;
+        const lines = receipt.items || [];
+        if (lines.length === 0) return;
+        receiptCount++;
+        lines.forEach(line => {
+            const spend = getLineSpend(line);
+            total += spend;
+            lineCount++;
+            const bucket = series.get(bucketStart(date).getTime());
+            if (bucket) bucket.total += spend;
+
+            const category = line.category || itemsById.get(line.id)?.category || 'Other';
+            byCategory[category] = (byCategory[category] || 0) + spend;
+            const store = line.cheapestStore && line.cheapestStore !== 'N/A' ? line.cheapestStore : 'Unassigned';
+            byStore[store] = (byStore[store] || 0) + spend;
+
+            const itemKey = line.id || line.name;
+            const entry = byItem[itemKey] || (byItem[itemKey] = { name: line.name, total: 0, quantity: 0 });
+            entry.total += spend;
+            entry.quantity += line.quantity || 1;
+        });
+    });
+
+    const toSortedList = (totals) => Object.entries(totals)
+        .map(([label, value]) => ({ label, total: value }))
+        .sort((a, b) => b.total - a.total);
+
+    return {
+        total,
+        receiptCount,
+        averageBasket: receiptCount ? total / receiptCount : 0,
+        averageLinesPerBasket: receiptCount ? lineCount / receiptCount : 0,
+        series: Array.from(series.values()),
+        byCategory: toSortedList(byCategory),
+        byStore: toSortedList(byStore),
+        topItems: Object.values(byItem).sort((a, b) => b.total - a.total).slice(0, TOP_ITEMS_LIMIT),
+    };
+};
+
+// --- TRIP OPTIMIZER UTILITIES (NEW) ---
+
+// Calls `visit` with every combination of `size` elements from `list`; stops early if visit returns false
+const forEachCombination = (list, size, visit) => {
+    const combo = [];
+    const walk = (start) => {
+        if (combo.length === size) return visit([...combo]) !== false;
+        for (let i = start; i <= list.length - (size - combo.length); i++) {
+            combo.push(list[i]);
+            if (!walk(i + 1)) return false;
+            combo.pop();
+        }
+        return true;
+    };
+    walk(0);
+};
+
+const countCombinations = (n, k) => {
+    let result = 1;
+    for (let i = 1; i <= k; i++) result = (result * (n - k + i)) / i;
+    return Math.round(result);
+};
+
+/**
+ * Prices a trip restricted to `storeNames`: each item goes to its cheapest store in the set.
+ * @param {object[]} pricedItems - [{ item, prices: Map(storeName -> price) }].
+ * @param {string[]} storeNames - Stores allowed on this trip.
+ * @param {number} costPerStop - Fixed cost added for every store beyond the first.
+ */
+const evaluateTrip = (pricedItems, storeNames, costPerStop) => {
+    const assignments = [];
+    const missing = [];
+    pricedItems.forEach(({ item, prices }) => {
+        let best = null;
+        storeNames.forEach(storeName => {
+            const price = prices.get(storeName);
+            if (price !== undefined && (!best || price < best.price)) best = { storeName, price };
+        });
+        if (best) {
+            assignments.push({ item, storeName: best.storeName, price: best.price, lineTotal: best.price * (item.quantity || 1) });
+        } else {
+            missing.push(item);
+        }
+    });
+
+    const usedStores = new Set(assignments.map(a => a.storeName));
+    const itemsCost = assignments.reduce((sum, a) => sum + a.lineTotal, 0);
+    const stopsCost = Math.max(0, usedStores.size - 1) * costPerStop;
+    return { assignments, missing, usedStores: Array.from(usedStores), itemsCost, stopsCost, totalCost: itemsCost + stopsCost };
+};
+
+// Fewer missing items always wins; ties are broken by total cost, then by fewer stops
+const isBetterTrip = (candidate, best) => {
+    if (!best) return true;
+    if (candidate.missing.length !== best.missing.length) return candidate.missing.length < best.missing.length;
+    if (Math.abs(candidate.totalCost - best.totalCost) > 1e-9) return candidate.totalCost < best.totalCost;
+    return candidate.usedStores.length < best.usedStores.length;
+};
+
+/**
+ * Finds the cheapest assignment of cart items to at most `maxStores` stores.
+ * Searches every store combination when feasible, otherwise grows the trip greedily.
+ * Prices come from getCheapestOption(), like the list totals, so with `storesById` stores are
+ * ranked on their tax-inclusive price.
+ * @param {object[]} cartItems - Items to buy (each with a `stores` price array).
+ * @param {object} options - { maxStores, costPerStop, storesById, today }; see getCheapestOption() for the last two.
+ */
+const planShoppingTrip = (cartItems, { maxStores = 2, costPerStop = 0, storesById = null, today = toLocalDateKey() } = {}) => {
+    const pricedItems = [];
+    const unpricedItems = [];
+    cartItems.forEach(item => {
+        const prices = new Map();
+        (item.stores || []).forEach(s => {
+            if (!s.storeName || !(s.price > 0)) return;
+            // Today's sale/coupon price at this store, plus its tax on the item's category
+            const price = getCheapestOption({ ...item, stores: [s] }, 'package', storesById, today).priceWithTax;
+            if (!prices.has(s.storeName) || price < prices.get(s.storeName)) prices.set(s.storeName, price);
+        });
+        if (prices.size > 0) pricedItems.push({ item, prices });
+        else unpricedItems.push(item);
+    });
+
+    const allStoreNames = Array.from(new Set(pricedItems.flatMap(({ prices }) => Array.from(prices.keys())))).sort();
+    const limit = Math.max(1, Math.min(maxStores, allStoreNames.length));
+
+    let bestSingle = null;
+    allStoreNames.forEach(storeName => {
+        const trip = evaluateTrip(pricedItems, [storeName], costPerStop);
+        if (isBetterTrip(trip, bestSingle)) bestSingle = trip;
+    });
+
+    let best = bestSingle;
+    let totalCombinations = 0;
+    for (let size = 1; size <= limit; size++) totalCombinations += countCombinations(allStoreNames.length, size);
+    const isExhaustive = totalCombinations <= MAX_TRIP_COMBINATIONS;
+
+    if (isExhaustive) {
+        for (let size = 2; size <= limit; size++) {
+            forEachCombination(allStoreNames, size, (combo) => {
+                const trip = evaluateTrip(pricedItems, combo, costPerStop);
+                if (isBetterTrip(trip, best)) best = trip;
+            });
+        }
+    } else if (best) {
+        // Greedy: keep adding the store that improves the trip most until no store helps
+        let current = best.usedStores;
+        while (current.length < limit) {
+            let improved = null;
+            allStoreNames.filter(name => !current.includes(name)).forEach(name => {
+                const trip = evaluateTrip(pricedItems, [...current, name], costPerStop);
+                if (isBetterTrip(trip, improved || best)) improved = trip;
+            });
+            if (!improved) break;
+            best = improved;
+            current = improved.usedStores;
+        }
+    }
+
+    // Reference point: every item at its own cheapest store, ignoring stop limits and costs
+    const cheapestOptions = pricedItems.map(({ item }) => ({ item, cheapest: getCheapestOption(item, 'package', storesById, today) }));
+    const unlimitedItemsCost = cheapestOptions.reduce((sum, { item, cheapest }) => (
+        sum + (cheapest.priceWithTax || 0) * (item.quantity || 1)
+    ), 0);
+    const unlimitedStoreCount = new Set(cheapestOptions.map(({ cheapest }) => cheapest.storeName)).size;
+
+    const storeGroups = best
+        ? best.usedStores.sort().map(storeName => {
+            const lines = best.assignments.filter(a => a.storeName === storeName);
+            return { storeName, lines, subtotal: lines.reduce((sum, a) => sum + a.lineTotal, 0) };
+        })
+        : [];
+
+    return {
+        best,
+        bestSingle,
+        storeGroups,
+        unpricedItems,
+        isExhaustive,
+        // Savings only make sense when the single-store trip carries the same items
+        savings: best && bestSingle && bestSingle.missing.length === best.missing.length
+            ? bestSingle.totalCost - best.totalCost
+            : null,
+        unlimitedItemsCost,
+        unlimitedStoreCount,
+    };
+};
+
+/**
+ * Drops incomplete price points and coerces numeric fields before an item is saved.
+ * @param {object[]} storePrices - The item's `stores` array as edited in the form.
+ */
+const sanitizeStorePrices = (storePrices) => (storePrices || [])
+    .filter(s => s.storeName && s.price !== undefined && s.price !== null && s.price !== '')
+    .map(s => {
+        const packageSize = Number(s.packageSize);
+        const hasSize = packageSize > 0 && UNIT_OPTIONS.some(u => u.value === s.unit);
+        const { sale, coupon, ...rest } = s;
+        const salePrice = Number(sale && sale.price);
+        const couponAmount = Number(coupon && coupon.amount);
+        return {
+            ...rest,
+            price: Number(s.price),
+            packageSize: hasSize ? packageSize : '',
+            unit: hasSize ? s.unit : '',
+            // Offers without an amount are dropped rather than stored half-filled
+            ...(salePrice > 0 ? { sale: { price: salePrice, startDate: sale.startDate || '', endDate: sale.endDate || '' } } : {}),
+            ...(couponAmount > 0 ? {
+                coupon: {
+                    type: coupon.type === 'percent' ? 'percent' : 'fixed',
+                    amount: coupon.type === 'percent' ? Math.min(couponAmount, 100) : couponAmount,
+                    minQuantity: Math.max(1, Math.floor(Number(coupon.minQuantity)) || 1),
+                    endDate: coupon.endDate || '',
+                },
+            } : {}),
+        };
+    });
+
+// --- INDEX LOOKUPS (NEW: avoid loading whole object stores for targeted queries) ---
+
+/**
+ * Returns every record of `storeName` whose `indexName` matches `query` (a key or IDBKeyRange).
+ * @param {string} storeName - Name of the object store.
+ * @param {string} indexName - Name of the index.
+ * @param {*} query - Key or IDBKeyRange.
+ */
+const getAllByIndexDB = (storeName, indexName, query) => new Promise((resolve, reject) => {
+    executeDBTransaction(storeName, 'readonly', (store) => {
+        const request = store.index(indexName).getAll(query);
+        request.onsuccess = (event) => resolve(event.target.result || []);
+        request.onerror = (event) => reject(event.target.error);
+    }).catch(reject);
+});
+
+/**
+ * Reads the primary keys of every record an index holds under any of `queries`.
+ * @param {string} storeName - Object store to read.
+ * @param {string} indexName - Index on that store.
+ * @param {Array<*>} queries - Index keys, or { lower, upper } for the half-open range [lower, upper).
+ */
+const getKeysByIndexDB = (storeName, indexName, queries) => new Promise((resolve, reject) => {
+    const keys = new Set();
+    executeDBTransaction(storeName, 'readonly', (store) => {
+        const index = store.index(indexName);
+        queries.forEach(query => {
+            const range = query && typeof query === 'object' ? IDBKeyRange.bound(query.lower, query.upper, false, true) : query;
+            const request = index.getAllKeys(range);
+            request.onsuccess = (event) => event.target.result.forEach(key => keys.add(key));
+            request.onerror = (event) => reject(event.target.error);
+        });
+    }).then(() => resolve(keys)).catch(reject);
+});
+
+// Items of the ledger whose stored barcode is any equivalent form of `code` (scanned as `format`), via the 'barcode' index
+const findItemsByBarcodeDB = async (code, format, ledgerId) => {
+    const results = await Promise.all(getBarcodeVariants(code, format).map(variant => getAllByIndexDB(ITEM_STORE, 'barcode', variant)));
+    const unique = new Map();
+    results.flat().filter(item => item.ledgerId === ledgerId).forEach(item => unique.set(item.id, item));
+    return Array.from(unique.values());
+};
+
+// --- CRUD Operations for Product Catalog (NEW) ---
+
+const loadAllCatalogDB = () => new Promise((resolve) => {
+    executeDBTransaction(CATALOG_STORE, 'readonly', (store) => {
+        const request = store.getAll();
+        request.onsuccess = (event) => resolve(event.target.result || []);
+        request.onerror = () => resolve([]);
+    }).catch(() => resolve([])); // e.g. catalog store missing on a failed upgrade
+});
+
+// Upserts many entries in a single transaction (used by build-from-items and catalog import)
+const putCatalogEntriesDB = (entries) => executeDBTransaction(CATALOG_STORE, 'readwrite', (store) => {
+    entries.forEach(entry => store.put(entry));
+});
+const deleteCatalogEntryDB = (barcode) => executeDBTransaction(CATALOG_STORE, 'readwrite', (store) => { store.delete(barcode); });
+
+// --- CRUD Operations for Settings (NEW: key/value records) ---
+
+const loadSettingDB = (key) => new Promise((resolve) => {
+    executeDBTransaction(SETTINGS_STORE, 'readonly', (store) => {
+        const request = store.get(key);
+        request.onsuccess = (event) => resolve(event.target.result ? event.target.result.value : undefined);
+        request.onerror = () => resolve(undefined);
+    }).catch(() => resolve(undefined));
+});
+const saveSettingDB = (key, value) => executeDBTransaction(SETTINGS_STORE, 'readwrite', (store) => { store.put({ key, value }); });
+
+// --- LEDGER SNAPSHOTS (NEW: automatic local backups inside IndexedDB) ---
+
+const LEDGER_STORES = [ITEM_STORE, STORE_STORE, RECEIPT_STORE];
+const SNAPSHOT_REASONS = {
+    daily: 'Daily',
+    import: 'Before import',
+    bulk: 'Before bulk change',
+    restore: 'Before restore',
+    manual: 'Manual',
+};
+const DEFAULT_SNAPSHOT_RETENTION = 10;
+const SNAPSHOT_RETENTION_OPTIONS = [5, 10, 20, 50];
+
+/**
+ * Runs one transaction across several object stores (executeDBTransaction only covers one),
+ * so multi-store reads are consistent and multi-store writes are all-or-nothing.
+ * @param {string[]} storeNames - Object stores to include.
+ * @param {string} mode - 'readonly' or 'readwrite'.
+ * @param {function} callback - Receives { [storeName]: IDBObjectStore } and the transaction.
+ */
+const executeMultiStoreTransaction = async (storeNames, mode, callback) => {
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeNames, mode);
+        const objectStores = Object.fromEntries(storeNames.map(name => [name, transaction.objectStore(name)]));
+        let result;
+        transaction.oncomplete = () => resolve(result);
+        transaction.onerror = (event) => reject(event.target.error);
+        transaction.onabort = (event) => reject(event.target.error || new Error("Transaction aborted."));
+        result = callback(objectStores, transaction);
+    });
+};
+
+// Pairs each ledger object store with the ledger id its records are filed under for `scope`
+const getScopedStores = ({ ledgerId, storeLedgerId }) => [[ITEM_STORE, ledgerId], [STORE_STORE, storeLedgerId], [RECEIPT_STORE, ledgerId]];
+
+// Reads one ledger's items, stores and receipts in one consistent transaction
+const readLedgerDataDB = (scope) => {
+    const data = {};
+    return executeMultiStoreTransaction(LEDGER_STORES, 'readonly', (objectStores) => {
+        getScopedStores(scope).forEach(([name, ownerId]) => {
+            objectStores[name].index('ledgerId').getAll(ownerId).onsuccess = (event) => { data[name] = event.target.result || []; };
+        });
+    }).then(() => ({ items: data[ITEM_STORE], stores: data[STORE_STORE], receipts: data[RECEIPT_STORE] }));
+};
+
+/**
+ * Replaces one ledger's items, stores and receipts atomically; other ledgers are untouched.
+ * Records must already carry the scope's ledger ids (see assignToLedger).
+ * @param {{ledgerId: string, storeLedgerId: string}} scope - Ledger being replaced.
+ * @param {{items: object[], stores: object[], receipts: object[]}} data - The new records.
+ */
+const replaceLedgerDataDB = (scope, { items, stores, receipts }) => executeMultiStoreTransaction(LEDGER_STORES, 'readwrite', (objectStores) => {
+    const recordsByStore = { [ITEM_STORE]: items, [STORE_STORE]: stores, [RECEIPT_STORE]: receipts };
+    getScopedStores(scope).forEach(([name, ownerId]) => {
+        const objectStore = objectStores[name];
+        // Records missing from the new data are deleted; the rest are overwritten in place
+        objectStore.index('ledgerId').getAllKeys(ownerId).onsuccess = (event) => {
+            const keptIds = new Set(recordsByStore[name].map(record => record.id));
+            event.target.result.filter(key => !keptIds.has(key)).forEach(key => objectStore.delete(key));
+            recordsByStore[name].forEach(record => objectStore.put(record));
+        };
+    });
+});
+
+// Adds or overwrites items, stores and receipts in one transaction, so a failure writes none of them
+const putLedgerRecordsDB = ({ items = [], stores = [], receipts = [] }) => executeMultiStoreTransaction(LEDGER_STORES, 'readwrite', (objectStores) => {
+    [[ITEM_STORE, items], [STORE_STORE, stores], [RECEIPT_STORE, receipts]].forEach(([name, records]) => {
+        records.forEach(record => objectStores[name].put(record));
+    });
+});
+
+/**
+ * Saves a category rename or delete in one transaction: the items, stores, receipts and catalog
+ * entries that changed plus the settings (category list, budgets) that refer to the category.
+ * @param {{items: object[], stores: object[], receipts: object[], catalog: object[]}} records - Changed records.
+ * @param {object} settings - Setting values by key.
+ */
+const saveCategoryReassignmentDB = ({ items, stores, receipts, catalog }, settings) => executeMultiStoreTransaction([...LEDGER_STORES, CATALOG_STORE, SETTINGS_STORE], 'readwrite', (objectStores) => {
+    [[ITEM_STORE, items], [STORE_STORE, stores], [RECEIPT_STORE, receipts], [CATALOG_STORE, catalog]].forEach(([name, records]) => {
+        records.forEach(record => objectStores[name].put(record));
+    });
+    Object.entries(settings).forEach(([key, value]) => objectStores[SETTINGS_STORE].put({ key, value }));
+});
+
+// Newest first; ISO timestamps sort like the dates they encode
+const byNewestSnapshot = (a, b) => b.createdAt.localeCompare(a.createdAt);
+
+// One ledger's snapshot metadata, read from the summary store so no data payload is loaded
+const loadSnapshotSummariesDB = (ledgerId) => new Promise((resolve) => {
+    let summaries = [];
+    executeDBTransaction(SNAPSHOT_SUMMARY_STORE, 'readonly', (store) => {
+        store.index('ledgerId').getAll(ledgerId).onsuccess = (event) => { summaries = event.target.result || []; };
+    }).then(() => resolve(summaries.sort(byNewestSnapshot))).catch(() => resolve([]));
+});
+
+const getSnapshotDB = (id) => new Promise((resolve, reject) => {
+    executeDBTransaction(SNAPSHOT_STORE, 'readonly', (store) => {
+        const request = store.get(id);
+        request.onsuccess = (event) => resolve(event.target.result);
+        request.onerror = (event) => reject(event.target.error);
+    }).catch(reject);
+});
+
+// A snapshot and its summary are always written and deleted together
+const SNAPSHOT_STORES = [SNAPSHOT_STORE, SNAPSHOT_SUMMARY_STORE];
+
+const deleteSnapshotDB = (id) => executeMultiStoreTransaction(SNAPSHOT_STORES, 'readwrite', (objectStores) => {
+    SNAPSHOT_STORES.forEach(name => objectStores[name].delete(id));
+});
+
+// Deletes the ledger's oldest snapshots beyond `retention`
+const pruneSnapshotsDB = (ledgerId, retention) => executeMultiStoreTransaction(SNAPSHOT_STORES, 'readwrite', (objectStores) => {
+    objectStores[SNAPSHOT_SUMMARY_STORE].index('ledgerId').getAll(ledgerId).onsuccess = (event) => {
+        event.target.result.sort(byNewestSnapshot).slice(retention).forEach(({ id }) => {
+            SNAPSHOT_STORES.forEach(name => objectStores[name].delete(id));
+        });
+    };
+});
+
+/**
+ * Saves a snapshot of a ledger's items, stores and receipts, then prunes its old ones.
+ * Read from IndexedDB rather than React state so the snapshot is exactly what a restore writes back.
+ * @param {{ledgerId: string, storeLedgerId: string}} scope - Ledger to snapshot.
+ * @param {string} reason - Key of SNAPSHOT_REASONS.
+ * @param {number} retention - Number of snapshots to keep per ledger.
+ * @returns {Promise<object>} The snapshot summary (without data).
+ */
+const takeSnapshotDB = async (scope, reason, retention) => {
+    const data = await readLedgerDataDB(scope);
+    const snapshot = {
+        id: crypto.randomUUID(),
+        ledgerId: scope.ledgerId,
+        createdAt: new Date().toISOString(),
+        reason,
+        counts: { items: data.items.length, stores: data.stores.length, receipts: data.receipts.length },
+        data,
+    };
+    const { data: _data, ...summary } = snapshot;
+    await executeMultiStoreTransaction(SNAPSHOT_STORES, 'readwrite', (objectStores) => {
+        objectStores[SNAPSHOT_STORE].add(snapshot);
+        objectStores[SNAPSHOT_SUMMARY_STORE].add(summary);
+    });
+    await pruneSnapshotsDB(scope.ledgerId, retention);
+    return summary;
+};
+
+// --- LEDGER UTILITIES (NEW: separate named ledgers in one database) ---
+// Items, receipts and snapshots carry the id of the ledger they belong to. Stores carry the id of
+// the ledger that owns the store list, which other ledgers can share via `storeLedgerId`.
+
+const DEFAULT_LEDGER = { id: 'default', name: 'Home' };
+const MAX_LEDGERS = 20;
+// Settings each ledger keeps for itself; the others (e.g. snapshot retention) are app-wide
+const LEDGER_SETTING_KEYS = ['budgets', 'categories'];
+
+const ledgerSettingKey = (ledgerId, key) => `${key}:${ledgerId}`;
+const getStoreLedgerId = (ledger) => ledger.storeLedgerId || ledger.id;
+const getLedgerScope = (ledger) => ({ ledgerId: ledger.id, storeLedgerId: getStoreLedgerId(ledger) });
+// Ledger names follow the same case-insensitive uniqueness rule as store names
+const isLedgerNameTaken = isStoreNameTaken;
+
+// File-name-safe form of a ledger name, for export file names
+const toFileSlug = (name) => name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'ledger';
+
+// Files records under a ledger: items and receipts under the ledger itself, stores under its store list
+const assignToLedger = ({ items, stores, receipts }, { ledgerId, storeLedgerId }) => ({
+    items: items.map(item => ({ ...item, ledgerId })),
+    stores: stores.map(store => ({ ...store, ledgerId: storeLedgerId })),
+    receipts: receipts.map(receipt => ({ ...receipt, ledgerId })),
+});
+
+/**
+ * Gives new ids to the records `needsNewId` selects and rewrites every reference to them:
+ * item prices, price history, aisle overrides and receipt lines. Ids are unique across the whole
+ * database, so a copied or imported record must not reuse an id that another ledger holds.
+ * @param {{items: object[], stores: object[], receipts: object[]}} data - Records to re-key.
+ * @param {function} needsNewId - Receives a record id, returns true to replace it.
+ */
+const reassignRecordIds = ({ items, stores, receipts }, needsNewId = () => true) => {
+    const newIds = new Map();
+    [...items, ...stores, ...receipts].forEach(record => {
+        if (needsNewId(record.id)) newIds.set(record.id, crypto.randomUUID());
+    });
+    if (newIds.size === 0) return { items, stores, receipts };
+
+    const remap = (id) => newIds.get(id) || id;
+    const remapStore = (record) => (newIds.has(record.storeId) ? { ...record, storeId: remap(record.storeId) } : record);
+    return {
+        items: items.map(item => ({
+            ...item,
+            id: remap(item.id),
+            stores: (item.stores || []).map(remapStore),
+            priceHistory: (item.priceHistory || []).map(remapStore),
+            ...(item.aisleOverrides ? {
+                aisleOverrides: Object.fromEntries(Object.entries(item.aisleOverrides).map(([storeId, aisleId]) => [remap(storeId), aisleId])),
+            } : {}),
+        })),
+        stores: stores.map(store => ({ ...store, id: remap(store.id) })),
+        receipts: receipts.map(receipt => ({
+            ...receipt,
+            id: remap(receipt.id),
+            items: (receipt.items || []).map(line => ({
+                ...line,
+                id: remap(line.id),
+                ...(line.cheapestStoreId ? { cheapestStoreId: remap(line.cheapestStoreId) } : {}),
+            })),
+        })),
+    };
+};
+
+// Changes to records loaded for `scope`. Edits to a shared store list also rewrite other ledgers' items.
+const filterChangesToScope = (changes, { ledgerId, storeLedgerId }) => changes.filter(change => {
+    const record = change.after || change.before;
+    return record.ledgerId === (change.storeName === STORE_STORE ? storeLedgerId : ledgerId);
+});
+
+// Ledgers in creation order, so the default ledger comes first
+const loadAllLedgersDB = () => new Promise((resolve, reject) => {
+    executeDBTransaction(LEDGER_STORE, 'readonly', (store) => {
+        const request = store.getAll();
+        request.onsuccess = (event) => resolve((event.target.result || []).sort((a, b) => a.createdAt.localeCompare(b.createdAt)));
+        request.onerror = (event) => reject(event.target.error);
+    }).catch(reject);
+});
+
+const putLedgerDB = (ledger) => executeDBTransaction(LEDGER_STORE, 'readwrite', (store) => { store.put(ledger); });
+
+// Ids of the records filed under ledgers other than `scope`, read from the 'ledgerId' indexes
+const loadForeignRecordIdsDB = (scope) => {
+    const foreignIds = new Set();
+    return executeMultiStoreTransaction(LEDGER_STORES, 'readonly', (objectStores) => {
+        getScopedStores(scope).forEach(([name, ownerId]) => {
+            objectStores[name].index('ledgerId').openKeyCursor().onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (!cursor) return;
+                if (cursor.key !== ownerId) foreignIds.add(cursor.primaryKey);
+                cursor.continue();
+            };
+        });
+    }).then(() => foreignIds);
+};
+
+// Item and receipt counts by ledger id, read from the 'ledgerId' indexes without loading records
+const loadLedgerCountsDB = () => {
+    const counts = {};
+    return executeMultiStoreTransaction([ITEM_STORE, RECEIPT_STORE], 'readonly', (objectStores) => {
+        [[ITEM_STORE, 'items'], [RECEIPT_STORE, 'receipts']].forEach(([name, field]) => {
+            objectStores[name].index('ledgerId').openKeyCursor().onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (!cursor) return;
+                counts[cursor.key] = counts[cursor.key] || { items: 0, receipts: 0 };
+                counts[cursor.key][field]++;
+                cursor.continue();
+            };
+        });
+    }).then(() => counts);
+};
+
+// Items and receipts of several ledgers, e.g. the other users of a shared store list
+const loadLedgerRecordsDB = (ledgerIds) => {
+    const data = { items: [], receipts: [] };
+    return executeMultiStoreTransaction([ITEM_STORE, RECEIPT_STORE], 'readonly', (objectStores) => {
+        ledgerIds.forEach(ledgerId => {
+            objectStores[ITEM_STORE].index('ledgerId').getAll(ledgerId).onsuccess = (event) => { data.items.push(...event.target.result); };
+            objectStores[RECEIPT_STORE].index('ledgerId').getAll(ledgerId).onsuccess = (event) => { data.receipts.push(...event.target.result); };
+        });
+    }).then(() => data);
+};
+
+/**
+ * Creates a ledger with its initial records and per-ledger settings in one transaction.
+ * @param {object} ledger - The new ledger record.
+ * @param {{items: object[], stores: object[], receipts: object[]}} data - Records already filed under it.
+ * @param {object} settings - Per-ledger setting values by key (see LEDGER_SETTING_KEYS).
+ */
+const createLedgerDB = (ledger, { items, stores, receipts }, settings) => executeMultiStoreTransaction([LEDGER_STORE, ...LEDGER_STORES, SETTINGS_STORE], 'readwrite', (objectStores) => {
+    objectStores[LEDGER_STORE].add(ledger);
+    [[ITEM_STORE, items], [STORE_STORE, stores], [RECEIPT_STORE, receipts]].forEach(([name, records]) => {
+        records.forEach(record => objectStores[name].add(record));
+    });
+    Object.entries(settings).forEach(([key, value]) => objectStores[SETTINGS_STORE].put({ key: ledgerSettingKey(ledger.id, key), value }));
+});
+
+// Deletes a ledger with its items, receipts, own stores, snapshots and settings in one transaction
+const deleteLedgerDB = (ledgerId) => executeMultiStoreTransaction([LEDGER_STORE, ...LEDGER_STORES, ...SNAPSHOT_STORES, SETTINGS_STORE], 'readwrite', (objectStores) => {
+    [...LEDGER_STORES, ...SNAPSHOT_STORES].forEach(name => {
+        objectStores[name].index('ledgerId').getAllKeys(ledgerId).onsuccess = (event) => {
+            event.target.result.forEach(key => objectStores[name].delete(key));
+        };
+    });
+    LEDGER_SETTING_KEYS.forEach(key => objectStores[SETTINGS_STORE].delete(ledgerSettingKey(ledgerId, key)));
+    objectStores[LEDGER_STORE].delete(ledgerId);
+});
+
+// --- UNDO / REDO UTILITIES (NEW) ---
+
+// Consecutive quantity clicks on one item within this window become a single undo step
+const UNDO_COALESCE_MS = 2000;
+
+/**
+ * Writes one side of a recorded change set back to IndexedDB in a single transaction.
+ * Each change is { storeName, key, before, after }; a null side means the record didn't exist.
+ * @param {object[]} changes - Changes in the order they were made.
+ * @param {'undo'|'redo'} direction - 'undo' restores `before`, 'redo' restores `after`.
+ */
+const applyRecordChangesDB = (changes, direction) => {
+    const storeNames = [...new Set(changes.map(change => change.storeName))];
+    const ordered = direction === 'undo' ? [...changes].reverse() : changes;
+    return executeMultiStoreTransaction(storeNames, 'readwrite', (objectStores) => {
+        ordered.forEach(change => {
+            const record = direction === 'undo' ? change.before : change.after;
+            if (record) objectStores[change.storeName].put(record);
+            else objectStores[change.storeName].delete(change.key);
+        });
+    });
+};
+
+// Same as applyRecordChangesDB, for the React state list of one object store
+const applyRecordChangesToList = (list, changes, storeName, direction) => {
+    const ordered = direction === 'undo' ? [...changes].reverse() : changes;
+    return ordered.filter(change => change.storeName === storeName).reduce((current, change) => {
+        const record = direction === 'undo' ? change.before : change.after;
+        if (!record) return current.filter(entry => entry.id !== change.key);
+        return current.some(entry => entry.id === change.key)
+            ? current.map(entry => (entry.id === change.key ? record : entry))
+            : [...current, record];
+    }, list);
+};
+
+// --- CSV UTILITIES (NEW) ---
+
+const escapeCSVField = (value) => {
+    const str = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+/**
+ * Serializes an array of objects to CSV using the given column order.
+ * @param {string[]} columns - Header names, also used as object keys.
+ * @param {object[]} rows - Records to serialize.
+ */
+const toCSV = (columns, rows) => [
+    columns.join(','),
+    ...rows.map(row => columns.map(column => escapeCSVField(row[column])).join(',')),
+].join('\r\n');
+
+/**
+ * Parses RFC 4180 CSV text (quoted fields, escaped quotes, embedded newlines) into rows of strings.
+ * @param {string} text - Raw CSV content.
+ */
+const parseCSV = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    const input = text.replace(/^\uFEFF/, ''); // Strip BOM written by spreadsheet apps
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    // Drop completely blank lines
+    return rows.filter(r => r.some(value => value.trim() !== ''));
+};
+
+/**
+ * Parses CSV text into objects keyed by the (trimmed) header row.
+ * @param {string} text - Raw CSV content.
+ */
+const csvToObjects = (text) => {
+    const [header, ...rows] = parseCSV(text);
+    if (!header) return [];
+    const keys = header.map(h => h.trim());
+    return rows.map(values => Object.fromEntries(keys.map((key, i) => [key, (values[i] || '').trim()])));
+};
+
+/**
+ * Triggers a browser download for the given text content.
+ * @param {string} content - File contents.
+ * @param {string} filename - Suggested file name.
+ * @param {string} mimeType - MIME type of the blob.
+ */
+const downloadFile = (content, filename, mimeType) => {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+};
+
+const getDateStamp = () => new Date().toLocaleDateString().replace(/\//g, '-');
+
+// --- SPREADSHEET (CSV) IMPORT / EXPORT UTILITIES (NEW) ---
+
+// Items are flattened to one row per store price; item fields repeat on each row
+const ITEM_CSV_COLUMNS = ['id', 'name', 'brand', 'category', 'status', 'quantity', 'barcode', 'packageSize', 'imageUrl', 'autoDecay', 'storeName', 'price', 'storePackageSize', 'storeUnit'];
+const STORE_CSV_COLUMNS = ['id', 'name', 'address', 'notes', 'loyaltyCard', 'taxRate', 'taxExemptCategories'];
+const RECEIPT_LINE_CSV_COLUMNS = ['receiptId', 'timestamp', 'filterUsed', 'itemId', 'name', 'category', 'quantity', 'store', 'estimatedPrice', 'actualPrice', 'lineTotal', 'taxRate'];
+
+// Fields a CSV column can be mapped to on import; `aliases` are matched when guessing the mapping
+const ITEM_IMPORT_FIELDS = [
+    { key: 'id', label: 'Item ID', aliases: ['itemid'] },
+    { key: 'name', label: 'Name', aliases: ['item', 'itemname', 'product'] },
+    { key: 'brand', label: 'Brand', aliases: [] },
+    { key: 'category', label: 'Category', aliases: [] },
+    { key: 'status', label: 'Status', aliases: [] },
+    { key: 'quantity', label: 'Quantity', aliases: ['qty'] },
+    { key: 'barcode', label: 'Barcode', aliases: ['upc', 'ean', 'gtin'] },
+    { key: 'packageSize', label: 'Package Size (text)', aliases: ['size'] },
+    { key: 'imageUrl', label: 'Image URL', aliases: ['image'] },
+    { key: 'autoDecay', label: 'Auto Decay (true/false)', aliases: ['decay'] },
+    { key: 'storeName', label: 'Store', aliases: ['store'] },
+    { key: 'price', label: 'Price', aliases: ['cost', 'storeprice'] },
+    { key: 'storePackageSize', label: 'Store Package Size', aliases: ['packagesizevalue'] },
+    { key: 'storeUnit', label: 'Store Unit', aliases: ['unit'] },
+];
+const ITEM_TEXT_FIELDS = ['name', 'brand', 'category', 'barcode', 'packageSize', 'imageUrl'];
+
+const toHeaderKey = (header) => header.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Reads a yes/no cell ('true'/'false' as exported, also yes/no and 1/0); null when it is neither
+const parseCSVBoolean = (value) => {
+    const normalized = String(value || '').trim().toLowerCase();
+    if (['true', 'yes', 'y', '1'].includes(normalized)) return true;
+    if (['false', 'no', 'n', '0'].includes(normalized)) return false;
+    return null;
+};
+
+const itemsToCSVRows = (items) => items.flatMap(item => {
+    const base = {
+        id: item.id,
+        name: item.name,
+        brand: item.brand || '',
+        category: item.category,
+        status: item.status,
+        quantity: item.quantity,
+        barcode: item.barcode || '',
+        packageSize: item.packageSize || '',
+        imageUrl: item.imageUrl || '',
+        autoDecay: item.autoDecay === false ? 'false' : 'true',
+    };
+    const storePrices = item.stores || [];
+    if (storePrices.length === 0) return [base];
+    return storePrices.map(s => ({ ...base, storeName: s.storeName, price: s.price, storePackageSize: s.packageSize || '', storeUnit: s.unit || '' }));
+});
+
+const storesToCSVRows = (stores) => stores.map(store => ({
+    ...store,
+    taxRate: store.taxRate ?? '',
+    taxExemptCategories: (store.taxExemptCategories || []).join('; '),
+}));
+
+const receiptsToCSVRows = (receipts) => [...receipts]
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+    .flatMap(receipt => (receipt.items || []).map(line => ({
+        receiptId: receipt.id,
+        timestamp: receipt.timestamp,
+        filterUsed: receipt.filterUsed,
+        itemId: line.id,
+        name: line.name,
+        category: line.category || '',
+        quantity: line.quantity,
+        store: line.cheapestStore,
+        estimatedPrice: line.cheapestPrice ?? '',
+        actualPrice: typeof line.actualPrice === 'number' ? line.actualPrice : '',
+        lineTotal: getLineSpend(line).toFixed(2),
+        taxRate: typeof line.taxRate === 'number' ? `${+(line.taxRate * 100).toFixed(3)}%` : '',
+    })));
+
+/**
+ * Guesses which CSV header feeds each import field by comparing normalized names and aliases.
+ * Returns { [fieldKey]: headerIndex } for the fields it could match.
+ * @param {string[]} headers - Header row of the CSV file.
+ */
+const guessColumnMapping = (headers) => {
+    const headerKeys = headers.map(toHeaderKey);
+    const mapping = {};
+    ITEM_IMPORT_FIELDS.forEach(field => {
+        const candidates = [toHeaderKey(field.key), toHeaderKey(field.label), ...field.aliases];
+        const index = headerKeys.findIndex((key, i) => candidates.includes(key) && !Object.values(mapping).includes(i));
+        if (index !== -1) mapping[field.key] = index;
+    });
+    return mapping;
+};
+
+/**
+ * Applies a column mapping to raw CSV rows and groups rows describing the same item
+ * (same id, else barcode, else name) into records of { fields, stores }. Within a group the first
+ * non-blank value of each field wins; blank cells are left out so they never overwrite existing values.
+ * @param {string[][]} rows - Data rows (header excluded).
+ * @param {object} mapping - { [fieldKey]: headerIndex }.
+ */
+const groupItemCSVRows = (rows, mapping) => {
+    const records = new Map();
+    rows.forEach((values, rowIndex) => {
+        const cell = (key) => (mapping[key] === undefined ? '' : String(values[mapping[key]] || '').trim());
+        const fields = {};
+        ['id', ...ITEM_TEXT_FIELDS, 'status', 'quantity', 'autoDecay'].forEach(key => {
+            const value = cell(key);
+            if (value) fields[key] = value;
+        });
+        // Rows without any identifying field stay separate so the planner can report them as skipped
+        const groupKey = fields.id ? `id:${fields.id}` : fields.barcode ? `barcode:${toComparableBarcode(fields.barcode)}` : fields.name ? `name:${fields.name.toLowerCase()}` : `row:${rowIndex}`;
+
+        const record = records.get(groupKey) || { fields: {}, stores: [] };
+        record.fields = { ...fields, ...record.fields };
+        const storeName = cell('storeName');
+        const price = cell('price');
+        if (storeName && price !== '' && !isNaN(Number(price))) {
+            record.stores.push({ storeName, price: Number(price), packageSize: cell('storePackageSize'), unit: cell('storeUnit') });
+        }
+        records.set(groupKey, record);
+    });
+    return Array.from(records.values());
+};
+
+/**
+ * Matches grouped CSV records to existing items by id, then barcode, then name, and builds the
+ * resulting items. Store prices in the file replace the same store's price and add new stores.
+ * Returns { creates, updates, skipped } where skipped counts new records without a name.
+ * @param {object[]} records - Result of groupItemCSVRows().
+ * @param {object[]} existingItems - Current items.
+ * @param {string[]} storeNames - Reusable store names; file store names are matched to them case-insensitively.
+ * @param {string} defaultCategory - Category of new items whose row has none (the first of the user's list).
+ */
+const planItemCSVImport = (records, existingItems, storeNames = [], defaultCategory = DEFAULT_CATEGORIES[0]) => {
+    const canonicalStoreNames = new Map(storeNames.map(name => [name.toLowerCase(), name]));
+    const byId = new Map(existingItems.map(item => [item.id, item]));
+    const byBarcode = new Map(existingItems.filter(item => item.barcode).map(item => [toComparableBarcode(item.barcode), item]));
+    const byName = new Map(existingItems.map(item => [item.name.toLowerCase(), item]));
+    const importedAt = new Date().toISOString();
+    const creates = [];
+    const updates = new Map();
+    let skipped = 0;
+
+    records.forEach(({ fields, stores }) => {
+        const match = (fields.id && byId.get(fields.id))
+            || (fields.barcode && byBarcode.get(toComparableBarcode(fields.barcode)))
+            || (fields.name && byName.get(fields.name.toLowerCase()));
+        // An item matched by an earlier record keeps accumulating changes
+        const base = match ? (updates.get(match.id) || match) : null;
+        if (!base && !fields.name) {
+            skipped++;
+            return;
+        }
+
+        const mergedStores = [...(base ? base.stores || [] : [])];
+        stores.forEach(filePrice => {
+            const storePrice = { ...filePrice, storeName: canonicalStoreNames.get(filePrice.storeName.toLowerCase()) || filePrice.storeName };
+            const index = mergedStores.findIndex(s => s.storeName.toLowerCase() === storePrice.storeName.toLowerCase());
+            if (index !== -1) mergedStores[index] = { ...mergedStores[index], ...storePrice, storeName: mergedStores[index].storeName };
+            else if (mergedStores.length < MAX_STORES_PER_ITEM) mergedStores.push(storePrice);
+        });
+
+        const next = {
+            ...(base || {
+                id: fields.id || crypto.randomUUID(),
+                brand: '',
+                category: defaultCategory,
+                status: STATUS_CYCLE[0],
+                barcode: '',
+                packageSize: '',
+                imageUrl: '',
+                quantity: 1,
+                autoDecay: true,
+                priceHistory: [],
+            }),
+        };
+        ITEM_TEXT_FIELDS.forEach(key => { if (fields[key]) next[key] = fields[key]; });
+        if (fields.quantity && Number(fields.quantity) >= 1) next.quantity = Math.floor(Number(fields.quantity));
+        const autoDecay = parseCSVBoolean(fields.autoDecay);
+        if (autoDecay !== null) next.autoDecay = autoDecay;
+        const status = fields.status && STATUS_CYCLE.find(value => value.toLowerCase() === fields.status.toLowerCase());
+        const withStatus = status ? applyStatusChange(next, status) : next;
+        const item = withPriceHistory({ ...withStatus, stores: sanitizeStorePrices(mergedStores) }, importedAt);
+
+        if (base) {
+            updates.set(item.id, item);
+        } else {
+            creates.push(item);
+            // Later rows for the same new item (e.g. matched by barcode) update it instead of duplicating
+            byId.set(item.id, item);
+            if (item.barcode) byBarcode.set(toComparableBarcode(item.barcode), item);
+            byName.set(item.name.toLowerCase(), item);
+        }
+    });
+
+    // Items created above and then updated again end up only in `creates`
+    const createdIds = new Set(creates.map(item => item.id));
+    const finalCreates = creates.map(item => updates.get(item.id) || item);
+    return { creates: finalCreates, updates: Array.from(updates.values()).filter(item => !createdIds.has(item.id)), skipped };
+};
+
+// --- EXPORT FORMAT VERSIONING (NEW) ---
+
+const EXPORT_FORMAT = 'myessentials-ledger-backup';
+
+/**
+ * Upgrade steps for exported backups, in order. Each step takes a backup in the previous
+ * format and returns it in format `version`. Files without a `schemaVersion` are format 1.
+ * Never edit a released step; add a new one.
+ */
+const EXPORT_UPGRADES = [
+    {
+        version: 2,
+        description: "Add format metadata and bring items up to the shape of DB version 4",
+        upgrade: (data) => {
+            const seededAt = data.timestamp || new Date().toISOString();
+            const items = Array.isArray(data.items) ? data.items.map(item => {
+                if (!item || typeof item !== 'object') return item;
+                const normalized = {
+                    ...item,
+                    barcode: typeof item.barcode === 'string' ? item.barcode : String(item.barcode || ''),
+                    category: item.category || DEFAULT_CATEGORIES[DEFAULT_CATEGORIES.length - 1],
+                    status: STATUS_CYCLE.includes(item.status) ? item.status : STATUS_CYCLE[0],
+                    quantity: Math.max(1, Number(item.quantity) || 1),
+                    stores: Array.isArray(item.stores) ? item.stores : [],
+                };
+                return Array.isArray(item.priceHistory) ? normalized : seedReleasedPriceHistory(normalized, seededAt);
+            }) : data.items;
+            const { timestamp: _timestamp, ...rest } = data;
+            return {
+                ...rest,
+                format: EXPORT_FORMAT,
+                schemaVersion: 2,
+                exportedAt: seededAt,
+                items,
+                receipts: data.receipts === undefined ? [] : data.receipts,
+            };
+        },
+    },
+    {
+        version: 3,
+        description: "Reference stores by id from item prices, price history and receipt lines",
+        upgrade: (data) => {
+            if (!Array.isArray(data.items) || !Array.isArray(data.stores) || !Array.isArray(data.receipts)) {
+                return { ...data, schemaVersion: 3 }; // Structure errors are reported after upgrading
+            }
+            const namedStores = data.stores.filter(store => store && typeof store.name === 'string');
+            const linked = linkStoreReferences({ items: data.items, stores: namedStores, receipts: data.receipts });
+            return {
+                ...data,
+                schemaVersion: 3,
+                items: linked.items,
+                stores: [...data.stores, ...linked.createdStores],
+                receipts: linked.receipts,
+            };
+        },
+    },
+];
+const EXPORT_SCHEMA_VERSION = EXPORT_UPGRADES[EXPORT_UPGRADES.length - 1].version;
+
+// Ledger ids only mean something inside this database; an import files records under the active ledger
+const withoutLedgerId = (record) => {
+    const { ledgerId: _ledgerId, ...rest } = record;
+    return rest;
+};
+
+const buildExportData = ({ items, stores, receipts }, ledgerName = null) => ({
+    format: EXPORT_FORMAT,
+    schemaVersion: EXPORT_SCHEMA_VERSION,
+    appVersion: APP_VERSION,
+    exportedAt: new Date().toISOString(),
+    ...(ledgerName ? { ledgerName } : {}),
+    items: items.map(withoutLedgerId),
+    stores: stores.map(withoutLedgerId),
+    receipts: receipts.map(withoutLedgerId),
+});
+
+/**
+ * Brings a parsed backup up to EXPORT_SCHEMA_VERSION one step at a time.
+ * Throws if the file comes from a newer version of the app than this one.
+ * @param {object} data - Parsed backup JSON.
+ * @returns {{data: object, fromVersion: number}}
+ */
+const upgradeExportData = (data) => {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error("Invalid file structure. Expected a backup object.");
+    }
+    const fromVersion = data.schemaVersion === undefined ? 1 : data.schemaVersion;
+    if (!Number.isInteger(fromVersion) || fromVersion < 1) {
+        throw new Error(`Unrecognized backup format version: ${JSON.stringify(data.schemaVersion)}.`);
+    }
+    if (fromVersion > EXPORT_SCHEMA_VERSION) {
+        throw new Error(
+            `This backup was made by a newer version of the app (format v${fromVersion}${data.appVersion ? `, app ${data.appVersion}` : ''}). ` +
+            `This app reads format v${EXPORT_SCHEMA_VERSION} and older. Update the app, then import the file again.`
+        );
+    }
+    const upgraded = EXPORT_UPGRADES
+        .filter(step => step.version > fromVersion)
+        .reduce((current, step) => step.upgrade(current), data);
+    return { data: upgraded, fromVersion };
+};
+
+// --- ENCRYPTED BACKUP UTILITIES (NEW: WebCrypto PBKDF2 + AES-GCM) ---
+
+const ENCRYPTED_BACKUP_FORMAT = 'myessentials-ledger-encrypted';
+const BACKUP_KDF_ITERATIONS = 310000; // OWASP recommendation for PBKDF2-HMAC-SHA256
+// A file asking for far fewer iterations is weakly protected; far more would hang the key derivation
+const BACKUP_KDF_ITERATION_RANGE = { min: 100000, max: BACKUP_KDF_ITERATIONS * 10 };
+const BACKUP_SALT_BYTES = 16;
+const BACKUP_IV_BYTES = 12;
+const MIN_PASSPHRASE_LENGTH = 8;
+
+const bytesToBase64 = (bytes) => {
+    let binary = '';
+    // Chunked so large backups don't overflow the argument limit of fromCharCode
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+};
+const base64ToBytes = (base64) => Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+
+const isEncryptedBackup = (data) => Boolean(data && data.format === ENCRYPTED_BACKUP_FORMAT);
+
+const deriveBackupKey = async (passphrase, salt, iterations) => {
+    const baseKey = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+        baseKey,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+};
+
+/**
+ * Encrypts a backup object with a passphrase. The result is a JSON-serializable envelope that
+ * stores the KDF parameters, salt and IV alongside the ciphertext.
+ * @param {object} data - Backup built by buildExportData().
+ * @param {string} passphrase - User passphrase.
+ */
+const encryptBackup = async (data, passphrase) => {
+    const salt = crypto.getRandomValues(new Uint8Array(BACKUP_SALT_BYTES));
+    const iv = crypto.getRandomValues(new Uint8Array(BACKUP_IV_BYTES));
+    const key = await deriveBackupKey(passphrase, salt, BACKUP_KDF_ITERATIONS);
+    const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(data)));
+    return {
+        format: ENCRYPTED_BACKUP_FORMAT,
+        version: 1,
+        kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: BACKUP_KDF_ITERATIONS, salt: bytesToBase64(salt) },
+        cipher: { name: 'AES-GCM', iv: bytesToBase64(iv) },
+        data: bytesToBase64(new Uint8Array(ciphertext)),
+    };
+};
+
+// Decodes a base64 envelope field, or returns null when it isn't valid base64 of the expected length
+const decodeEnvelopeBytes = (value, minLength) => {
+    if (typeof value !== 'string') return null;
+    try {
+        const bytes = base64ToBytes(value);
+        return bytes.length >= minLength ? bytes : null;
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Decrypts an envelope from encryptBackup() and parses the backup inside it.
+ * The KDF parameters are checked before any key is derived, since they come from the file.
+ * AES-GCM authenticates the ciphertext, so a wrong passphrase is detected rather than
+ * producing garbage; that case throws an Error with a user-facing message.
+ * @param {object} envelope - Parsed encrypted backup file.
+ * @param {string} passphrase - User passphrase.
+ */
+const decryptBackup = async (envelope, passphrase) => {
+    if (envelope.version !== 1 || !envelope.kdf || !envelope.cipher || typeof envelope.data !== 'string') {
+        throw new Error("This encrypted backup uses an unsupported format.");
+    }
+    const { name, hash, iterations } = envelope.kdf;
+    const salt = decodeEnvelopeBytes(envelope.kdf.salt, BACKUP_SALT_BYTES);
+    const iv = decodeEnvelopeBytes(envelope.cipher.iv, BACKUP_IV_BYTES);
+    const hasSaneIterations = Number.isInteger(iterations) && iterations >= BACKUP_KDF_ITERATION_RANGE.min && iterations <= BACKUP_KDF_ITERATION_RANGE.max;
+    if (name !== 'PBKDF2' || hash !== 'SHA-256' || !hasSaneIterations || !salt || envelope.cipher.name !== 'AES-GCM' || !iv) {
+        throw new Error("This encrypted backup has unsupported or unsafe key settings.");
+    }
+    let plaintext;
+    try {
+        const key = await deriveBackupKey(passphrase, salt, iterations);
+        plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, base64ToBytes(envelope.data));
+    } catch {
+        throw new Error("Wrong passphrase, or the file is damaged.");
+    }
+    return JSON.parse(new TextDecoder().decode(plaintext));
+};
+
+// --- IMPORT VALIDATION UTILITIES (NEW: schema checks with a per-record report) ---
+
+const describeValue = (value) => (typeof value === 'string' ? `"${value}"` : JSON.stringify(value) ?? String(value));
+
+// Field checks return an error message, or null when the value is acceptable
+const checkRequiredString = (value) => (typeof value === 'string' && value.trim() !== '' ? null : `is required (got ${describeValue(value)})`);
+const checkOptionalString = (value) => (value === undefined || value === null || typeof value === 'string' ? null : `must be text (got ${describeValue(value)})`);
+const checkNumber = (value, { min = -Infinity, integer = false, optional = false } = {}) => {
+    if (optional && (value === undefined || value === null || value === '')) return null;
+    if (typeof value !== 'number' || !Number.isFinite(value)) return `must be a number (got ${describeValue(value)})`;
+    if (integer && !Number.isInteger(value)) return `must be a whole number (got ${value})`;
+    if (value < min) return `must be at least ${min} (got ${value})`;
+    return null;
+};
+const checkDate = (value) => (typeof value === 'string' && !isNaN(new Date(value).getTime()) ? null : `must be a date (got ${describeValue(value)})`);
+
+const checkDateKey = (value) => (!value || (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) ? null : `must be a YYYY-MM-DD date (got ${describeValue(value)})`);
+const checkObject = (value) => (value && typeof value === 'object' ? null : `must be an object (got ${describeValue(value)})`);
+
+// Sale and coupon fields of a price point as [field, message] pairs; both offers are optional
+const validateOffers = ({ sale, coupon }) => {
+    const checks = [];
+    if (sale !== undefined) {
+        if (checkObject(sale)) {
+            checks.push(['sale', checkObject(sale)]);
+        } else {
+            checks.push(
+                ['sale.price', checkNumber(sale.price, { min: 0 })],
+                ['sale.startDate', checkDateKey(sale.startDate)],
+                ['sale.endDate', checkDateKey(sale.endDate)],
+            );
+        }
+    }
+    if (coupon !== undefined) {
+        if (checkObject(coupon)) {
+            checks.push(['coupon', checkObject(coupon)]);
+        } else {
+            checks.push(
+                ['coupon.type', COUPON_TYPES.some(t => t.value === coupon.type) ? null : `must be one of ${COUPON_TYPES.map(t => t.value).join(', ')} (got ${describeValue(coupon.type)})`],
+                ['coupon.amount', checkNumber(coupon.amount, { min: 0 })],
+                ['coupon.minQuantity', checkNumber(coupon.minQuantity, { min: 1, integer: true, optional: true })],
+                ['coupon.endDate', checkDateKey(coupon.endDate)],
+            );
+        }
+    }
+    return checks;
+};
+
+const validateStorePrice = (storePrice, path) => {
+    if (!storePrice || typeof storePrice !== 'object') return [{ field: path, message: 'must be an object' }];
+    return [
+        ['storeName', checkRequiredString(storePrice.storeName)],
+        ['storeId', checkOptionalString(storePrice.storeId)],
+        ['price', checkNumber(storePrice.price, { min: 0 })],
+        ['packageSize', checkNumber(storePrice.packageSize, { min: 0, optional: true })],
+        ['unit', storePrice.unit && !UNIT_OPTIONS.some(u => u.value === storePrice.unit) ? `must be one of ${UNIT_OPTIONS.map(u => u.value).join(', ')} (got ${describeValue(storePrice.unit)})` : null],
+        ...validateOffers(storePrice),
+    ].filter(([, message]) => message).map(([field, message]) => ({ field: `${path}.${field}`, message }));
+};
+
+const validateItem = (item) => {
+    const errors = [
+        ['id', checkRequiredString(item.id)],
+        ['name', checkRequiredString(item.name)],
+        ['category', checkRequiredString(item.category)],
+        ['status', STATUS_CYCLE.includes(item.status) ? null : `must be one of ${STATUS_CYCLE.join(', ')} (got ${describeValue(item.status)})`],
+        ['quantity', checkNumber(item.quantity, { min: 1, integer: true })],
+        ['brand', checkOptionalString(item.brand)],
+        ['barcode', checkOptionalString(item.barcode)],
+        ['packageSize', checkOptionalString(item.packageSize)],
+        ['imageUrl', checkOptionalString(item.imageUrl)],
+        ['autoDecay', item.autoDecay === undefined || typeof item.autoDecay === 'boolean' ? null : `must be true or false (got ${describeValue(item.autoDecay)})`],
+        ['stores', Array.isArray(item.stores) ? null : 'must be a list'],
+        ['priceHistory', item.priceHistory === undefined || Array.isArray(item.priceHistory) ? null : 'must be a list'],
+        ['aisleOverrides', item.aisleOverrides === undefined || (item.aisleOverrides && typeof item.aisleOverrides === 'object' && !Array.isArray(item.aisleOverrides)) ? null : 'must be an object of store id to aisle id'],
+    ].filter(([, message]) => message).map(([field, message]) => ({ field, message }));
+
+    if (Array.isArray(item.stores)) {
+        item.stores.forEach((storePrice, i) => errors.push(...validateStorePrice(storePrice, `stores[${i}]`)));
+    }
+    if (Array.isArray(item.priceHistory)) {
+        item.priceHistory.forEach((entry, i) => {
+            const message = !entry || typeof entry !== 'object' ? 'must be an object'
+                : checkRequiredString(entry.storeName) || checkNumber(entry.price, { min: 0 }) || checkDate(entry.date);
+            if (message) errors.push({ field: `priceHistory[${i}]`, message });
+        });
+    }
+    return errors;
+};
+
+const validateStore = (store) => [
+    ['id', checkRequiredString(store.id)],
+    ['name', checkRequiredString(store.name)],
+    ['address', checkOptionalString(store.address)],
+    ['notes', checkOptionalString(store.notes)],
+    ['loyaltyCard', checkOptionalString(store.loyaltyCard)],
+    ['taxRate', checkNumber(store.taxRate, { min: 0, optional: true }) || (store.taxRate > MAX_TAX_RATE ? `must be at most ${MAX_TAX_RATE} (got ${store.taxRate})` : null)],
+    ['taxExemptCategories', store.taxExemptCategories === undefined || (Array.isArray(store.taxExemptCategories) && store.taxExemptCategories.every(c => typeof c === 'string')) ? null : 'must be a list of category names'],
+    ['aisles', store.aisles === undefined || (Array.isArray(store.aisles) && store.aisles.every(aisle => (
+        aisle && typeof aisle.id === 'string' && typeof aisle.name === 'string' && Array.isArray(aisle.categories)
+    ))) ? null : 'must be a list of { id, name, categories } aisles'],
+].filter(([, message]) => message).map(([field, message]) => ({ field, message }));
+
+const validateReceipt = (receipt) => {
+    const errors = [
+        ['id', checkRequiredString(receipt.id)],
+        ['timestamp', checkDate(receipt.timestamp)],
+        ['estimatedTotal', checkNumber(receipt.estimatedTotal, { min: 0 })],
+        ['actualTotal', checkNumber(receipt.actualTotal, { min: 0, optional: true })],
+        ['estimatedTax', checkNumber(receipt.estimatedTax, { min: 0, optional: true })],
+        ['items', Array.isArray(receipt.items) ? null : 'must be a list'],
+    ].filter(([, message]) => message).map(([field, message]) => ({ field, message }));
+
+    if (Array.isArray(receipt.items)) {
+        receipt.items.forEach((line, i) => {
+            if (!line || typeof line !== 'object') {
+                errors.push({ field: `items[${i}]`, message: 'must be an object' });
+                return;
+            }
+            [
+                ['name', checkRequiredString(line.name)],
+                ['quantity', checkNumber(line.quantity, { min: 1 })],
+                ['cheapestPrice', checkNumber(line.cheapestPrice, { min: 0, optional: true })],
+                ['actualPrice', checkNumber(line.actualPrice, { min: 0, optional: true })],
+                ['taxRate', checkNumber(line.taxRate, { min: 0, optional: true })],
+            ].forEach(([field, message]) => { if (message) errors.push({ field: `items[${i}].${field}`, message }); });
+        });
+    }
+    return errors;
+};
+
+/**
+ * Validates every record of a parsed import file without changing anything.
+ * Records with any invalid field, and later records repeating an id, are left out of `valid`
+ * and reported in `invalid` as { entity, index, label, errors: [{ field, message }] }.
+ * @param {{items: *[], stores: *[], receipts: *[]}} data - Parsed import file.
+ */
+const validateImportData = (data) => {
+    const valid = { items: [], stores: [], receipts: [] };
+    const invalid = [];
+    const validators = { items: validateItem, stores: validateStore, receipts: validateReceipt };
+    const labels = {
+        items: (record) => record.name,
+        stores: (record) => record.name,
+        receipts: (record) => (typeof record.timestamp === 'string' ? new Date(record.timestamp).toLocaleDateString() : null),
+    };
+
+    Object.keys(validators).forEach(entity => {
+        const seenIds = new Set();
+        (data[entity] || []).forEach((record, index) => {
+            const isObject = record && typeof record === 'object' && !Array.isArray(record);
+            const errors = isObject ? validators[entity](record) : [{ field: '(record)', message: 'must be an object' }];
+            if (isObject && typeof record.id === 'string' && seenIds.has(record.id)) {
+                errors.push({ field: 'id', message: `duplicates an earlier record (${record.id})` });
+            }
+            if (errors.length > 0) {
+                invalid.push({ entity, index, label: (isObject && labels[entity](record)) || `#${index + 1}`, errors });
+                return;
+            }
+            seenIds.add(record.id);
+            valid[entity].push(record);
+        });
+    });
+    return { valid, invalid };
+};
+
+/**
+ * Runs a parsed (decrypted) backup through upgrade, structure checks and validation.
+ * Returns the pending-import state for the preview: { data, invalid, source }. Throws on files
+ * that can't be imported at all.
+ * @param {object} parsedData - Parsed backup JSON.
+ */
+const prepareImportPreview = (parsedData) => {
+    // Older backups are upgraded step by step; newer ones are refused
+    const { data: importedData, fromVersion } = upgradeExportData(parsedData);
+
+    if (!importedData || !Array.isArray(importedData.items) || !Array.isArray(importedData.stores)) {
+        throw new Error("Invalid file structure. Must contain 'items' (array) and 'stores' (array) keys.");
+    }
+    if (importedData.receipts !== undefined && !Array.isArray(importedData.receipts)) {
+        throw new Error("Invalid file structure. 'receipts' must be an array when present.");
+    }
+
+    // Dry run: invalid records are reported in the preview and never written
+    const { valid, invalid } = validateImportData({
+        items: importedData.items,
+        stores: importedData.stores,
+        receipts: importedData.receipts || [],
+    });
+    return { data: valid, invalid, source: { fromVersion, appVersion: parsedData.appVersion } };
+};
+
+// --- MERGE IMPORT UTILITIES (NEW: non-destructive import with conflict resolution) ---
+
+const MERGE_CHOICES = [
+    { value: 'mine', label: 'Keep Mine' },
+    { value: 'theirs', label: 'Take Theirs' },
+    { value: 'newest', label: 'Newest Wins' },
+];
+const ITEM_MERGE_FIELDS = ['name', 'brand', 'category', 'status', 'quantity', 'barcode', 'packageSize', 'imageUrl', 'autoDecay'];
+const RECEIPT_MERGE_FIELDS = ['timestamp', 'filterUsed', 'estimatedTotal', 'estimatedTax', 'actualSubtotal', 'actualTotal', 'reconciledAt', 'itemCount'];
+
+const isBlankValue = (value) => value === undefined || value === null || value === '';
+const toTime = (value) => (value ? new Date(value).getTime() || 0 : 0);
+
+// Best guess at when an item was last changed, from the timestamps the app records on it
+const getItemModifiedAt = (item) => Math.max(
+    toTime(item.updatedAt),
+    toTime(item.statusChangedAt),
+    toTime(item.restockedAt),
+    ...(item.priceHistory || []).map(entry => toTime(entry.date))
+);
+const getReceiptModifiedAt = (receipt) => Math.max(toTime(receipt.reconciledAt), toTime(receipt.timestamp));
+
+/**
+ * Compares two versions of a record field by field. A field the local copy lacks is an addition;
+ * a field both copies set to different values is a conflict.
+ * @param {object} local - Record in this browser.
+ * @param {object} incoming - Record from the import file.
+ * @param {string[]} fields - Field names to compare.
+ */
+const diffRecordFields = (local, incoming, fields) => {
+    const additions = [];
+    const conflicts = [];
+    fields.forEach(field => {
+        if (isBlankValue(incoming[field]) || local[field] === incoming[field]) return;
+        if (isBlankValue(local[field])) additions.push(field);
+        else conflicts.push(field);
+    });
+    return { additions, conflicts };
+};
+
+// Union of two price histories in date order, without duplicate entries
+const mergePriceHistories = (a, b) => {
+    const seen = new Set();
+    return [...(a || []), ...(b || [])]
+        .filter(entry => {
+            const key = `${entry.storeName}|${entry.date}|${entry.price}`;
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        })
+        .sort((x, y) => toTime(x.date) - toTime(y.date));
+};
+
+const offersKey = (storePrice) => JSON.stringify([storePrice.sale || null, storePrice.coupon || null]);
+
+const diffItems = (local, incoming) => {
+    const diff = diffRecordFields(local, incoming, ITEM_MERGE_FIELDS);
+    const additions = diff.additions;
+    // Equivalent barcode forms (e.g. UPC-A vs EAN-13) are not a conflict
+    const conflicts = diff.conflicts.filter(field => field !== 'barcode' || toComparableBarcode(local.barcode) !== toComparableBarcode(incoming.barcode));
+    const localPrices = new Map((local.stores || []).map(s => [s.storeName.toLowerCase(), s]));
+    (incoming.stores || []).forEach(storePrice => {
+        const mine = localPrices.get(storePrice.storeName.toLowerCase());
+        if (!mine) additions.push(`price @ ${storePrice.storeName}`);
+        else if (Number(mine.price) !== Number(storePrice.price)) conflicts.push(`price @ ${storePrice.storeName}`);
+        // Price points merge whole, so differing sales or coupons are a conflict too
+        else if (offersKey(mine) !== offersKey(storePrice)) conflicts.push(`offers @ ${storePrice.storeName}`);
+    });
+    const historyGrows = mergePriceHistories(local.priceHistory, incoming.priceHistory).length > (local.priceHistory || []).length;
+    if (historyGrows && additions.length === 0) additions.push('price history');
+    return { additions, conflicts };
+};
+
+/**
+ * Merges an incoming item into the local one. Fields only one side has are always kept and price
+ * histories are combined; `winner` decides the fields and store prices both sides set differently.
+ * @param {object} local - Item in this browser (its id is kept).
+ * @param {object} incoming - Item from the import file.
+ * @param {'mine'|'theirs'} winner - Which side wins conflicting values.
+ */
+const mergeItems = (local, incoming, winner) => {
+    // Store names from the file take the local spelling so prices and history line up
+    const localStoreNames = new Map((local.stores || []).map(s => [s.storeName.toLowerCase(), s.storeName]));
+    const canonical = (storeName) => localStoreNames.get(storeName.toLowerCase()) || storeName;
+    const theirs = {
+        ...incoming,
+        stores: (incoming.stores || []).map(s => ({ ...s, storeName: canonical(s.storeName) })),
+        priceHistory: (incoming.priceHistory || []).map(entry => ({ ...entry, storeName: canonical(entry.storeName) })),
+    };
+    const [primary, secondary] = winner === 'theirs' ? [theirs, local] : [local, theirs];
+    const merged = { ...secondary, ...primary, id: local.id };
+    ITEM_MERGE_FIELDS.forEach(field => {
+        if (isBlankValue(primary[field]) && !isBlankValue(secondary[field])) merged[field] = secondary[field];
+    });
+
+    const storePrices = [...(primary.stores || [])];
+    (secondary.stores || []).forEach(storePrice => {
+        const exists = storePrices.some(s => s.storeName.toLowerCase() === storePrice.storeName.toLowerCase());
+        if (!exists && storePrices.length < MAX_STORES_PER_ITEM) storePrices.push(storePrice);
+    });
+    merged.stores = sanitizeStorePrices(storePrices);
+    return withPriceHistory({ ...merged, priceHistory: mergePriceHistories(local.priceHistory, theirs.priceHistory) });
+};
+
+const mergeReceipts = (local, incoming, winner) => {
+    const [primary, secondary] = winner === 'theirs' ? [incoming, local] : [local, incoming];
+    const merged = { ...secondary, ...primary, id: local.id };
+    RECEIPT_MERGE_FIELDS.forEach(field => {
+        if (isBlankValue(primary[field]) && !isBlankValue(secondary[field])) merged[field] = secondary[field];
+    });
+    return merged;
+};
+
+/**
+ * Works out what merging `incoming` into `local` would do, without writing anything.
+ * Items match by id, then barcode, then name; stores by id or name; receipts by id. Incoming
+ * receipt lines are re-pointed at the item ids the merge leaves their items with.
+ * Each entity gets { adds, updates, conflicts, unchanged } where updates/conflicts are
+ * { key, local, incoming, additions, conflicts } entries.
+ * @param {{items: object[], stores: object[], receipts: object[]}} local - Current data.
+ * @param {{items: object[], stores: object[], receipts: object[]}} incoming - Parsed import file.
+ */
+const planMergeImport = (local, incoming) => {
+    const classify = (result, key, localRecord, incomingRecord, diff) => {
+        if (diff.conflicts.length > 0) result.conflicts.push({ key, local: localRecord, incoming: incomingRecord, ...diff });
+        else if (diff.additions.length > 0) result.updates.push({ key, local: localRecord, incoming: incomingRecord, ...diff });
+        else result.unchanged++;
+    };
+
+    // Items
+    const items = { adds: [], updates: [], conflicts: [], unchanged: 0 };
+    const itemsById = new Map(local.items.map(item => [item.id, item]));
+    const itemsByBarcode = new Map(local.items.filter(item => item.barcode).map(item => [toComparableBarcode(item.barcode), item]));
+    const itemsByName = new Map(local.items.map(item => [item.name.toLowerCase(), item]));
+    // Id matches are claimed first so a looser barcode/name match can't take an item another record owns
+    const matches = new Map(); // incoming index -> local item
+    const claimedIds = new Set();
+    const claim = (index, localItem) => {
+        if (!localItem || matches.has(index) || claimedIds.has(localItem.id)) return;
+        matches.set(index, localItem);
+        claimedIds.add(localItem.id);
+    };
+    incoming.items.forEach((item, index) => claim(index, itemsById.get(item.id)));
+    incoming.items.forEach((item, index) => item.barcode && claim(index, itemsByBarcode.get(toComparableBarcode(item.barcode))));
+    incoming.items.forEach((item, index) => item.name && claim(index, itemsByName.get(item.name.toLowerCase())));
+
+    const usedIds = new Set(local.items.map(item => item.id));
+    const localItemIds = new Map(); // incoming item id -> id the item has after the merge
+    incoming.items.forEach((item, index) => {
+        const match = matches.get(index);
+        if (match) {
+            localItemIds.set(item.id, match.id);
+            classify(items, match.id, match, item, diffItems(match, item));
+            return;
+        }
+        // A new item whose id is already taken gets a fresh one
+        const added = usedIds.has(item.id) ? { ...item, id: crypto.randomUUID() } : item;
+        usedIds.add(added.id);
+        localItemIds.set(item.id, added.id);
+        items.adds.push(added);
+    });
+
+    // A store matched by name keeps the local profile, so a match is never a conflict
+    const stores = { adds: [], updates: [], conflicts: [], unchanged: 0 };
+    const storeIds = new Set(local.stores.map(store => store.id));
+    const storeNames = new Set(local.stores.map(store => store.name.toLowerCase()));
+    incoming.stores.forEach(store => {
+        if (storeNames.has(store.name.toLowerCase())) {
+            stores.unchanged++;
+            return;
+        }
+        if (local.stores.length + stores.adds.length >= MAX_REUSABLE_STORES) return;
+        stores.adds.push(storeIds.has(store.id) ? { ...store, id: crypto.randomUUID() } : store);
+        storeNames.add(store.name.toLowerCase());
+    });
+
+    // Receipts
+    const receipts = { adds: [], updates: [], conflicts: [], unchanged: 0 };
+    const receiptsById = new Map(local.receipts.map(receipt => [receipt.id, receipt]));
+    // Receipt lines follow their item to the local record it matched or the new id it was given
+    const relinkLines = (receipt) => ({
+        ...receipt,
+        items: receipt.items.map(line => (localItemIds.has(line.id) ? { ...line, id: localItemIds.get(line.id) } : line)),
+    });
+    incoming.receipts.map(relinkLines).forEach(receipt => {
+        const match = receiptsById.get(receipt.id);
+        if (!match) {
+            receipts.adds.push(receipt);
+            return;
+        }
+        const diff = diffRecordFields(match, receipt, RECEIPT_MERGE_FIELDS);
+        if (JSON.stringify(match.items) !== JSON.stringify(receipt.items)) diff.conflicts.push('items');
+        classify(receipts, match.id, match, receipt, diff);
+    });
+
+    return { items, stores, receipts };
+};
+
+/**
+ * Turns a merge plan and the user's conflict choices into the records to write.
+ * @param {object} plan - Result of planMergeImport().
+ * @param {object} choices - { [conflictKey]: 'mine' | 'theirs' | 'newest' }, keyed `items:<id>` / `receipts:<id>`.
+ * @param {'mine'|'theirs'|'newest'} defaultChoice - Used for conflicts without an explicit choice.
+ */
+const resolveMergeImport = (plan, choices, defaultChoice) => {
+    const pickWinner = (entity, entry, getModifiedAt) => {
+        const choice = choices[`${entity}:${entry.key}`] || defaultChoice;
+        if (choice !== 'newest') return choice;
+        return getModifiedAt(entry.incoming) > getModifiedAt(entry.local) ? 'theirs' : 'mine';
+    };
+
+    return {
+        items: [
+            ...plan.items.adds,
+            ...plan.items.updates.map(entry => mergeItems(entry.local, entry.incoming, 'mine')),
+            ...plan.items.conflicts.map(entry => mergeItems(entry.local, entry.incoming, pickWinner('items', entry, getItemModifiedAt))),
+        ],
+        stores: plan.stores.adds,
+        receipts: [
+            ...plan.receipts.adds,
+            ...plan.receipts.updates.map(entry => mergeReceipts(entry.local, entry.incoming, 'mine')),
+            ...plan.receipts.conflicts.map(entry => mergeReceipts(entry.local, entry.incoming, pickWinner('receipts', entry, getReceiptModifiedAt))),
+        ],
+    };
+};
+
+/**
+ * Resolves a merge plan and points the merged records at the local stores by name, since store ids
+ * differ between devices. Shared by the import preview and the merge itself. Returns { merged, linked }.
+ * @param {object} plan - Result of planMergeImport().
+ * @param {object[]} stores - The ledger's current stores.
+ * @param {object} choices - See resolveMergeImport().
+ * @param {'mine'|'theirs'|'newest'} defaultChoice - See resolveMergeImport().
+ */
+const linkMergeImport = (plan, stores, choices, defaultChoice) => {
+    const merged = resolveMergeImport(plan, choices, defaultChoice);
+    return { merged, linked: linkStoreReferences({ items: merged.items, stores: [...stores, ...merged.stores], receipts: merged.receipts }) };
+};
+
+// --- BARCODE DECODING UTILITIES (NEW: EAN-13 / UPC-A / UPC-E / EAN-8, fully offline) ---
+const SCAN_INTERVAL_MS = 150;
+const SCAN_FRAME_WIDTH = 640; // Frames are downscaled to this width before decoding
+const SCAN_LINE_COUNT = 15; // Number of rows (and columns) sampled per frame
+const PHOTO_FRAME_WIDTH = 1280; // Still photos get a larger frame and denser sampling than live video
+const PHOTO_SCAN_LINE_COUNT = 60;
+const MIN_ROW_CONTRAST = 40;
+const MAX_DIGIT_ERROR = 1.2; // Max total module deviation allowed when matching a digit
+const QUIET_ZONE_MODULES = 5;
+
+// Module widths (space, bar, space, bar) of the L-code digits 0-9.
+// R-codes use the same widths with inverted colors; G-codes are the L widths reversed.
+const DIGIT_PATTERNS = [
+    [3, 2, 1, 1], [2, 2, 2, 1], [2, 1, 2, 2], [1, 4, 1, 1], [1, 1, 3, 2],
+    [1, 2, 3, 1], [1, 1, 1, 4], [1, 3, 1, 2], [1, 2, 1, 3], [3, 1, 1, 2],
+];
+// Parity of the six left-hand EAN-13 digits (L = odd, G = even) encodes the leading digit
+const EAN13_FIRST_DIGIT_PARITY = ['LLLLLL', 'LLGLGG', 'LLGGLG', 'LLGGGL', 'LGLLGG', 'LGGLLG', 'LGGGLL', 'LGLGLG', 'LGLGGL', 'LGGLGL'];
+// Parity of the six UPC-E digits encodes the check digit (number system 0; number system 1 is inverted)
+const UPCE_CHECK_DIGIT_PARITY = ['GGGLLL', 'GGLGLL', 'GGLLGL', 'GGLLLG', 'GLGGLL', 'GLLGGL', 'GLLLGG', 'GLGLGL', 'GLGLLG', 'GLLGLG'];
+
+/**
+ * Computes the GTIN (mod 10) check digit for a string of digits without its check digit.
+ * @param {string} digits - Payload digits.
+ */
+const computeCheckDigit = (digits) => {
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        // Weights alternate 3,1,3,1... starting from the right-most payload digit
+        const weight = (digits.length - i) % 2 === 1 ? 3 : 1;
+        sum += Number(digits[i]) * weight;
+    }
+    return (10 - (sum % 10)) % 10;
+};
+
+const hasValidCheckDigit = (code) => {
+    if (!/^\d+$/.test(code) || code.length < 2) return false;
+    return computeCheckDigit(code.slice(0, -1)) === Number(code[code.length - 1]);
+};
+
+/**
+ * Expands an 8-digit UPC-E code (number system + 6 digits + check) into its 12-digit UPC-A form.
+ * @param {string} upce - The UPC-E code.
+ */
+const expandUpcE = (upce) => {
+    const ns = upce[0];
+    const d = upce.slice(1, 7);
+    const check = upce[7];
+    const last = d[5];
+    let body;
+    if (last === '0' || last === '1' || last === '2') {
+        body = d[0] + d[1] + last + '0000' + d[2] + d[3] + d[4];
+    } else if (last === '3') {
+        body = d[0] + d[1] + d[2] + '00000' + d[3] + d[4];
+    } else if (last === '4') {
+        body = d[0] + d[1] + d[2] + d[3] + '00000' + d[4];
+    } else {
+        body = d[0] + d[1] + d[2] + d[3] + d[4] + '0000' + last;
+    }
+    return ns + body + check;
+};
+
+/**
+ * Validates a decoded code for the given format, returning the normalized code or null.
+ * UPC-A codes read as EAN-13 (leading 0) are reported as 12-digit UPC-A.
+ * @param {string} code - The raw decoded digits.
+ * @param {string} format - One of 'ean_13', 'upc_a', 'upc_e', 'ean_8'.
+ */
+const normalizeBarcode = (code, format) => {
+    if (!code || !/^\d+$/.test(code)) return null;
+    switch (format) {
+        case 'ean_13':
+            if (code.length !== 13 || !hasValidCheckDigit(code)) return null;
+            return code[0] === '0' ? { code: code.slice(1), format: 'upc_a' } : { code, format };
+        case 'upc_a':
+            return code.length === 12 && hasValidCheckDigit(code) ? { code, format } : null;
+        case 'ean_8':
+            return code.length === 8 && hasValidCheckDigit(code) ? { code, format } : null;
+        case 'upc_e':
+            if (code.length !== 8 || (code[0] !== '0' && code[0] !== '1')) return null;
+            return hasValidCheckDigit(expandUpcE(code)) ? { code, format } : null;
+        default:
+            return null;
+    }
+};
+
+/**
+ * Matches four run widths against the digit patterns.
+ * Returns { digit, parity } where parity is 'L' (pattern order) or 'G' (reversed), or null.
+ * @param {number[]} widths - Four consecutive run widths.
+ * @param {boolean} allowEven - Whether reversed (G-code) patterns are accepted.
+ */
+const matchDigit = (widths, allowEven) => {
+    const total = widths[0] + widths[1] + widths[2] + widths[3];
+    if (total <= 0) return null;
+    const normalized = widths.map(w => (w * 7) / total);
+
+    let best = null;
+    DIGIT_PATTERNS.forEach((pattern, digit) => {
+        const candidates = allowEven ? [['L', pattern], ['G', [...pattern].reverse()]] : [['L', pattern]];
+        candidates.forEach(([parity, p]) => {
+            const error = normalized.reduce((acc, n, k) => acc + Math.abs(n - p[k]), 0);
+            if (!best || error < best.error) best = { digit, parity, error };
+        });
+    });
+    return best && best.error <= MAX_DIGIT_ERROR ? best : null;
+};
+
+/**
+ * Checks that `count` runs starting at `start` look like single-module guard bars/spaces.
+ */
+const isGuard = (runs, start, count, moduleWidth) => {
+    for (let k = 0; k < count; k++) {
+        const w = runs[start + k];
+        if (w === undefined || w < moduleWidth * 0.4 || w > moduleWidth * 1.8) return false;
+    }
+    return true;
+};
+
+/**
+ * Decodes `digitCount` digits from the runs starting at `start`. Returns { digits, parity } or null.
+ */
+const decodeDigits = (runs, start, digitCount, allowEven) => {
+    let digits = '';
+    let parity = '';
+    for (let n = 0; n < digitCount; n++) {
+        const offset = start + n * 4;
+        const match = matchDigit(runs.slice(offset, offset + 4), allowEven);
+        if (!match) return null;
+        digits += match.digit;
+        parity += match.parity;
+    }
+    return { digits, parity };
+};
+
+const hasQuietZone = (runs, index, moduleWidth) => {
+    // Runs at the very edges of the scanline extend past the frame, so they always count as quiet
+    if (index <= 0 || index >= runs.length - 1) return true;
+    return runs[index] >= moduleWidth * QUIET_ZONE_MODULES;
+};
+
+/**
+ * Attempts to decode an EAN-13 / UPC-A, EAN-8 or UPC-E symbol from alternating run widths.
+ * `runs` starts with a light run, so bars sit at odd indices.
+ * @param {number[]} runs - Alternating light/dark run widths of a single scanline.
+ */
+const decodeRuns = (runs) => {
+    for (let i = 1; i < runs.length - 2; i += 2) {
+        const moduleWidth = (runs[i] + runs[i + 1] + runs[i + 2]) / 3;
+        if (!isGuard(runs, i, 3, moduleWidth) || !hasQuietZone(runs, i - 1, moduleWidth)) continue;
+
+        // EAN-13 / UPC-A: guard(3) + 6 digits(24) + middle(5) + 6 digits(24) + guard(3) = 59 runs
+        if (i + 59 <= runs.length && isGuard(runs, i + 27, 5, moduleWidth) && isGuard(runs, i + 56, 3, moduleWidth)
+            && hasQuietZone(runs, i + 59, moduleWidth)) {
+            const left = decodeDigits(runs, i + 3, 6, true);
+            const right = left && decodeDigits(runs, i + 32, 6, false);
+            const firstDigit = left ? EAN13_FIRST_DIGIT_PARITY.indexOf(left.parity) : -1;
+            if (right && firstDigit !== -1) {
+                const result = normalizeBarcode(firstDigit + left.digits + right.digits, 'ean_13');
+                if (result) return result;
+            }
+        }
+
+        // EAN-8: guard(3) + 4 digits(16) + middle(5) + 4 digits(16) + guard(3) = 43 runs
+        if (i + 43 <= runs.length && isGuard(runs, i + 19, 5, moduleWidth) && isGuard(runs, i + 40, 3, moduleWidth)
+            && hasQuietZone(runs, i + 43, moduleWidth)) {
+            const left = decodeDigits(runs, i + 3, 4, false);
+            const right = left && decodeDigits(runs, i + 24, 4, false);
+            if (right) {
+                const result = normalizeBarcode(left.digits + right.digits, 'ean_8');
+                if (result) return result;
+            }
+        }
+
+        // UPC-E: guard(3) + 6 digits(24) + end guard(6) = 33 runs
+        if (i + 33 <= runs.length && isGuard(runs, i + 27, 6, moduleWidth) && hasQuietZone(runs, i + 33, moduleWidth)) {
+            const body = decodeDigits(runs, i + 3, 6, true);
+            if (body) {
+                for (const ns of [0, 1]) {
+                    const pattern = ns === 0 ? body.parity : body.parity.replace(/[LG]/g, c => (c === 'L' ? 'G' : 'L'));
+                    const check = UPCE_CHECK_DIGIT_PARITY.indexOf(pattern);
+                    if (check === -1) continue;
+                    const result = normalizeBarcode(`${ns}${body.digits}${check}`, 'upc_e');
+                    if (result) return result;
+                }
+            }
+        }
+    }
+    return null;
+};
+
+/**
+ * Binarizes a luminance scanline and converts it into alternating run widths (light first).
+ * Returns null when the line has too little contrast to hold a barcode.
+ * @param {Uint8ClampedArray|number[]} line - Luminance values (0-255).
+ */
+const scanlineToRuns = (line) => {
+    let min = 255;
+    let max = 0;
+    for (let k = 0; k < line.length; k++) {
+        if (line[k] < min) min = line[k];
+        if (line[k] > max) max = line[k];
+    }
+    if (max - min < MIN_ROW_CONTRAST) return null;
+    const threshold = (min + max) / 2;
+
+    const runs = [0];
+    let isDark = false;
+    for (let k = 0; k < line.length; k++) {
+        const dark = line[k] < threshold;
+        if (dark !== isDark) {
+            runs.push(0);
+            isDark = dark;
+        }
+        runs[runs.length - 1]++;
+    }
+    return runs;
+};
+
+const decodeScanline = (line) => {
+    const runs = scanlineToRuns(line);
+    if (!runs) return null;
+    // Try left-to-right first, then right-to-left for upside-down barcodes
+    const forward = decodeRuns(runs);
+    if (forward) return forward;
+    const reversed = [...line].reverse();
+    const reversedRuns = scanlineToRuns(reversed);
+    return reversedRuns ? decodeRuns(reversedRuns) : null;
+};
+
+/**
+ * Scans evenly spaced rows and columns of an ImageData frame for a 1D retail barcode.
+ * @param {ImageData} imageData - The frame to decode.
+ * @param {number} lineCount - Number of rows/columns to sample.
+ */
+const decodeImageData = (imageData, lineCount = SCAN_LINE_COUNT) => {
+    const { data, width, height } = imageData;
+    const luminance = new Uint8ClampedArray(width * height);
+    for (let p = 0, q = 0; p < luminance.length; p++, q += 4) {
+        luminance[p] = (data[q] * 299 + data[q + 1] * 587 + data[q + 2] * 114) / 1000;
+    }
+
+    // Sample from the center outwards, since that's where the user aims the barcode
+    const offsets = [];
+    for (let n = 0; n < lineCount; n++) {
+        const step = Math.ceil(n / 2) * (n % 2 === 0 ? 1 : -1);
+        offsets.push(0.5 + (step * 0.8) / lineCount);
+    }
+
+    for (const fraction of offsets) {
+        const y = Math.min(height - 1, Math.max(0, Math.floor(height * fraction)));
+        const result = decodeScanline(luminance.subarray(y * width, (y + 1) * width));
+        if (result) return result;
+    }
+    for (const fraction of offsets) {
+        const x = Math.min(width - 1, Math.max(0, Math.floor(width * fraction)));
+        const column = new Uint8ClampedArray(height);
+        for (let y = 0; y < height; y++) column[y] = luminance[y * width + x];
+        const result = decodeScanline(column);
+        if (result) return result;
+    }
+    return null;
+};
+
+/**
+ * Normalizes a stored or scanned code so UPC-E, UPC-A and zero-padded EAN-13 forms compare equal.
+ * Eight digits can be a UPC-E or an EAN-8, so only a code the decoder reported as UPC-E is expanded;
+ * stored and typed codes are compared as printed.
+ * @param {string} code - Barcode digits.
+ * @param {string|null} format - Symbology reported by the decoder (see normalizeBarcode), if scanned.
+ */
+const toComparableBarcode = (code, format = null) => {
+    const digits = String(code || '').replace(/\D/g, '');
+    if (!digits) return '';
+    const expanded = format === 'upc_e' && normalizeBarcode(digits, 'upc_e') ? expandUpcE(digits) : digits;
+    return expanded.replace(/^0+/, '');
+};
+
+// Scanned UPC-E codes are saved as their UPC-A form, which later comparisons can read without the symbology
+const toStoredBarcode = (code, format) => (format === 'upc_e' && normalizeBarcode(code, 'upc_e') ? expandUpcE(code) : code);
+
+/**
+ * Lists the exact strings an equivalent barcode may have been stored as (as scanned, UPC-A, EAN-13).
+ * Used for exact-match index lookups.
+ * @param {string} code - Barcode digits.
+ * @param {string|null} format - Symbology reported by the decoder, if scanned.
+ */
+const getBarcodeVariants = (code, format = null) => {
+    const raw = String(code || '').trim();
+    const comparable = toComparableBarcode(raw, format);
+    const variants = new Set([raw]);
+    if (comparable) {
+        if (comparable.length <= 12) variants.add(comparable.padStart(12, '0'));
+        variants.add(comparable.padStart(13, '0'));
+    }
+    return Array.from(variants).filter(Boolean);
+};
+
+// Catalog entries are keyed by the GTIN-13 form so every symbology of a product shares one record
+const toCatalogBarcode = (code, format = null) => {
+    const comparable = toComparableBarcode(code, format);
+    return comparable ? comparable.padStart(13, '0') : '';
+};
+
+const CATALOG_CSV_COLUMNS = ['barcode', 'name', 'brand', 'category', 'packageSize', 'imageUrl'];
+
+/**
+ * Cleans a raw catalog record (from JSON or CSV). Returns null when it has no usable barcode or name.
+ * @param {object} raw - Imported record.
+ */
+const sanitizeCatalogEntry = (raw) => {
+    if (!raw || typeof raw !== 'object') return null;
+    const barcode = toCatalogBarcode(raw.barcode);
+    const name = String(raw.name || '').trim();
+    if (!barcode || !name) return null;
+    return {
+        barcode,
+        name,
+        brand: String(raw.brand || '').trim(),
+        category: String(raw.category || '').trim(), // Unknown categories are added to the list once an item uses them
+        packageSize: String(raw.packageSize || '').trim(),
+        imageUrl: String(raw.imageUrl || ''),
+        updatedAt: raw.updatedAt || new Date().toISOString(),
+    };
+};
+
+/**
+ * Fills the blank fields of an item from a catalog entry. Category is only applied to
+ * untouched (still unnamed) items so a user's explicit choice is never overwritten.
+ * @param {object} item - The item being edited.
+ * @param {object|undefined} entry - Matching catalog entry.
+ */
+const applyCatalogEntry = (item, entry) => {
+    if (!entry) return item;
+    const isFresh = !item.name.trim();
+    return {
+        ...item,
+        name: item.name.trim() ? item.name : entry.name,
+        brand: item.brand || entry.brand || '',
+        packageSize: item.packageSize || entry.packageSize || '',
+        imageUrl: item.imageUrl || entry.imageUrl || '',
+        category: isFresh && entry.category ? entry.category : item.category,
+    };
+};
+
+const NATIVE_BARCODE_FORMATS = ['ean_13', 'upc_a', 'upc_e', 'ean_8'];
+
+/**
+ * Creates the browser's on-device BarcodeDetector when available, otherwise resolves to null.
+ */
+const createNativeBarcodeDetector = async () => {
+    if (!('BarcodeDetector' in window)) return null;
+    try {
+        const supported = await window.BarcodeDetector.getSupportedFormats();
+        const formats = NATIVE_BARCODE_FORMATS.filter(f => supported.includes(f));
+        return formats.length > 0 ? new window.BarcodeDetector({ formats }) : null;
+    } catch (error) {
+        console.warn("Native BarcodeDetector unavailable, using built-in decoder:", error);
+        return null;
+    }
+};
+
+/**
+ * Decodes a barcode from a video element, image or canvas source.
+ * Uses the native detector when present and falls back to the built-in scanline decoder.
+ * @param {CanvasImageSource} source - Video frame or image to decode.
+ * @param {HTMLCanvasElement} canvas - Scratch canvas used for pixel access.
+ * @param {object|null} nativeDetector - Result of createNativeBarcodeDetector().
+ * @param {object} options - { lineCount, frameWidth } for the built-in decoder.
+ */
+const decodeBarcodeFromSource = async (source, canvas, nativeDetector, { lineCount = SCAN_LINE_COUNT, frameWidth = SCAN_FRAME_WIDTH } = {}) => {
+    if (nativeDetector) {
+        try {
+            const detections = await nativeDetector.detect(source);
+            for (const detection of detections) {
+                const result = normalizeBarcode(detection.rawValue, detection.format);
+                if (result) return result;
+            }
+        } catch (error) {
+            console.warn("Native barcode detection failed:", error);
+        }
+    }
+
+    const sourceWidth = source.videoWidth || source.naturalWidth || source.width;
+    const sourceHeight = source.videoHeight || source.naturalHeight || source.height;
+    if (!sourceWidth || !sourceHeight) return null;
+
+    const scale = Math.min(1, frameWidth / sourceWidth);
+    canvas.width = Math.round(sourceWidth * scale);
+    canvas.height = Math.round(sourceHeight * scale);
+    const context = canvas.getContext('2d', { willReadFrequently: true });
+    context.drawImage(source, 0, 0, canvas.width, canvas.height);
+    return decodeImageData(context.getImageData(0, 0, canvas.width, canvas.height), lineCount);
+};
+
+// --- UTILITY COMPONENTS (Unchanged) ---
+
+// NEW: useState that survives reloads, for lightweight UI preferences
+const usePersistentState = (key, defaultValue) => {
+    const [value, setValue] = useState(() => {
+        try {
+            const stored = window.localStorage.getItem(key);
+            return stored !== null ? JSON.parse(stored) : defaultValue;
+        } catch {
+            return defaultValue;
+        }
+    });
+
+    useEffect(() => {
+        try {
+            window.localStorage.setItem(key, JSON.stringify(value));
+        } catch (error) {
+            console.warn(`Could not persist preference '${key}':`, error);
+        }
+    }, [key, value]);
+
+    return [value, setValue];
+};
+
+/**
+ * Ids of the records an IndexedDB index holds under `queries` (see getKeysByIndexDB), or null when
+ * there is no query. Also null until the read for the current `records` is back, or when it
+ * fails, so callers filter the loaded records themselves meanwhile.
+ * @param {string} storeName - Object store to read.
+ * @param {string} indexName - Index on that store.
+ * @param {Array<*>|null} queries - Index keys or { lower, upper } ranges of JSON-serializable bounds.
+ * @param {object[]} records - The loaded records; the read is repeated when they change.
+ */
+const useIndexedIds = (storeName, indexName, queries, records) => {
+    const [result, setResult] = useState(null);
+    const queryKey = queries ? JSON.stringify(queries) : null;
+
+    useEffect(() => {
+        if (!queryKey) return;
+        let isCancelled = false;
+        getKeysByIndexDB(storeName, indexName, JSON.parse(queryKey))
+            .then(ids => { if (!isCancelled) setResult({ queryKey, records, ids }); })
+            .catch(error => console.error(`Failed to read the '${indexName}' index:`, error));
+        return () => { isCancelled = true; };
+    }, [storeName, indexName, queryKey, records]);
+
+    return result && result.queryKey === queryKey && result.records === records ? result.ids : null;
+};
+
+// Enhanced Button with Modern/Mobile Feel
+const MobileButton = ({ children, onClick, className = '', disabled = false, title = '' }) => (
+    <button
+        onClick={onClick}
+        disabled={disabled}
+        title={title}
+        className={`
+            w-full px-5 py-3 rounded-xl font-bold text-white transition duration-300
+            bg-red-800/80 shadow-lg shadow-red-900/40
+            hover:bg-red-700/90 active:bg-red-900
+            focus:outline-none focus:ring-4 focus:ring-red-400/50
+            disabled:opacity-40 disabled:cursor-not-allowed disabled:shadow-none disabled:hover:bg-red-800/80
+            ${className}
+        `}
+    >
+        {children}
+    </button>
+);
+
+// Enhanced Card with Deep Glassmorphism Effect
+const DeepCard = ({ children, className = '', onClick }) => (
+    <div
+        onClick={onClick}
+        className={`
+            bg-black bg-opacity-60 backdrop-filter backdrop-blur-xl
+            p-5 rounded-3xl shadow-[0_15px_30px_rgba(0,0,0,0.5)] border border-red-900/50
+            ${className}
+        `}
+    >
+        {children}
+    </div>
+);
+
+// Quantity Control Button (Small for table)
+const QuantityButton = ({ children, onClick, className = '', disabled = false, title = '' }) => (
+    <button
+        onClick={onClick}
+        disabled={disabled}
+        title={title}
+        className={`
+            w-8 h-8 rounded-full font-bold text-lg text-white transition duration-200
+            bg-black/50 border border-red-900/50
+            hover:bg-red-800/70 active:scale-95
+            disabled:opacity-30 disabled:cursor-not-allowed
+            ${className}
+        `}
+    >
+        {children}
+    </button>
+);
+
+
+const Modal = ({ children, onClose }) => (
+    <div className="fixed inset-0 bg-black bg-opacity-80 flex items-center justify-center z-50 p-4" onClick={onClose}>
+        <DeepCard
+            className="w-full max-w-lg max-h-[95vh] overflow-y-auto"
+            onClick={(e) => e.stopPropagation()}
+        >
+            {children}
+        </DeepCard>
+    </div>
+);
+
+// --- Action Dropdown Component ---
+const ActionDropdown = ({ onEdit, onDelete }) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const dropdownRef = useRef(null);
+
+    useEffect(() => {
+        const handleClickOutside = (event) => {
+            if (dropdownRef.current && !dropdownRef.current.contains(event.target)) {
+                setIsOpen(false);
+            }
+        };
+
+        document.addEventListener('mousedown', handleClickOutside);
+        return () => document.removeEventListener('mousedown', handleClickOutside);
+    }, []);
+
+    const handleAction = (actionFn) => {
+        setIsOpen(false);
+        actionFn();
+    };
+
+    return (
+        <div className="relative inline-block text-left" ref={dropdownRef}>
+            <button
+                onClick={() => setIsOpen(!isOpen)}
+                className="w-8 h-8 p-0 flex items-center justify-center rounded-full bg-black/50 text-white hover:bg-red-800/70 transition duration-150"
+                title="Item Actions"
+            >
+                <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 5v.01M12 12v.01M12 19v.01M12 6a1 1 0 110-2 1 1 0 010 2zm0 7a1 1 0 110-2 1 1 0 010 2zm0 7a1 1 0 110-2 1 1 0 010 2z"></path></svg>
+            </button>
+
+            {isOpen && (
+                <div className="absolute right-0 mt-2 w-36 origin-top-right z-10">
+                    <DeepCard className="!p-1 bg-black/80">
+                        <button
+                            onClick={() => handleAction(onEdit)}
+                            className="w-full text-left px-4 py-2 text-sm text-gray-200 rounded-t-xl hover:bg-red-900/70 transition duration-100 block"
+                        >
+                            Edit Item
+                        </button>
+                        <button
+                            onClick={() => handleAction(onDelete)}
+                            className="w-full text-left px-4 py-2 text-sm text-red-400 rounded-b-xl hover:bg-red-800/60 transition duration-100 block border-t border-red-900/50"
+                        >
+                            Delete
+                        </button>
+                    </DeepCard>
+                </div>
+            )}
+        </div>
+    );
+};
+// --- END: Action Dropdown Component ---
+
+
+// --- BARCODE SCANNER MODAL (MODIFIED: real on-device decoding with photo fallback) ---
+
+const loadImageFromUrl = (url) => new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error("Could not load image."));
+    image.src = url;
+});
+
+const BarcodeScannerModal = ({ onClose, onScanComplete }) => {
+    const videoRef = useRef(null);
+    const canvasRef = useRef(null);
+    const photoInputRef = useRef(null);
+    const streamRef = useRef(null);
+    const detectorRef = useRef(null);
+    const hasCompletedRef = useRef(false);
+    const [status, setStatus] = useState('Camera initialization...');
+    const [isCameraActive, setIsCameraActive] = useState(false);
+    const [isDecodingPhoto, setIsDecodingPhoto] = useState(false);
+
+    // Always call the latest callback without restarting the camera effect
+    const onScanCompleteRef = useRef(onScanComplete);
+    useEffect(() => { onScanCompleteRef.current = onScanComplete; }, [onScanComplete]);
+
+    const stopCamera = useCallback(() => {
+        if (streamRef.current) {
+            streamRef.current.getTracks().forEach(track => track.stop());
+            streamRef.current = null;
+        }
+        setIsCameraActive(false);
+    }, []);
+
+    // Stops scanning on the first valid read and hands the code to the parent
+    const completeScan = useCallback((result) => {
+        if (hasCompletedRef.current) return;
+        hasCompletedRef.current = true;
+        stopCamera();
+        console.log(`[BARCODE SCANNED]: ${result.code} (${result.format})`);
+        setStatus(`Scan successful: ${result.code}`);
+        onScanCompleteRef.current(result.code, result.format);
+    }, [stopCamera]);
+
+    useEffect(() => {
+        let isActive = true;
+        let timerId = null;
+
+        // Continuous scanning loop: decode a frame, then schedule the next one
+        const scanFrame = async () => {
+            if (!isActive || hasCompletedRef.current) return;
+            const video = videoRef.current;
+            if (video && video.readyState >= 2 && canvasRef.current) {
+                const result = await decodeBarcodeFromSource(video, canvasRef.current, detectorRef.current);
+                if (result && isActive) {
+                    completeScan(result);
+                    return;
+                }
+            }
+            if (isActive) timerId = setTimeout(scanFrame, SCAN_INTERVAL_MS);
+        };
+
+        const startCamera = async () => {
+            detectorRef.current = await createNativeBarcodeDetector();
+
+            if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+                setStatus('Camera not supported. Upload a photo of the barcode instead.');
+                return;
+            }
+
+            try {
+                const mediaStream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: "environment" } });
+                if (!isActive || !videoRef.current) {
+                    mediaStream.getTracks().forEach(track => track.stop());
+                    return;
+                }
+                streamRef.current = mediaStream;
+                videoRef.current.srcObject = mediaStream;
+                await videoRef.current.play();
+                setIsCameraActive(true);
+                setStatus('Scanning... Point the camera at a UPC/EAN barcode.');
+                scanFrame();
+            } catch (err) {
+                console.error("Camera access failed:", err);
+                if (isActive) setStatus('Camera unavailable. Upload a photo of the barcode instead.');
+            }
+        };
+
+        startCamera();
+
+        return () => {
+            isActive = false;
+            clearTimeout(timerId);
+            if (streamRef.current) {
+                streamRef.current.getTracks().forEach(track => track.stop());
+                streamRef.current = null;
+            }
+        };
+    }, [completeScan]);
+
+    // Fallback: decode a still photo for devices where getUserMedia fails
+    const handlePhotoUpload = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file || !canvasRef.current) return;
+
+        setIsDecodingPhoto(true);
+        setStatus('Decoding photo...');
+        const url = URL.createObjectURL(file);
+        try {
+            const image = await loadImageFromUrl(url);
+            const result = await decodeBarcodeFromSource(image, canvasRef.current, detectorRef.current, {
+                lineCount: PHOTO_SCAN_LINE_COUNT,
+                frameWidth: PHOTO_FRAME_WIDTH,
+            });
+            if (result) {
+                completeScan(result);
+            } else {
+                setStatus('No barcode found in the photo. Try a closer, sharper shot.');
+            }
+        } catch (error) {
+            console.error("Photo decoding failed:", error);
+            setStatus('Could not read the selected image.');
+        } finally {
+            URL.revokeObjectURL(url);
+            setIsDecodingPhoto(false);
+        }
+    };
+
+    return (
+        <Modal onClose={onClose}>
+            <h2 className="text-3xl font-extrabold text-white mb-6 border-b border-red-700 pb-2">Barcode Scanner</h2>
+            <div className="relative w-full aspect-square bg-black rounded-xl overflow-hidden border-2 border-red-700/70">
+                <video ref={videoRef} className="w-full h-full object-cover" playsInline muted></video>
+                <canvas ref={canvasRef} className="hidden"></canvas>
+                {isCameraActive && (
+                    <div className="absolute inset-0 flex items-center justify-center pointer-events-none">
+                        {/* Visual scanning line with animation */}
+                        <div className="w-full h-1 bg-red-400 shadow-xl shadow-red-400/80 animate-pulse-slow"></div>
+                        <style>{`
+                            @keyframes pulse-slow { 
+                                0%, 100% { opacity: 0.5; } 
+                                50% { opacity: 1.0; }
+                            }
+                            .animate-pulse-slow {
+                                animation: pulse-slow 2s infinite ease-in-out;
+                            }
+                        `}</style>
+                    </div>
+                )}
+            </div>
+
+            <p className="mt-4 text-center text-sm text-gray-400">{status}</p>
+
+            <div className="flex justify-between space-x-4 pt-4 border-t border-red-900/40 mt-4">
+                <MobileButton
+                    onClick={() => photoInputRef.current && photoInputRef.current.click()}
+                    disabled={isDecodingPhoto}
+                    className="flex-grow bg-red-600/90 hover:bg-red-500/90 shadow-red-700/50"
+                >
+                    {isDecodingPhoto ? 'Decoding...' : 'Scan From Photo'}
+                </MobileButton>
+                <MobileButton onClick={onClose} className="w-1/4 bg-black/50 hover:bg-red-900/70">X</MobileButton>
+            </div>
+
+            <input
+                ref={photoInputRef}
+                type="file"
+                accept="image/*"
+                capture="environment"
+                className="hidden"
+                onChange={handlePhotoUpload}
+            />
+        </Modal>
+    );
+};
+
+
+// --- RECEIPT RECONCILIATION (NEW) ---
+
+// What was actually paid: the reconciled total (incl. tax), else the shelf subtotal from shopping mode
+const getReceiptActualTotal = (receipt) => {
+    if (typeof receipt.actualTotal === 'number') return receipt.actualTotal;
+    if (typeof receipt.actualSubtotal === 'number') return receipt.actualSubtotal;
+    return null;
+};
+
+// The estimate to compare with getReceiptActualTotal: tax-inclusive when the actual total includes tax
+const getReceiptEstimate = (receipt) => (
+    typeof receipt.actualTotal === 'number' ? receipt.estimatedTotal + (receipt.estimatedTax || 0) : receipt.estimatedTotal
+);
+
+const VarianceBadge = ({ estimated, actual }) => {
+    const difference = actual - estimated;
+    const percent = estimated > 0 ? (difference / estimated) * 100 : null;
+    const isOver = difference > 0.005;
+    return (
+        <span className={`font-semibold ${isOver ? 'text-red-400' : 'text-green-400'}`}>
+            {difference >= 0 ? '+' : '-'}${Math.abs(difference).toFixed(2)}
+            {percent !== null && ` (${percent >= 0 ? '+' : ''}${percent.toFixed(1)}%)`}
+        </span>
+    );
+};
+
+const ReceiptReconcileModal = ({ receipt, onClose, onSave }) => {
+    const [lineActuals, setLineActuals] = useState(() => receipt.items.map(line => (
+        typeof line.actualPrice === 'number' ? String(line.actualPrice) : ''
+    )));
+    const [actualTotal, setActualTotal] = useState(typeof receipt.actualTotal === 'number' ? String(receipt.actualTotal) : '');
+    const [updateItemPrices, setUpdateItemPrices] = useState(false);
+    const [error, setError] = useState('');
+
+    const parseAmount = (value) => (value !== '' && !isNaN(Number(value)) && Number(value) >= 0 ? Number(value) : null);
+
+    // Lines without an entered amount count at their estimate
+    const linesSubtotal = receipt.items.reduce((sum, line, i) => {
+        const actual = parseAmount(lineActuals[i]);
+        return sum + (actual !== null ? actual : (line.cheapestPrice || 0)) * (line.quantity || 1);
+    }, 0);
+    const parsedTotal = parseAmount(actualTotal);
+    const impliedTax = parsedTotal !== null ? parsedTotal - linesSubtotal : null;
+    const estimatedTax = receipt.estimatedTax || 0;
+
+    const handleSave = async () => {
+        const hasLineActuals = lineActuals.some(value => parseAmount(value) !== null);
+        const reconciledItems = receipt.items.map((line, i) => {
+            const { actualPrice: _previous, ...rest } = line;
+            const actual = parseAmount(lineActuals[i]);
+            return actual !== null ? { ...rest, actualPrice: actual } : rest;
+        });
+
+        const { actualTotal: _previousTotal, actualSubtotal: _previousSubtotal, ...baseReceipt } = receipt;
+        const updatedReceipt = {
+            ...baseReceipt,
+            items: reconciledItems,
+            ...(hasLineActuals ? { actualSubtotal: linesSubtotal } : {}),
+            ...(parsedTotal !== null ? { actualTotal: parsedTotal } : {}),
+            reconciledAt: new Date().toISOString(),
+        };
+
+        const saved = await onSave(updatedReceipt, updateItemPrices);
+        if (saved) onClose();
+        else setError('Could not save the reconciliation.');
+    };
+
+    return (
+        <Modal onClose={onClose}>
+            <h2 className="text-3xl font-extrabold text-white mb-2 border-b border-red-700 pb-2">Reconcile Receipt</h2>
+            <p className="text-xs text-gray-400 mb-4">Enter what each item actually cost (each) and the real total from the paper receipt, including tax.</p>
+
+            <div className="space-y-2 max-h-[45vh] overflow-y-auto pr-2 custom-scroll">
+                {receipt.items.map((line, i) => (
+                    <div key={i} className="flex items-center justify-between space-x-2 bg-black/40 p-3 rounded-xl border border-red-900/40">
+                        <div className="min-w-0 text-sm">
+                            <span className="block font-semibold text-white truncate">{line.name} <span className="text-red-500">x{line.quantity}</span></span>
+                            <span className="block text-xs text-gray-500">Est. ${line.cheapestPrice?.toFixed(2) || 'N/A'} @{line.cheapestStore}</span>
+                        </div>
+                        <input
+                            type="number"
+                            min="0"
+                            step="0.01"
+                            placeholder={line.cheapestPrice ? line.cheapestPrice.toFixed(2) : 'Paid ($)'}
+                            value={lineActuals[i]}
+                            onChange={(e) => setLineActuals(prev => prev.map((value, k) => (k === i ? e.target.value : value)))}
+                            className="w-24 p-2 rounded-lg bg-red-900/60 text-white text-sm placeholder-gray-400 border-none focus:ring-red-400/50"
+                        />
+                    </div>
+                ))}
+            </div>
+
+            <div className="mt-4 space-y-3">
+                <div>
+                    <label htmlFor="reconcile-total" className="block text-sm font-semibold text-red-300 mb-1">Actual Total Paid (incl. tax):</label>
+                    <input
+                        id="reconcile-total"
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        placeholder="0.00"
+                        value={actualTotal}
+                        onChange={(e) => setActualTotal(e.target.value)}
+                        className="w-full p-3 rounded-xl bg-black/40 text-white placeholder-gray-500 border border-red-900 focus:ring-red-400 focus:border-red-400"
+                    />
+                </div>
+                <div className="grid grid-cols-2 gap-2 text-sm">
+                    <span className="text-gray-400">Estimated: <span className="font-semibold text-white">${receipt.estimatedTotal.toFixed(2)}</span></span>
+                    {estimatedTax > 0 && (
+                        <span className="text-gray-400">Est. Tax: <span className="font-semibold text-white">${estimatedTax.toFixed(2)}</span></span>
+                    )}
+                    <span className="text-gray-400">Lines: <span className="font-semibold text-white">${linesSubtotal.toFixed(2)}</span></span>
+                    {impliedTax !== null && (
+                        <span className="text-gray-400">Tax/Fees: <span className="font-semibold text-white">${impliedTax.toFixed(2)}</span></span>
+                    )}
+                    <span className="text-gray-400">Variance: <VarianceBadge estimated={parsedTotal !== null ? receipt.estimatedTotal + estimatedTax : receipt.estimatedTotal} actual={parsedTotal !== null ? parsedTotal : linesSubtotal} /></span>
+                </div>
+                <label className="flex items-center space-x-2 text-sm text-gray-300 cursor-pointer">
+                    <input
+                        type="checkbox"
+                        checked={updateItemPrices}
+                        onChange={(e) => setUpdateItemPrices(e.target.checked)}
+                        className="w-4 h-4 accent-red-600"
+                    />
+                    <span>Update item store prices from these actuals</span>
+                </label>
+                {error && <p className="text-sm text-red-300">{error}</p>}
+            </div>
+
+            <div className="flex justify-end space-x-4 pt-6 border-t border-red-900/40 mt-4">
+                <MobileButton onClick={onClose} className="flex-1 bg-black/50 hover:bg-red-900/70 shadow-none">Cancel</MobileButton>
+                <MobileButton onClick={handleSave} className="flex-1 bg-red-700/90 hover:bg-red-600/90">Save</MobileButton>
+            </div>
+        </Modal>
+    );
+};
+
+// --- RECEIPTS MODAL COMPONENT (MODIFIED for separate Month/Year selects) ---
+const ReceiptsModal = ({ onClose, receipts, onDeleteReceipt, onReconcileReceipt }) => {
+    const [reconcilingReceipt, setReconcilingReceipt] = useState(null);
     // Separate state for year and month
     const [selectedYear, setSelectedYear] = useState('all');
     const [selectedMonth, setSelectedMonth] = useState('all'); // 1-12 or 'all'
 
-    // 1. Generate unique Year options from receipts
-    const yearOptions = useMemo(() => {
-        const validReceipts = Array.isArray(receipts) ? receipts : [];
-        const uniqueYears = new Set();
-        validReceipts.forEach(r => {
-            uniqueYears.add(new Date(r.timestamp).getFullYear());
+    // 1. Generate unique Year options from receipts
+    const yearOptions = useMemo(() => {
+        const validReceipts = Array.isArray(receipts) ? receipts : [];
+        const uniqueYears = new Set();
+        validReceipts.forEach(r => {
+            uniqueYears.add(new Date(r.timestamp).getFullYear());
+        });
+
+        // Sort years descending and map to options
+        const options = Array.from(uniqueYears).sort((a, b) => b - a)
+            .map(year => ({ value: String(year), label: String(year) }));
+
+        return [{ value: 'all', label: 'All Years' }, ...options];
+    }, [receipts]);
+
+    // 2. Generate static Month options
+    const monthOptions = useMemo(() => {
+        return [
+            { value: 'all', label: 'All Months' },
+            { value: '1', label: 'January' }, { value: '2', label: 'February' },
+            { value: '3', label: 'March' }, { value: '4', label: 'April' },
+            { value: '5', label: 'May' }, { value: '6', label: 'June' },
+            { value: '7', label: 'July' }, { value: '8', label: 'August' },
+            { value: '9', label: 'September' }, { value: '10', label: 'October' },
+            { value: '11', label: 'November' }, { value: '12', label: 'December' },
+        ];
+    }, []);
+
+    // 3. The selected year/month as ranges over the receipts' 'timestamp' index (ISO strings, local calendar)
+    const timestampRanges = useMemo(() => {
+        if (selectedYear === 'all' && selectedMonth === 'all') return null;
+        const years = selectedYear !== 'all'
+            ? [parseInt(selectedYear, 10)]
+            : yearOptions.filter(option => option.value !== 'all').map(option => parseInt(option.value, 10));
+        return years.map(year => {
+            const [start, end] = selectedMonth === 'all'
+                ? [new Date(year, 0, 1), new Date(year + 1, 0, 1)]
+                : [new Date(year, parseInt(selectedMonth, 10) - 1, 1), new Date(year, parseInt(selectedMonth, 10), 1)];
+            return { lower: start.toISOString(), upper: end.toISOString() };
+        });
+    }, [selectedYear, selectedMonth, yearOptions]);
+    const indexedReceiptIds = useIndexedIds(RECEIPT_STORE, 'timestamp', timestampRanges, receipts);
+
+    // 4. Filter and Sort Logic using both year and month
+    const filteredAndSortedReceipts = useMemo(() => {
+        let list = [...receipts].sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+        // Filter by the ids the index read returned; until it is back, by each receipt's own date
+        if (indexedReceiptIds) return list.filter(receipt => indexedReceiptIds.has(receipt.id));
+
+        if (selectedYear !== 'all') {
+            list = list.filter(receipt => {
+                return new Date(receipt.timestamp).getFullYear() === parseInt(selectedYear, 10);
+            });
+        }
+
+        if (selectedMonth !== 'all') {
+            list = list.filter(receipt => {
+                // getMonth() is 0-indexed, so compare against (month number - 1)
+                return new Date(receipt.timestamp).getMonth() === (parseInt(selectedMonth, 10) - 1);
+            });
+        }
+
+        return list;
+    }, [receipts, selectedYear, selectedMonth, indexedReceiptIds]);
+
+
+    // 5. Estimated vs actual per month, over receipts that have actual amounts
+    const monthlyVariance = useMemo(() => {
+        const byMonth = {};
+        filteredAndSortedReceipts.forEach(receipt => {
+            const actual = getReceiptActualTotal(receipt);
+            if (actual === null) return;
+            const date = new Date(receipt.timestamp);
+            const key = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+            const month = byMonth[key] || (byMonth[key] = {
+                key,
+                label: date.toLocaleDateString([], { month: 'short', year: 'numeric' }),
+                estimated: 0,
+                actual: 0,
+                count: 0,
+            });
+            month.estimated += getReceiptEstimate(receipt);
+            month.actual += actual;
+            month.count++;
+        });
+        return Object.values(byMonth).sort((a, b) => b.key.localeCompare(a.key));
+    }, [filteredAndSortedReceipts]);
+
+    const formatTimestamp = (isoString) => {
+        const date = new Date(isoString);
+        return date.toLocaleDateString() + ' @ ' + date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    };
+
+    return (
+        <>
+            <Modal onClose={onClose}>
+                <h2 className="text-3xl font-extrabold text-white mb-6 border-b border-red-700 pb-2">Past Shopping Receipts</h2>
+
+                <div className="mb-4 grid grid-cols-2 gap-4">
+                    {/* Year Select */}
+                    <div>
+                        <label htmlFor="year-filter" className="block text-sm font-semibold text-red-300 mb-1">Filter by Year:</label>
+                        <select
+                            id="year-filter"
+                            value={selectedYear}
+                            onChange={(e) => setSelectedYear(e.target.value)}
+                            className="w-full p-3 rounded-xl bg-black/40 text-white border border-red-900 focus:ring-red-400 focus:border-red-400"
+                        >
+                            {yearOptions.map(opt => (
+                                <option key={opt.value} value={opt.value}>
+                                    {opt.label}
+                                </option>
+                            ))}
+                        </select>
+                    </div>
+
+                    {/* Month Select */}
+                    <div>
+                        <label htmlFor="month-filter" className="block text-sm font-semibold text-red-300 mb-1">Filter by Month:</label>
+                        <select
+                            id="month-filter"
+                            value={selectedMonth}
+                            onChange={(e) => setSelectedMonth(e.target.value)}
+                            className="w-full p-3 rounded-xl bg-black/40 text-white border border-red-900 focus:ring-red-400 focus:border-red-400"
+                        >
+                            {monthOptions.map(opt => (
+                                <option key={opt.value} value={opt.value}>
+                                    {opt.label}
+                                </option>
+                            ))}
+                        </select>
+                    </div>
+                </div>
+
+                {monthlyVariance.length > 0 && (
+                    <details className="mb-4 text-sm text-gray-300">
+                        <summary className="cursor-pointer text-red-400 font-semibold hover:text-red-300 transition">Estimate Accuracy by Month ({monthlyVariance.length})</summary>
+                        <div className="mt-2 space-y-1">
+                            {monthlyVariance.map(month => (
+                                <div key={month.key} className="flex justify-between items-center bg-black/40 px-3 py-2 rounded-lg text-xs">
+                                    <span className="text-white font-medium w-20">{month.label}</span>
+                                    <span className="text-gray-400">Est ${month.estimated.toFixed(2)}</span>
+                                    <span className="text-gray-400">Paid ${month.actual.toFixed(2)}</span>
+                                    <VarianceBadge estimated={month.estimated} actual={month.actual} />
+                                </div>
+                            ))}
+                        </div>
+                    </details>
+                )}
+
+                {filteredAndSortedReceipts.length === 0 ? (
+                    <p className="text-gray-400 text-center py-8">
+                        No receipts match the current filter selection.
+                    </p>
+                ) : (
+                    <div className="space-y-4 max-h-[60vh] overflow-y-auto pr-2 custom-scroll">
+                        {filteredAndSortedReceipts.map((receipt, index) => (
+                            <DeepCard key={receipt.id} className="!p-4 bg-black/70 border-red-900/70">
+                                <div className="flex justify-between items-start mb-2 pb-2 border-b border-red-900/50">
+                                    <div>
+                                        {/* Numbering logic: count up from the bottom of the filtered list */}
+                                        <h3 className="text-xl font-bold text-red-300">Receipt #{filteredAndSortedReceipts.length - index}</h3>
+                                        <span className="text-xs font-mono text-gray-400">{formatTimestamp(receipt.timestamp)}</span>
+                                    </div>
+                                    <button
+                                        onClick={() => onDeleteReceipt(receipt.id)}
+                                        className="text-red-500 hover:text-red-300 transition p-2 rounded-full hover:bg-black/40"
+                                        title="Delete Receipt"
+                                    >
+                                        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"></path></svg>
+                                    </button>
+                                </div>
+
+                                <div className="grid grid-cols-2 gap-2 text-sm mb-3">
+                                    <span className="text-gray-400">Items: <span className="font-semibold text-white">{receipt.itemCount}</span></span>
+                                    <span className="text-gray-400">Filter: <span className="font-semibold text-white truncate">{receipt.filterUsed}</span></span>
+                                    <span className="col-span-2 text-lg font-extrabold text-green-400">
+                                        Total: ${receipt.estimatedTotal.toFixed(2)}
+                                    </span>
+                                    {receipt.estimatedTax > 0 && (
+                                        <span className="col-span-2 text-sm text-gray-400">
+                                            Est. tax: <span className="font-semibold text-white">${receipt.estimatedTax.toFixed(2)}</span>
+                                            {' '}/ incl. tax: <span className="font-semibold text-green-300">${(receipt.estimatedTotal + receipt.estimatedTax).toFixed(2)}</span>
+                                        </span>
+                                    )}
+                                    {typeof receipt.actualSubtotal === 'number' && (
+                                        <span className="col-span-2 text-sm text-gray-400">Paid at shelf: <span className="font-semibold text-white">${receipt.actualSubtotal.toFixed(2)}</span></span>
+                                    )}
+                                    {typeof receipt.actualTotal === 'number' && (
+                                        <span className="col-span-2 text-sm text-gray-400">Paid incl. tax: <span className="font-semibold text-white">${receipt.actualTotal.toFixed(2)}</span></span>
+                                    )}
+                                    {getReceiptActualTotal(receipt) !== null && (
+                                        <span className="col-span-2 text-xs text-gray-400">
+                                            vs. estimate: <VarianceBadge estimated={getReceiptEstimate(receipt)} actual={getReceiptActualTotal(receipt)} />
+                                        </span>
+                                    )}
+                                </div>
+
+                                <MobileButton
+                                    onClick={() => setReconcilingReceipt(receipt)}
+                                    className="mb-3 !py-2 bg-black/50 hover:bg-red-900/70 text-xs shadow-none border border-red-900/50"
+                                >
+                                    {receipt.reconciledAt ? 'Edit Actual Amounts' : 'Reconcile with Paper Receipt'}
+                                </MobileButton>
+
+                                <details className="text-sm text-gray-300">
+                                    <summary className="cursor-pointer text-red-400 font-semibold hover:text-red-300 transition">View Item Details ({receipt.items.length})</summary>
+                                    <ul className="mt-2 space-y-1 pl-4 list-disc text-gray-400">
+                                        {receipt.items.map((item, i) => (
+                                            <li key={i} className="text-xs">
+                                                <span className="font-medium text-white">{item.name}</span>
+                                                <span className="mx-2 text-red-500">x{item.quantity}</span>
+                                                <span className="text-green-300">(${item.cheapestPrice?.toFixed(2) || 'N/A'})</span>
+                                                {typeof item.actualPrice === 'number' && (
+                                                    <span className="text-white"> paid ${item.actualPrice.toFixed(2)} </span>
+                                                )}
+                                                <span className="text-gray-500">@{item.cheapestStore}</span>
+                                            </li>
+                                        ))}
+                                    </ul>
+                                </details>
+                            </DeepCard>
+                        ))}
+                    </div>
+                )}
+
+                <div className="pt-6 border-t border-red-900/40 mt-4">
+                    <MobileButton onClick={onClose} className="bg-black/50 hover:bg-red-900/70">Close</MobileButton>
+                </div>
+            </Modal>
+
+            {/* Rendered as a sibling: the blurred card would otherwise become the fixed overlay's containing block */}
+            {reconcilingReceipt && (
+                <ReceiptReconcileModal
+                    receipt={reconcilingReceipt}
+                    onClose={() => setReconcilingReceipt(null)}
+                    onSave={onReconcileReceipt}
+                />
+            )}
+        </>
+    );
+};
+
+
+const StorePriceEditor = ({ item, setLocalItem, stores }) => {
+    const getAvailableStoreOptions = (currentIndex, allStores, currentStores) => {
+        const usedIds = new Set(currentStores
+            .filter((_, i) => i !== currentIndex)
+            .map(s => s.storeId)
+            .filter(id => id)
+        );
+        return allStores.filter(s => !usedIds.has(s.id));
+    };
+
+    const handleAddStorePrice = () => {
+        if (item.stores.length >= MAX_STORES_PER_ITEM) return;
+        setLocalItem(prev => ({
+            ...prev,
+            stores: [...prev.stores, { storeId: '', storeName: '', price: '', packageSize: '', unit: '' }]
+        }));
+    };
+
+    const handleUpdateStorePrice = (index, key, value) => {
+        setLocalItem(prev => {
+            const newStores = [...prev.stores];
+            newStores[index] = { ...newStores[index], [key]: value };
+            return { ...prev, stores: newStores };
+        });
+    };
+
+    // The id is the reference; the name is kept alongside it for display
+    const handleSelectStore = (index, storeId) => {
+        const store = stores.find(s => s.id === storeId);
+        if (!store) return;
+        setLocalItem(prev => {
+            const newStores = [...prev.stores];
+            newStores[index] = { ...newStores[index], storeId: store.id, storeName: store.name };
+            return { ...prev, stores: newStores };
+        });
+    };
+
+    const handleRemoveStorePrice = (index) => {
+        setLocalItem(prev => ({
+            ...prev,
+            stores: prev.stores.filter((_, i) => i !== index)
+        }));
+        setOffersOpenIndex(null);
+    };
+
+    // Index of the price point whose sale/coupon fields are expanded
+    const [offersOpenIndex, setOffersOpenIndex] = useState(null);
+
+    const handleUpdateOffer = (index, offerKey, field, value) => {
+        const defaults = offerKey === 'sale' ? { price: '', startDate: '', endDate: '' } : { type: 'fixed', amount: '', minQuantity: 1, endDate: '' };
+        setLocalItem(prev => {
+            const newStores = [...prev.stores];
+            newStores[index] = { ...newStores[index], [offerKey]: { ...(newStores[index][offerKey] || defaults), [field]: value } };
+            return { ...prev, stores: newStores };
+        });
+    };
+
+    const handleClearOffer = (index, offerKey) => {
+        setLocalItem(prev => {
+            const newStores = [...prev.stores];
+            const { [offerKey]: _removed, ...rest } = newStores[index];
+            newStores[index] = rest;
+            return { ...prev, stores: newStores };
+        });
+    };
+
+    const today = toLocalDateKey();
+
+    return (
+        <div className="space-y-4 pt-4 border-t border-red-900/50 mt-6">
+            <h3 className="text-xl font-bold text-red-300">Price Comparison ({item.stores.length}/{MAX_STORES_PER_ITEM})</h3>
+
+            <div className="max-h-60 overflow-y-auto pr-2 space-y-3 custom-scroll">
+                {item.stores.map((store, index) => {
+                    const availableOptions = getAvailableStoreOptions(index, stores, item.stores);
+
+                    const sale = store.sale || {};
+                    const coupon = store.coupon || {};
+                    const hasOffer = Number(sale.price) > 0 || Number(coupon.amount) > 0;
+
+                    return (
+                        <div key={index} className="bg-black/40 p-3 rounded-xl border border-red-900/40">
+                            <div className="flex flex-wrap sm:flex-nowrap items-center space-x-2">
+                                {/* Store Name Dropdown */}
+                                <select
+                                    value={store.storeId || ''}
+                                    onChange={(e) => handleSelectStore(index, e.target.value)}
+                                    className="flex-1 w-full sm:w-auto mb-2 sm:mb-0 p-2 rounded-lg bg-red-900/60 text-white border-none focus:ring-red-400/50"
+                                    required
+                                >
+                                    <option value="" disabled>Select Store</option>
+                                    {availableOptions.map(s => (
+                                        <option key={s.id} value={s.id}>{s.name}</option>
+                                    ))}
+                                </select>
+
+                                {/* Price Input */}
+                                <input
+                                    type="number"
+                                    placeholder="Price ($)"
+                                    value={store.price}
+                                    onChange={(e) => handleUpdateStorePrice(index, 'price', e.target.value)}
+                                    min="0.01"
+                                    step="0.01"
+                                    className="w-28 p-2 rounded-lg bg-red-900/60 text-white border-none focus:ring-red-400/50"
+                                    required
+                                />
+
+                                {/* Package Size & Unit (optional, enables unit pricing) */}
+                                <input
+                                    type="number"
+                                    placeholder="Size"
+                                    value={store.packageSize ?? ''}
+                                    onChange={(e) => handleUpdateStorePrice(index, 'packageSize', e.target.value)}
+                                    min="0"
+                                    step="any"
+                                    className="w-20 p-2 rounded-lg bg-red-900/60 text-white border-none focus:ring-red-400/50"
+                                />
+                                <select
+                                    value={store.unit || ''}
+                                    onChange={(e) => handleUpdateStorePrice(index, 'unit', e.target.value)}
+                                    className="w-20 p-2 rounded-lg bg-red-900/60 text-white border-none focus:ring-red-400/50"
+                                >
+                                    <option value="">Unit</option>
+                                    {UNIT_OPTIONS.map(u => <option key={u.value} value={u.value}>{u.label}</option>)}
+                                </select>
+                                {getUnitPrice(store) && (
+                                    <span className="text-xs text-green-300 whitespace-nowrap">{formatUnitPrice(getUnitPrice(store))}</span>
+                                )}
+
+                                {/* Sale / Coupon Toggle */}
+                                <button
+                                    onClick={() => setOffersOpenIndex(offersOpenIndex === index ? null : index)}
+                                    title="Sale price & coupon"
+                                    className={`h-8 px-2 flex-shrink-0 flex items-center justify-center rounded-lg text-xs font-bold transition ${hasOffer ? 'bg-yellow-500/80 text-black' : 'bg-black/50 text-gray-300 hover:bg-red-900/70'}`}
+                                >
+                                    %
+                                </button>
+
+                                {/* Remove Button */}
+                                <button onClick={() => handleRemoveStorePrice(index)} className="w-8 h-8 p-0 flex items-center justify-center rounded-lg bg-red-600/70 hover:bg-red-500/80 transition ml-2">
+                                    <svg className="w-5 h-5 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12"></path></svg>
+                                </button>
+                            </div>
+
+                            {/* Sale & Coupon (optional, time-limited) */}
+                            {offersOpenIndex === index && (
+                                <div className="mt-3 pt-3 border-t border-red-900/40 space-y-3 text-xs">
+                                    <div>
+                                        <div className="flex justify-between items-center mb-1">
+                                            <span className="font-semibold text-red-300">Sale Price</span>
+                                            {store.sale && (
+                                                <button onClick={() => handleClearOffer(index, 'sale')} className="text-gray-400 hover:text-red-300">Clear</button>
+                                            )}
+                                        </div>
+                                        <div className="flex flex-wrap gap-2 items-center">
+                                            <input
+                                                type="number"
+                                                placeholder="Sale ($)"
+                                                value={sale.price ?? ''}
+                                                onChange={(e) => handleUpdateOffer(index, 'sale', 'price', e.target.value)}
+                                                min="0.01"
+                                                step="0.01"
+                                                className="w-24 p-2 rounded-lg bg-red-900/60 text-white border-none focus:ring-red-400/50"
+                                            />
+                                            <span className="text-gray-400">from</span>
+                                            <input type="date" value={sale.startDate || ''} onChange={(e) => handleUpdateOffer(index, 'sale', 'startDate', e.target.value)} className="p-2 rounded-lg bg-red-900/60 text-white border-none" />
+                                            <span className="text-gray-400">until</span>
+                                            <input type="date" value={sale.endDate || ''} onChange={(e) => handleUpdateOffer(index, 'sale', 'endDate', e.target.value)} className="p-2 rounded-lg bg-red-900/60 text-white border-none" />
+                                        </div>
+                                        {Number(sale.price) > 0 && (
+                                            <span className={`block mt-1 ${isSaleActive({ ...sale, price: Number(sale.price) }, today) ? 'text-yellow-300' : 'text-gray-500'}`}>
+                                                {isSaleActive({ ...sale, price: Number(sale.price) }, today)
+                                                    ? 'On sale today'
+                                                    : sale.startDate && today < sale.startDate ? `Starts ${sale.startDate}` : 'Sale has ended; the regular price applies'}
+                                            </span>
+                                        )}
+                                    </div>
+                                    <div>
+                                        <div className="flex justify-between items-center mb-1">
+                                            <span className="font-semibold text-red-300">Coupon</span>
+                                            {store.coupon && (
+                                                <button onClick={() => handleClearOffer(index, 'coupon')} className="text-gray-400 hover:text-red-300">Clear</button>
+                                            )}
+                                        </div>
+                                        <div className="flex flex-wrap gap-2 items-center">
+                                            <input
+                                                type="number"
+                                                placeholder="Amount"
+                                                value={coupon.amount ?? ''}
+                                                onChange={(e) => handleUpdateOffer(index, 'coupon', 'amount', e.target.value)}
+                                                min="0"
+                                                step="0.01"
+                                                className="w-20 p-2 rounded-lg bg-red-900/60 text-white border-none focus:ring-red-400/50"
+                                            />
+                                            <select
+                                                value={coupon.type || 'fixed'}
+                                                onChange={(e) => handleUpdateOffer(index, 'coupon', 'type', e.target.value)}
+                                                className="p-2 rounded-lg bg-red-900/60 text-white border-none"
+                                            >
+                                                {COUPON_TYPES.map(t => <option key={t.value} value={t.value}>{t.label}</option>)}
+                                            </select>
+                                            <span className="text-gray-400">min qty</span>
+                                            <input
+                                                type="number"
+                                                value={coupon.minQuantity ?? 1}
+                                                onChange={(e) => handleUpdateOffer(index, 'coupon', 'minQuantity', e.target.value)}
+                                                min="1"
+                                                step="1"
+                                                className="w-14 p-2 rounded-lg bg-red-900/60 text-white border-none focus:ring-red-400/50"
+                                            />
+                                            <span className="text-gray-400">expires</span>
+                                            <input type="date" value={coupon.endDate || ''} onChange={(e) => handleUpdateOffer(index, 'coupon', 'endDate', e.target.value)} className="p-2 rounded-lg bg-red-900/60 text-white border-none" />
+                                        </div>
+                                    </div>
+                                </div>
+                            )}
+                        </div>
+                    );
+                })}
+            </div>
+
+            {item.stores.length < MAX_STORES_PER_ITEM && (
+                <MobileButton onClick={handleAddStorePrice} className="w-full mt-4 bg-black/50 hover:bg-red-900/70 text-sm">
+                    + Add Price Point
+                </MobileButton>
+            )}
+        </div>
+    );
+};
+
+// Per-store aisle pins for an item; only stores with an aisle layout are listed
+const AisleOverrideEditor = ({ item, setLocalItem, stores }) => {
+    const laidOutStores = stores.filter(store => store.aisles && store.aisles.length > 0);
+    if (laidOutStores.length === 0) return null;
+
+    const handleChange = (storeId, aisleId) => {
+        setLocalItem(prev => {
+            const { [storeId]: _previous, ...others } = prev.aisleOverrides || {};
+            const aisleOverrides = aisleId ? { ...others, [storeId]: aisleId } : others;
+            return { ...prev, aisleOverrides };
+        });
+    };
+
+    return (
+        <div className="space-y-3 pt-4 border-t border-red-900/50 mt-6">
+            <h3 className="text-xl font-bold text-red-300">Aisles</h3>
+            {laidOutStores.map(store => {
+                const byCategory = getItemAisle({ ...item, aisleOverrides: {} }, store).aisle;
+                return (
+                    <div key={store.id} className="flex items-center justify-between space-x-2">
+                        <span className="text-sm text-gray-300 truncate">{store.name}</span>
+                        <select
+                            value={(item.aisleOverrides || {})[store.id] || ''}
+                            onChange={(e) => handleChange(store.id, e.target.value)}
+                            className="w-48 p-2 rounded-lg bg-red-900/60 text-white text-sm border-none focus:ring-red-400/50"
+                        >
+                            <option value="">By category ({byCategory ? byCategory.name : 'not mapped'})</option>
+                            {store.aisles.map(aisle => <option key={aisle.id} value={aisle.id}>{aisle.name}</option>)}
+                        </select>
+                    </div>
+                );
+            })}
+        </div>
+    );
+};
+
+const ItemForm = ({ localItem, setLocalItem, stores, categories, catalogIndex, forecast }) => {
+    const [isScannerOpen, setIsScannerOpen] = useState(false);
+    const [catalogNotice, setCatalogNotice] = useState('');
+    const imageInputRef = useRef(null);
+
+    const handleImageUpload = (e) => {
+        const file = e.target.files[0];
+        if (file) {
+            const reader = new FileReader();
+            reader.onloadend = () => {
+                setLocalItem(prev => ({ ...prev, imageUrl: reader.result }));
+            };
+            reader.readAsDataURL(file);
+            e.target.value = '';
+        }
+    };
+
+    const handleScanComplete = (upc, format) => {
+        console.log(`[SCAN COMPLETE] Scanned UPC: ${upc}`);
+        const entry = catalogIndex && catalogIndex.get(toCatalogBarcode(upc, format));
+        setLocalItem(prev => applyCatalogEntry({ ...prev, barcode: toStoredBarcode(upc, format) }, entry));
+        setCatalogNotice(entry ? `Filled from catalog: ${entry.name}` : '');
+        setIsScannerOpen(false);
+    };
+
+    const handleQuantityChange = (e) => {
+        const value = parseInt(e.target.value) || 1;
+        setLocalItem({ ...localItem, quantity: Math.max(1, value) });
+    };
+
+    return (
+        <>
+            <div className="space-y-6">
+                {/* Row 1: Name and Category */}
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                    <div>
+                        <label className="block text-sm font-medium text-red-300 mb-1">Item Name</label>
+                        <input
+                            type="text"
+                            value={localItem.name}
+                            onChange={(e) => setLocalItem({ ...localItem, name: e.target.value })}
+                            className="w-full p-3 rounded-xl bg-black/40 text-white border border-red-900 focus:ring-red-400 focus:border-red-400"
+                            required
+                        />
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium text-red-300 mb-1">Category</label>
+                        <select
+                            value={localItem.category}
+                            onChange={(e) => setLocalItem({ ...localItem, category: e.target.value })}
+                            className="w-full p-3 rounded-xl bg-black/40 text-white border border-red-900 focus:ring-red-400 focus:border-red-400"
+                        >
+                            {categories.map(cat => <option key={cat} value={cat}>{cat}</option>)}
+                        </select>
+                    </div>
+                </div>
+
+                {/* Row 1b: Brand and Package Size (NEW, auto-filled from the product catalog) */}
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                    <div>
+                        <label className="block text-sm font-medium text-red-300 mb-1">Brand</label>
+                        <input
+                            type="text"
+                            value={localItem.brand || ''}
+                            onChange={(e) => setLocalItem({ ...localItem, brand: e.target.value })}
+                            className="w-full p-3 rounded-xl bg-black/40 text-white border border-red-900 focus:ring-red-400 focus:border-red-400"
+                        />
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium text-red-300 mb-1">Package Size</label>
+                        <input
+                            type="text"
+                            placeholder="e.g. 12 oz"
+                            value={localItem.packageSize || ''}
+                            onChange={(e) => setLocalItem({ ...localItem, packageSize: e.target.value })}
+                            className="w-full p-3 rounded-xl bg-black/40 text-white placeholder-gray-500 border border-red-900 focus:ring-red-400 focus:border-red-400"
+                        />
+                    </div>
+                </div>
+
+                {/* Row 2: Quantity and Status */}
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                    <div>
+                        <label className="block text-sm font-medium text-red-300 mb-1">Quantity Needed</label>
+                        <input
+                            type="number"
+                            min="1"
+                            value={localItem.quantity}
+                            onChange={handleQuantityChange}
+                            className="w-full p-3 rounded-xl bg-black/40 text-white border border-red-900 focus:ring-red-400 focus:border-red-400"
+                            required
+                        />
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium text-red-300 mb-1">Status</label>
+                        <div className="flex space-x-2">
+                            {STATUS_OPTIONS.map(status => (
+                                <button
+                                    key={status.value}
+                                    onClick={() => setLocalItem({ ...localItem, status: status.value })}
+                                    className={`
+                                    flex-1 py-2 rounded-xl text-xs font-semibold transition
+                                    ${status.value === localItem.status
+                                            ? status.color + ' text-black shadow-lg shadow-red-700/30'
+                                            : 'bg-black/40 text-gray-300 hover:bg-red-900/50'
+                                        }
+                                `}
+                                >
+                                    {status.label}
+                                </button>
+                            ))}
+                        </div>
+                        <label className="flex items-center space-x-2 mt-2 text-xs text-gray-300 cursor-pointer">
+                            <input
+                                type="checkbox"
+                                checked={localItem.autoDecay !== false}
+                                onChange={(e) => setLocalItem({ ...localItem, autoDecay: e.target.checked })}
+                                className="w-4 h-4 accent-red-600"
+                            />
+                            <span>Auto-update status from purchase history</span>
+                        </label>
+                        {forecast && (
+                            <p className="mt-1 text-xs text-gray-500">
+                                Bought about every {forecast.intervalDays} day{forecast.intervalDays === 1 ? '' : 's'} · runs out ~{forecast.runOutDate.toLocaleDateString()}
+                            </p>
+                        )}
+                    </div>
+                </div>
+
+                {/* Barcode Scanner & Image Upload */}
+                <div className="space-y-4">
+                    <div>
+                        <label className="block text-sm font-medium text-red-300 mb-1">Barcode / UPC</label>
+                        <div className="flex space-x-2 items-center">
+                            <MobileButton
+                                onClick={() => setIsScannerOpen(true)}
+                                className="flex-grow bg-black/50 hover:bg-red-900/70 text-sm whitespace-nowrap text-left justify-start !py-3 !px-4"
+                            >
+                                <span className="font-semibold text-base mr-2">
+                                    {localItem.barcode ? 'UPC: ' : 'Scan Barcode'}
+                                </span>
+                                <span className="font-mono text-red-400 truncate">
+                                    {localItem.barcode || 'Tap to Scan'}
+                                </span>
+                            </MobileButton>
+                            {localItem.barcode && (
+                                <MobileButton
+                                    onClick={() => setLocalItem({ ...localItem, barcode: '' })}
+                                    className="w-12 h-12 p-0 flex items-center justify-center bg-red-600/70 hover:bg-red-500/80 shadow-none flex-shrink-0"
+                                    title="Clear Barcode"
+                                >
+                                    &times;
+                                </MobileButton>
+                            )}
+                        </div>
+                        {catalogNotice && <p className="mt-1 text-xs text-green-400">{catalogNotice}</p>}
+                    </div>
+
+                    {/* Image Upload */}
+                    <div className="flex items-center space-x-3 bg-black/40 p-3 rounded-xl border border-red-900/40">
+                        <MobileButton
+                            onClick={() => imageInputRef.current && imageInputRef.current.click()}
+                            className="flex-shrink-0 w-auto bg-red-700/70 hover:bg-red-600/80 text-sm whitespace-nowrap !py-2 !px-4 shadow-none"
+                        >
+                            Choose Image
+                        </MobileButton>
+
+                        <input
+                            ref={imageInputRef}
+                            type="file"
+                            accept="image/*"
+                            className="hidden"
+                            onChange={handleImageUpload}
+                        />
+
+                        {localItem.imageUrl ? (
+                            <img
+                                src={localItem.imageUrl}
+                                alt="Item Preview"
+                                className="h-10 w-10 object-cover rounded-full border-2 border-red-400"
+                                onError={(e) => e.target.style.display = 'none'}
+                            />
+                        ) : (
+                            <span className="text-gray-500 text-sm">No image selected.</span>
+                        )}
+                    </div>
+                </div>
+
+                <StorePriceEditor item={localItem} setLocalItem={setLocalItem} stores={stores} />
+                <AisleOverrideEditor item={localItem} setLocalItem={setLocalItem} stores={stores} />
+            </div>
+
+            {isScannerOpen && (
+                <BarcodeScannerModal
+                    onClose={() => setIsScannerOpen(false)}
+                    onScanComplete={handleScanComplete}
+                />
+            )}
+        </>
+    );
+};
+
+const AddItemModal = ({ onClose, onCreate, stores, categories, catalogIndex, initialBarcode = '' }) => {
+    // A pre-filled barcode (scan-to-find miss) is looked up in the catalog straight away
+    const [localItem, setLocalItem] = useState(() => applyCatalogEntry({
+        id: crypto.randomUUID(),
+        name: '',
+        brand: '',
+        category: categories[0],
+        status: STATUS_OPTIONS[0].value,
+        barcode: initialBarcode,
+        packageSize: '',
+        imageUrl: '',
+        stores: [],
+        quantity: 1,
+    }, initialBarcode && catalogIndex ? catalogIndex.get(toCatalogBarcode(initialBarcode)) : undefined));
+
+    const handleCreate = () => {
+        if (!localItem.name.trim()) return;
+        onCreate(localItem);
+    };
+
+    return (
+        <Modal onClose={onClose}>
+            <h2 className="text-3xl font-extrabold text-white mb-6 border-b border-red-700 pb-2">Create New Item</h2>
+            <ItemForm localItem={localItem} setLocalItem={setLocalItem} stores={stores} categories={categories} catalogIndex={catalogIndex} />
+            <div className="pt-6 border-t border-red-900/40 mt-4">
+                <MobileButton onClick={handleCreate} disabled={!localItem.name.trim()} className="bg-red-600/90 hover:bg-red-500/90 shadow-red-700/50">
+                    Add Item to List
+                </MobileButton>
+            </div>
+        </Modal>
+    );
+};
+
+// --- PRICE HISTORY COMPONENTS (NEW) ---
+
+// Tiny inline SVG line chart; points are spaced by date so flat periods show as flat lines
+const PriceTrendChart = ({ entries, width = 120, height = 36 }) => {
+    if (entries.length < 2) {
+        return <div className="text-xs text-gray-500 italic" style={{ width }}>No changes yet</div>;
+    }
+    const times = entries.map(e => new Date(e.date).getTime());
+    const prices = entries.map(e => e.price);
+    const minTime = Math.min(...times);
+    const timeSpan = Math.max(...times) - minTime;
+    const minPrice = Math.min(...prices);
+    const priceSpan = Math.max(...prices) - minPrice || 1;
+    const pad = 3;
+
+    const points = entries.map((entry, i) => {
+        const xRatio = timeSpan > 0 ? (times[i] - minTime) / timeSpan : i / (entries.length - 1);
+        const x = pad + xRatio * (width - pad * 2);
+        const y = height - pad - ((entry.price - minPrice) / priceSpan) * (height - pad * 2);
+        return `${x.toFixed(1)},${y.toFixed(1)}`;
+    });
+    const isRising = prices[prices.length - 1] > prices[0];
+
+    return (
+        <svg width={width} height={height} viewBox={`0 0 ${width} ${height}`} className="flex-shrink-0">
+            <polyline points={points.join(' ')} fill="none" stroke={isRising ? '#f87171' : '#4ade80'} strokeWidth="2" strokeLinejoin="round" strokeLinecap="round" />
+            {points.map((point, i) => {
+                const [cx, cy] = point.split(',');
+                return <circle key={i} cx={cx} cy={cy} r="2" fill="#fca5a5" />;
+            })}
+        </svg>
+    );
+};
+
+const PriceHistoryPanel = ({ priceHistory }) => {
+    const summaries = useMemo(() => summarizePriceHistory(priceHistory), [priceHistory]);
+    if (summaries.length === 0) return null;
+
+    return (
+        <div className="space-y-3 pt-4 border-t border-red-900/50 mt-6">
+            <h3 className="text-xl font-bold text-red-300">Price History</h3>
+            <div className="max-h-60 overflow-y-auto pr-2 space-y-2 custom-scroll">
+                {summaries.map(summary => (
+                    <div key={summary.storeName} className="flex items-center justify-between space-x-3 bg-black/40 p-3 rounded-xl border border-red-900/40">
+                        <div className="min-w-0 text-xs">
+                            <span className="block text-sm font-semibold text-white truncate">{summary.storeName}</span>
+                            <span className="block text-gray-400">
+                                Now <span className="text-green-400 font-semibold">${summary.current.toFixed(2)}</span>
+                                {summary.entries.length > 1 && (
+                                    <span className={summary.changePercent > 0 ? 'text-red-400' : 'text-green-400'}>
+                                        {' '}({summary.changePercent > 0 ? '+' : ''}{summary.changePercent.toFixed(1)}%)
+                                    </span>
+                                )}
+                            </span>
+                            <span className="block text-gray-500">Min ${summary.min.toFixed(2)} · Max ${summary.max.toFixed(2)}</span>
+                            <span className="block text-gray-500">Changed {new Date(summary.lastChanged).toLocaleDateString()}</span>
+                        </div>
+                        <PriceTrendChart entries={summary.entries} />
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+const ItemEditModal = ({ item, onClose, onSave, stores, categories, catalogIndex, forecast }) => {
+    // Deep clone the item to ensure local edits don't affect parent state until saved
+    const [localItem, setLocalItem] = useState(JSON.parse(JSON.stringify(item)));
+
+    const handleSave = () => {
+        onSave(localItem);
+    };
+
+    return (
+        <Modal onClose={onClose}>
+            <h2 className="text-3xl font-extrabold text-white mb-6 border-b border-red-700 pb-2 truncate">Edit: {localItem.name}</h2>
+            <ItemForm localItem={localItem} setLocalItem={setLocalItem} stores={stores} categories={categories} catalogIndex={catalogIndex} forecast={forecast} />
+            <PriceHistoryPanel priceHistory={item.priceHistory} />
+            <div className="flex justify-end space-x-4 pt-6 border-t border-red-900/40 mt-4">
+                <MobileButton onClick={onClose} className="flex-1 bg-black/50 hover:bg-red-900/70 shadow-none">Cancel</MobileButton>
+                <MobileButton onClick={handleSave} disabled={!localItem.name.trim()} className="flex-1 bg-red-700/90 hover:bg-red-600/90">Save Changes</MobileButton>
+            </div>
+        </Modal>
+    );
+};
+
+// One-line summary of the profile fields shown under a store's name
+const describeStoreProfile = (store) => [
+    store.address,
+    store.taxRate > 0 ? `${store.taxRate}% tax${store.taxExemptCategories?.length ? ` (${store.taxExemptCategories.length} exempt)` : ''}` : null,
+    store.loyaltyCard ? `Card ${store.loyaltyCard}` : null,
+].filter(Boolean).join(' · ');
+
+const ManageStoresModal = ({ onClose, stores, items, sharedWith = [], handleAddStore, handleRenameStore, handleDeleteStore, onEditProfile, onEditAisles, newStoreName, setNewStoreName }) => {
+    const [renaming, setRenaming] = useState(null); // { id, name, error }
+    const [deleting, setDeleting] = useState(null); // { id, targetId }
+
+    const startRename = (store) => {
+        setDeleting(null);
+        setRenaming({ id: store.id, name: store.name, error: '' });
+    };
+
+    const submitRename = async () => {
+        const error = await handleRenameStore(renaming.id, renaming.name);
+        if (error) setRenaming(prev => prev && { ...prev, error });
+        else setRenaming(null);
+    };
+
+    // Stores nothing depends on are deleted straight away; otherwise ask what to do with their prices
+    const startDelete = (store) => {
+        setRenaming(null);
+        if (countStoreDependents(items, store.id).priceCount === 0) {
+            handleDeleteStore(store.id);
+            return;
+        }
+        const firstOther = stores.find(other => other.id !== store.id);
+        setDeleting({ id: store.id, targetId: firstOther ? firstOther.id : '' });
+    };
+
+    const confirmDelete = async (reassign) => {
+        await handleDeleteStore(deleting.id, reassign ? deleting.targetId : null);
+        setDeleting(null);
+    };
+
+    const dependents = deleting ? countStoreDependents(items, deleting.id) : null;
+    const otherStores = deleting ? stores.filter(store => store.id !== deleting.id) : [];
+
+    return (
+        <Modal onClose={onClose}>
+            <h2 className="text-3xl font-extrabold text-white mb-6 border-b border-red-700 pb-2">Manage Stores ({stores.length}/{MAX_REUSABLE_STORES})</h2>
+            {sharedWith.length > 0 && (
+                <p className="text-xs text-gray-400 -mt-4 mb-4">Shared with {sharedWith.join(', ')}: changes here, including renames and deletions, apply there too.</p>
+            )}
+            <div className="flex space-x-2 mb-4">
+                <input
+                    type="text"
+                    placeholder="New Store Name"
+                    value={newStoreName}
+                    onChange={(e) => setNewStoreName(e.target.value)}
+                    className="flex-grow p-3 rounded-xl bg-black/40 text-white placeholder-gray-500 border border-red-900 focus:ring-red-400 focus:border-red-400"
+                    onKeyPress={(e) => e.key === 'Enter' && handleAddStore()}
+                />
+                <MobileButton onClick={handleAddStore} disabled={stores.length >= MAX_REUSABLE_STORES || !newStoreName.trim()} className={`
+                    w-16 flex-shrink-0 !py-2
+                    ${stores.length >= MAX_REUSABLE_STORES || !newStoreName.trim() ? 'bg-gray-700/50' : 'bg-red-700/70 hover:bg-red-600/80'}
+                `}>
+                    +
+                </MobileButton>
+            </div>
+            {newStoreName.trim() && isStoreNameTaken(stores, newStoreName) && (
+                <p className="text-xs text-red-300 -mt-2 mb-3">A store with this name already exists.</p>
+            )}
+            <div className="max-h-80 overflow-y-auto space-y-2 pr-2 custom-scroll">
+                {stores.map(store => (
+                    <div key={store.id} className="bg-black/40 p-3 rounded-xl border border-red-900/40">
+                        {renaming && renaming.id === store.id ? (
+                            <div>
+                                <div className="flex space-x-2">
+                                    <input
+                                        type="text"
+                                        value={renaming.name}
+                                        autoFocus
+                                        onChange={(e) => setRenaming({ ...renaming, name: e.target.value, error: '' })}
+                                        onKeyDown={(e) => {
+                                            if (e.key === 'Enter') submitRename();
+                                            if (e.key === 'Escape') setRenaming(null);
+                                        }}
+                                        className="flex-grow min-w-0 p-2 rounded-lg bg-black/60 text-white border border-red-700 focus:ring-red-400 focus:border-red-400"
+                                    />
+                                    <button onClick={submitRename} className="px-3 rounded-lg bg-red-700/70 hover:bg-red-600/80 text-sm font-semibold text-white transition">Save</button>
+                                    <button onClick={() => setRenaming(null)} className="px-3 rounded-lg bg-black/50 hover:bg-red-900/70 text-sm text-gray-300 transition">Cancel</button>
+                                </div>
+                                {renaming.error && <p className="text-xs text-red-300 mt-2">{renaming.error}</p>}
+                            </div>
+                        ) : (
+                            <div className="flex justify-between items-center">
+                                <div className="min-w-0">
+                                    <span className="block text-gray-200 font-medium">{store.name}</span>
+                                    {describeStoreProfile(store) && <span className="block text-xs text-gray-500 truncate">{describeStoreProfile(store)}</span>}
+                                </div>
+                                <div className="flex space-x-2 flex-shrink-0">
+                                    <button onClick={() => onEditAisles(store)} title="Aisle layout" className="h-8 px-2 flex items-center justify-center rounded-lg bg-black/50 hover:bg-red-900/70 text-xs font-semibold text-gray-300 transition">
+                                        {store.aisles?.length ? `${store.aisles.length} aisles` : 'Aisles'}
+                                    </button>
+                                    <button onClick={() => onEditProfile(store)} title="Store profile & tax" className="w-8 h-8 p-0 flex items-center justify-center rounded-lg bg-black/50 hover:bg-red-900/70 transition">
+                                        <svg className="w-4 h-4 text-gray-300" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M13 16h-1v-4h-1m1-4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z"></path></svg>
+                                    </button>
+                                    <button onClick={() => startRename(store)} title="Rename store" className="w-8 h-8 p-0 flex items-center justify-center rounded-lg bg-black/50 hover:bg-red-900/70 transition">
+                                        <svg className="w-4 h-4 text-gray-300" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M15.232 5.232l3.536 3.536M9 11l6.232-6.232a2.5 2.5 0 113.536 3.536L12.536 14.536 8 16l1-4.768z"></path></svg>
+                                    </button>
+                                    <button onClick={() => startDelete(store)} title="Delete store" className="w-8 h-8 p-0 flex items-center justify-center rounded-lg bg-red-600/70 hover:bg-red-500/80 transition">
+                                        &times;
+                                    </button>
+                                </div>
+                            </div>
+                        )}
+
+                        {deleting && deleting.id === store.id && (
+                            <div className="mt-3 pt-3 border-t border-red-900/50 space-y-3">
+                                <p className="text-sm text-gray-300">
+                                    Used by <span className="font-bold text-white">{dependents.priceCount}</span> {dependents.priceCount === 1 ? 'price' : 'prices'} on <span className="font-bold text-white">{dependents.itemCount}</span> {dependents.itemCount === 1 ? 'item' : 'items'}{sharedWith.length > 0 ? ' across the ledgers sharing these stores' : ''}.
+                                </p>
+                                {otherStores.length > 0 && (
+                                    <div className="flex items-center space-x-2">
+                                        <span className="text-xs text-gray-400 flex-shrink-0">Move prices to</span>
+                                        <select
+                                            value={deleting.targetId}
+                                            onChange={(e) => setDeleting({ ...deleting, targetId: e.target.value })}
+                                            className="flex-grow p-2 rounded-lg bg-black/60 text-white border border-red-900 text-sm"
+                                        >
+                                            {otherStores.map(other => <option key={other.id} value={other.id}>{other.name}</option>)}
+                                        </select>
+                                    </div>
+                                )}
+                                <div className="grid grid-cols-3 gap-2">
+                                    <button onClick={() => confirmDelete(true)} disabled={!deleting.targetId} className="py-2 rounded-lg bg-red-700/70 hover:bg-red-600/80 disabled:bg-gray-700/50 text-xs font-semibold text-white transition">
+                                        Reassign
+                                    </button>
+                                    <button onClick={() => confirmDelete(false)} className="py-2 rounded-lg bg-red-600/70 hover:bg-red-500/80 text-xs font-semibold text-white transition">
+                                        Remove Prices
+                                    </button>
+                                    <button onClick={() => setDeleting(null)} className="py-2 rounded-lg bg-black/50 hover:bg-red-900/70 text-xs text-gray-300 transition">
+                                        Cancel
+                                    </button>
+                                </div>
+                                <p className="text-xs text-gray-500">If an item already has a price at the new store, that price is kept.</p>
+                            </div>
+                        )}
+                    </div>
+                ))}
+            </div>
+        </Modal>
+    );
+};
+
+// --- STORE PROFILE MODAL (NEW) ---
+
+const StoreProfileModal = ({ store, categories, onClose, onSave }) => {
+    const [address, setAddress] = useState(store.address || '');
+    const [notes, setNotes] = useState(store.notes || '');
+    const [loyaltyCard, setLoyaltyCard] = useState(store.loyaltyCard || '');
+    const [taxRate, setTaxRate] = useState(typeof store.taxRate === 'number' ? String(store.taxRate) : '');
+    const [exemptCategories, setExemptCategories] = useState(store.taxExemptCategories || []);
+    const [error, setError] = useState('');
+
+    const toggleExempt = (category) => setExemptCategories(prev => (
+        prev.includes(category) ? prev.filter(c => c !== category) : [...prev, category]
+    ));
+
+    const handleSave = async () => {
+        const rate = taxRate.trim() === '' ? null : Number(taxRate);
+        if (rate !== null && (isNaN(rate) || rate < 0 || rate > MAX_TAX_RATE)) {
+            setError(`Tax rate must be a percentage between 0 and ${MAX_TAX_RATE}.`);
+            return;
+        }
+        // Blank fields are left off the record rather than stored as empty strings
+        const profile = {
+            ...(address.trim() ? { address: address.trim() } : {}),
+            ...(notes.trim() ? { notes: notes.trim() } : {}),
+            ...(loyaltyCard.trim() ? { loyaltyCard: loyaltyCard.trim() } : {}),
+            ...(rate !== null ? { taxRate: rate } : {}),
+            ...(exemptCategories.length > 0 ? { taxExemptCategories: exemptCategories } : {}),
+        };
+        const saved = await onSave(store.id, profile);
+        if (saved) onClose();
+        else setError('Could not save the store profile.');
+    };
+
+    const inputClass = "w-full p-3 rounded-xl bg-black/40 text-white placeholder-gray-500 border border-red-900 focus:ring-red-400 focus:border-red-400";
+
+    return (
+        <Modal onClose={onClose}>
+            <h2 className="text-3xl font-extrabold text-white mb-6 border-b border-red-700 pb-2">{store.name}</h2>
+            <div className="space-y-4">
+                <div>
+                    <label htmlFor="store-address" className="block text-sm font-semibold text-red-300 mb-1">Address:</label>
+                    <input id="store-address" type="text" value={address} onChange={(e) => setAddress(e.target.value)} placeholder="123 Main St" className={inputClass} />
+                </div>
+                <div>
+                    <label htmlFor="store-loyalty" className="block text-sm font-semibold text-red-300 mb-1">Loyalty Card Number:</label>
+                    <input id="store-loyalty" type="text" value={loyaltyCard} onChange={(e) => setLoyaltyCard(e.target.value)} placeholder="Optional" className={inputClass} />
+                </div>
+                <div>
+                    <label htmlFor="store-notes" className="block text-sm font-semibold text-red-300 mb-1">Notes:</label>
+                    <textarea id="store-notes" rows="2" value={notes} onChange={(e) => setNotes(e.target.value)} placeholder="Opening hours, parking, ..." className={inputClass} />
+                </div>
+                <div>
+                    <label htmlFor="store-tax" className="block text-sm font-semibold text-red-300 mb-1">Sales Tax Rate (%):</label>
+                    <input
+                        id="store-tax"
+                        type="number"
+                        min="0"
+                        max={MAX_TAX_RATE}
+                        step="0.001"
+                        value={taxRate}
+                        onChange={(e) => { setTaxRate(e.target.value); setError(''); }}
+                        placeholder="e.g. 8.25"
+                        className={inputClass}
+                    />
+                </div>
+                <div>
+                    <span className="block text-sm font-semibold text-red-300 mb-2">Tax-Exempt Categories:</span>
+                    <div className="flex flex-wrap gap-2">
+                        {categories.map(category => (
+                            <button
+                                key={category}
+                                onClick={() => toggleExempt(category)}
+                                className={`px-3 py-1 rounded-full text-xs font-semibold border transition ${exemptCategories.includes(category) ? 'bg-green-700/70 border-green-500 text-white' : 'bg-black/40 border-red-900 text-gray-400 hover:bg-red-900/50'}`}
+                            >
+                                {category}
+                            </button>
+                        ))}
+                    </div>
+                    <p className="text-xs text-gray-500 mt-2">Highlighted categories aren't taxed at this store.</p>
+                </div>
+                {error && <p className="text-sm text-red-300">{error}</p>}
+            </div>
+            <div className="flex justify-end space-x-4 pt-6 border-t border-red-900/40 mt-4">
+                <MobileButton onClick={onClose} className="flex-1 bg-black/50 hover:bg-red-900/70 shadow-none">Cancel</MobileButton>
+                <MobileButton onClick={handleSave} className="flex-1 bg-red-700/70 hover:bg-red-600/80">Save Profile</MobileButton>
+            </div>
+        </Modal>
+    );
+};
+
+// --- AISLE LAYOUT MODAL (NEW) ---
+
+const AisleLayoutModal = ({ store, categories, onClose, onSave }) => {
+    const [aisles, setAisles] = useState(() => (store.aisles || []).map(aisle => ({ ...aisle, categories: [...(aisle.categories || [])] })));
+    const [editingAisleId, setEditingAisleId] = useState(null); // Aisle whose category picker is open
+    const [error, setError] = useState('');
+
+    // Category name -> index of the aisle it is mapped to
+    const aisleIndexByCategory = useMemo(() => {
+        const map = new Map();
+        aisles.forEach((aisle, index) => aisle.categories.forEach(category => map.set(category, index)));
+        return map;
+    }, [aisles]);
+    const unmapped = categories.filter(category => !aisleIndexByCategory.has(category));
+
+    const updateAisle = (id, changes) => setAisles(prev => prev.map(aisle => (aisle.id === id ? { ...aisle, ...changes } : aisle)));
+
+    const handleAddAisle = () => {
+        if (aisles.length >= MAX_AISLES_PER_STORE) return;
+        const aisle = { id: crypto.randomUUID(), name: `Aisle ${aisles.length + 1}`, categories: [] };
+        setAisles(prev => [...prev, aisle]);
+        setEditingAisleId(aisle.id);
+    };
+
+    const handleMove = (index, offset) => {
+        const target = index + offset;
+        if (target < 0 || target >= aisles.length) return;
+        setAisles(prev => {
+            const next = [...prev];
+            [next[index], next[target]] = [next[target], next[index]];
+            return next;
         });
+    };
 
-        // Sort years descending and map to options
-        const options = Array.from(uniqueYears).sort((a, b) => b - a)
-            .map(year => ({ value: String(year), label: String(year) }));
+    // A category lives in one aisle: picking it here takes it out of any other aisle
+    const toggleCategory = (aisleId, category) => setAisles(prev => prev.map(aisle => {
+        const has = aisle.categories.includes(category);
+        if (aisle.id === aisleId) return { ...aisle, categories: has ? aisle.categories.filter(c => c !== category) : [...aisle.categories, category] };
+        return has ? { ...aisle, categories: aisle.categories.filter(c => c !== category) } : aisle;
+    }));
+
+    const handleSave = async () => {
+        if (aisles.some(aisle => !aisle.name.trim())) {
+            setError('Every aisle needs a name.');
+            return;
+        }
+        const saved = await onSave(store.id, aisles.map(aisle => ({ ...aisle, name: aisle.name.trim() })));
+        if (saved) onClose();
+        else setError('Could not save the aisle layout.');
+    };
+
+    return (
+        <Modal onClose={onClose}>
+            <h2 className="text-3xl font-extrabold text-white mb-2 border-b border-red-700 pb-2">{store.name} Aisles</h2>
+            <p className="text-xs text-gray-400 mb-4">List aisles in the order you walk them and map categories to each. Single items can be moved to another aisle from their edit screen.</p>
+
+            <div className="space-y-2 max-h-[50vh] overflow-y-auto pr-2 custom-scroll">
+                {aisles.length === 0 && <p className="text-sm text-gray-500 text-center py-4">No aisles yet.</p>}
+                {aisles.map((aisle, index) => (
+                    <div key={aisle.id} className="bg-black/40 p-3 rounded-xl border border-red-900/40">
+                        <div className="flex items-center space-x-2">
+                            <span className="w-6 text-center text-sm font-bold text-red-400 flex-shrink-0">{index + 1}</span>
+                            <input
+                                type="text"
+                                value={aisle.name}
+                                onChange={(e) => { updateAisle(aisle.id, { name: e.target.value }); setError(''); }}
+                                className="flex-grow min-w-0 p-2 rounded-lg bg-black/60 text-white border border-red-900 focus:ring-red-400 focus:border-red-400 text-sm"
+                            />
+                            <button onClick={() => handleMove(index, -1)} disabled={index === 0} title="Move up" className="w-7 h-8 rounded-lg bg-black/50 hover:bg-red-900/70 disabled:opacity-30 text-gray-300 transition">&uarr;</button>
+                            <button onClick={() => handleMove(index, 1)} disabled={index === aisles.length - 1} title="Move down" className="w-7 h-8 rounded-lg bg-black/50 hover:bg-red-900/70 disabled:opacity-30 text-gray-300 transition">&darr;</button>
+                            <button onClick={() => setAisles(prev => prev.filter(a => a.id !== aisle.id))} title="Remove aisle" className="w-8 h-8 p-0 flex items-center justify-center rounded-lg bg-red-600/70 hover:bg-red-500/80 transition">
+                                &times;
+                            </button>
+                        </div>
+                        <button
+                            onClick={() => setEditingAisleId(editingAisleId === aisle.id ? null : aisle.id)}
+                            className="mt-2 text-left text-xs text-gray-400 hover:text-red-300 transition"
+                        >
+                            {aisle.categories.length > 0 ? aisle.categories.join(', ') : 'No categories'} · {editingAisleId === aisle.id ? 'done' : 'edit'}
+                        </button>
+                        {editingAisleId === aisle.id && (
+                            <div className="flex flex-wrap gap-2 mt-2">
+                                {categories.map(category => {
+                                    const mappedIndex = aisleIndexByCategory.get(category);
+                                    const isHere = mappedIndex === index;
+                                    return (
+                                        <button
+                                            key={category}
+                                            onClick={() => toggleCategory(aisle.id, category)}
+                                            title={mappedIndex !== undefined && !isHere ? `Currently in ${aisles[mappedIndex].name}` : undefined}
+                                            className={`px-3 py-1 rounded-full text-xs font-semibold border transition ${isHere ? 'bg-red-700/80 border-red-400 text-white' : mappedIndex !== undefined ? 'bg-black/40 border-red-900/40 text-gray-600' : 'bg-black/40 border-red-900 text-gray-300 hover:bg-red-900/50'}`}
+                                        >
+                                            {category}
+                                        </button>
+                                    );
+                                })}
+                            </div>
+                        )}
+                    </div>
+                ))}
+            </div>
+
+            {aisles.length < MAX_AISLES_PER_STORE && (
+                <MobileButton onClick={handleAddAisle} className="w-full mt-4 bg-black/50 hover:bg-red-900/70 text-sm">
+                    + Add Aisle
+                </MobileButton>
+            )}
+            {aisles.length > 0 && unmapped.length > 0 && (
+                <p className="text-xs text-gray-500 mt-3">Not in any aisle (listed last): {unmapped.join(', ')}</p>
+            )}
+            {error && <p className="text-sm text-red-300 mt-3">{error}</p>}
+
+            <div className="flex justify-end space-x-4 pt-6 border-t border-red-900/40 mt-4">
+                <MobileButton onClick={onClose} className="flex-1 bg-black/50 hover:bg-red-900/70 shadow-none">Cancel</MobileButton>
+                <MobileButton onClick={handleSave} className="flex-1 bg-red-700/70 hover:bg-red-600/80">Save Layout</MobileButton>
+            </div>
+        </Modal>
+    );
+};
+
+// --- CATEGORY MANAGER MODAL (NEW) ---
+
+const CategoryChip = ({ name, color }) => (
+    <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-semibold" style={{ backgroundColor: `${color}26`, color }}>
+        <span className="w-2 h-2 rounded-full mr-1.5 flex-shrink-0" style={{ backgroundColor: color }}></span>
+        {name}
+    </span>
+);
+
+const ManageCategoriesModal = ({ onClose, categories, items, onSaveCategories, onReassignCategory }) => {
+    const [newName, setNewName] = useState('');
+    const [renaming, setRenaming] = useState(null); // { name, value, error }
+    const [deleting, setDeleting] = useState(null); // { name, targetName }
+    const [error, setError] = useState('');
+
+    const itemCounts = useMemo(() => {
+        const counts = {};
+        items.forEach(item => { counts[item.category] = (counts[item.category] || 0) + 1; });
+        return counts;
+    }, [items]);
+
+    const save = async (next) => {
+        const saved = await onSaveCategories(next);
+        setError(saved ? '' : 'Could not save categories.');
+        return saved;
+    };
+
+    const handleAdd = async () => {
+        const name = newName.trim();
+        if (!name || categories.length >= MAX_CATEGORIES) return;
+        if (isCategoryNameTaken(categories, name)) {
+            setError(`A category named "${name}" already exists.`);
+            return;
+        }
+        if (await save([...categories, { name, color: CATEGORY_COLORS[categories.length % CATEGORY_COLORS.length] }])) setNewName('');
+    };
+
+    const handleMove = (index, offset) => {
+        const target = index + offset;
+        if (target < 0 || target >= categories.length) return;
+        const next = [...categories];
+        [next[index], next[target]] = [next[target], next[index]];
+        save(next);
+    };
+
+    const handleRecolor = (name, color) => save(categories.map(category => (category.name === name ? { ...category, color } : category)));
+
+    const submitRename = async () => {
+        const value = renaming.value.trim();
+        if (!value) {
+            setRenaming({ ...renaming, error: 'Category name cannot be empty.' });
+            return;
+        }
+        if (value === renaming.name) {
+            setRenaming(null);
+            return;
+        }
+        if (isCategoryNameTaken(categories, value, renaming.name)) {
+            setRenaming({ ...renaming, error: `A category named "${value}" already exists.` });
+            return;
+        }
+        const saved = await onReassignCategory(renaming.name, value, false);
+        if (saved) setRenaming(null);
+        else setRenaming({ ...renaming, error: 'Could not rename the category.' });
+    };
+
+    // Unused categories go straight away; used ones need a category to move their items to
+    const startDelete = (name) => {
+        setRenaming(null);
+        if (!itemCounts[name]) {
+            onReassignCategory(name, null, true);
+            return;
+        }
+        const firstOther = categories.find(category => category.name !== name);
+        setDeleting({ name, targetName: firstOther.name });
+    };
+
+    const confirmDelete = async () => {
+        const saved = await onReassignCategory(deleting.name, deleting.targetName, true);
+        if (saved) setDeleting(null);
+        else setError('Could not delete the category.');
+    };
+
+    return (
+        <Modal onClose={onClose}>
+            <h2 className="text-3xl font-extrabold text-white mb-2 border-b border-red-700 pb-2">Categories ({categories.length}/{MAX_CATEGORIES})</h2>
+            <p className="text-xs text-gray-400 mb-4">The order here is the order of the Category sort. Renaming or deleting a category moves its items, budgets and tax exemptions.</p>
+            <div className="flex space-x-2 mb-4">
+                <input
+                    type="text"
+                    placeholder="New Category Name"
+                    value={newName}
+                    onChange={(e) => { setNewName(e.target.value); setError(''); }}
+                    onKeyDown={(e) => e.key === 'Enter' && handleAdd()}
+                    className="flex-grow p-3 rounded-xl bg-black/40 text-white placeholder-gray-500 border border-red-900 focus:ring-red-400 focus:border-red-400"
+                />
+                <MobileButton onClick={handleAdd} disabled={categories.length >= MAX_CATEGORIES || !newName.trim()} className={`
+                    w-16 flex-shrink-0 !py-2
+                    ${categories.length >= MAX_CATEGORIES || !newName.trim() ? 'bg-gray-700/50' : 'bg-red-700/70 hover:bg-red-600/80'}
+                `}>
+                    +
+                </MobileButton>
+            </div>
+            {error && <p className="text-xs text-red-300 -mt-2 mb-3">{error}</p>}
+
+            <div className="max-h-[50vh] overflow-y-auto space-y-2 pr-2 custom-scroll">
+                {categories.map((category, index) => (
+                    <div key={category.name} className="bg-black/40 p-3 rounded-xl border border-red-900/40">
+                        {renaming && renaming.name === category.name ? (
+                            <div>
+                                <div className="flex space-x-2">
+                                    <input
+                                        type="text"
+                                        value={renaming.value}
+                                        autoFocus
+                                        onChange={(e) => setRenaming({ ...renaming, value: e.target.value, error: '' })}
+                                        onKeyDown={(e) => {
+                                            if (e.key === 'Enter') submitRename();
+                                            if (e.key === 'Escape') setRenaming(null);
+                                        }}
+                                        className="flex-grow min-w-0 p-2 rounded-lg bg-black/60 text-white border border-red-700 focus:ring-red-400 focus:border-red-400"
+                                    />
+                                    <button onClick={submitRename} className="px-3 rounded-lg bg-red-700/70 hover:bg-red-600/80 text-sm font-semibold text-white transition">Save</button>
+                                    <button onClick={() => setRenaming(null)} className="px-3 rounded-lg bg-black/50 hover:bg-red-900/70 text-sm text-gray-300 transition">Cancel</button>
+                                </div>
+                                {renaming.error && <p className="text-xs text-red-300 mt-2">{renaming.error}</p>}
+                            </div>
+                        ) : (
+                            <div className="flex justify-between items-center">
+                                <div className="flex items-center space-x-2 min-w-0">
+                                    {/* Native color picker, shown as the chip's swatch */}
+                                    <input
+                                        type="color"
+                                        value={category.color}
+                                        onChange={(e) => handleRecolor(category.name, e.target.value)}
+                                        title="Change color"
+                                        className="w-7 h-7 flex-shrink-0 rounded cursor-pointer bg-transparent border-none p-0"
+                                    />
+                                    <CategoryChip name={category.name} color={category.color} />
+                                    <span className="text-xs text-gray-500">{itemCounts[category.name] || 0}</span>
+                                </div>
+                                <div className="flex space-x-1 flex-shrink-0">
+                                    <button onClick={() => handleMove(index, -1)} disabled={index === 0} title="Move up" className="w-7 h-8 rounded-lg bg-black/50 hover:bg-red-900/70 disabled:opacity-30 text-gray-300 transition">&uarr;</button>
+                                    <button onClick={() => handleMove(index, 1)} disabled={index === categories.length - 1} title="Move down" className="w-7 h-8 rounded-lg bg-black/50 hover:bg-red-900/70 disabled:opacity-30 text-gray-300 transition">&darr;</button>
+                                    <button onClick={() => { setDeleting(null); setRenaming({ name: category.name, value: category.name, error: '' }); }} title="Rename category" className="w-8 h-8 p-0 flex items-center justify-center rounded-lg bg-black/50 hover:bg-red-900/70 transition">
+                                        <svg className="w-4 h-4 text-gray-300" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M15.232 5.232l3.536 3.536M9 11l6.232-6.232a2.5 2.5 0 113.536 3.536L12.536 14.536 8 16l1-4.768z"></path></svg>
+                                    </button>
+                                    <button onClick={() => startDelete(category.name)} disabled={categories.length <= 1} title="Delete category" className="w-8 h-8 p-0 flex items-center justify-center rounded-lg bg-red-600/70 hover:bg-red-500/80 disabled:opacity-30 transition">
+                                        &times;
+                                    </button>
+                                </div>
+                            </div>
+                        )}
+
+                        {deleting && deleting.name === category.name && (
+                            <div className="mt-3 pt-3 border-t border-red-900/50 space-y-3">
+                                <p className="text-sm text-gray-300">
+                                    <span className="font-bold text-white">{itemCounts[category.name]}</span> {itemCounts[category.name] === 1 ? 'item uses' : 'items use'} this category. Move them to:
+                                </p>
+                                <select
+                                    value={deleting.targetName}
+                                    onChange={(e) => setDeleting({ ...deleting, targetName: e.target.value })}
+                                    className="w-full p-2 rounded-lg bg-black/60 text-white border border-red-900 text-sm"
+                                >
+                                    {categories.filter(other => other.name !== category.name).map(other => <option key={other.name} value={other.name}>{other.name}</option>)}
+                                </select>
+                                <div className="grid grid-cols-2 gap-2">
+                                    <button onClick={confirmDelete} className="py-2 rounded-lg bg-red-600/70 hover:bg-red-500/80 text-xs font-semibold text-white transition">
+                                        Move & Delete
+                                    </button>
+                                    <button onClick={() => setDeleting(null)} className="py-2 rounded-lg bg-black/50 hover:bg-red-900/70 text-xs text-gray-300 transition">
+                                        Cancel
+                                    </button>
+                                </div>
+                            </div>
+                        )}
+                    </div>
+                ))}
+            </div>
+        </Modal>
+    );
+};
+
+// --- LEDGER MANAGER MODAL (NEW) ---
+
+const ManageLedgersModal = ({ onClose, ledgers, activeLedgerId, counts, onSwitch, onCreate, onRename, onDuplicate, onDelete, onExport }) => {
+    const [newName, setNewName] = useState('');
+    const [shareStoresWithId, setShareStoresWithId] = useState(''); // '' = own store list
+    const [renaming, setRenaming] = useState(null); // { id, name, error }
+    const [deletingId, setDeletingId] = useState(null);
+    const [error, setError] = useState('');
+
+    const ledgerNames = new Map(ledgers.map(ledger => [ledger.id, ledger.name]));
+    const describeStoreList = (ledger) => {
+        if (ledger.storeLedgerId) return `Stores shared from ${ledgerNames.get(ledger.storeLedgerId) || 'another ledger'}`;
+        const borrowers = ledgers.filter(other => other.storeLedgerId === ledger.id);
+        return borrowers.length > 0 ? `Stores shared with ${borrowers.map(other => other.name).join(', ')}` : 'Own stores';
+    };
+
+    const handleCreate = async () => {
+        if (!newName.trim()) return;
+        const message = await onCreate(newName, shareStoresWithId);
+        setError(message || '');
+        if (!message) onClose(); // The new ledger is opened
+    };
+
+    const submitRename = async () => {
+        const message = await onRename(renaming.id, renaming.name);
+        if (message) setRenaming(prev => prev && { ...prev, error: message });
+        else setRenaming(null);
+    };
+
+    const handleDuplicate = async (ledgerId) => {
+        setError((await onDuplicate(ledgerId)) || '');
+    };
+
+    const confirmDelete = async () => {
+        const message = await onDelete(deletingId);
+        setError(message || '');
+        setDeletingId(null);
+    };
+
+    const deletingCounts = deletingId ? counts[deletingId] || { items: 0, receipts: 0 } : null;
+
+    return (
+        <Modal onClose={onClose}>
+            <h2 className="text-3xl font-extrabold text-white mb-2 border-b border-red-700 pb-2">Ledgers ({ledgers.length}/{MAX_LEDGERS})</h2>
+            <p className="text-xs text-gray-400 mb-4">Each ledger has its own items, receipts, budgets and categories. A new ledger can share another ledger's stores, so prices at the same store line up.</p>
+            <div className="flex space-x-2 mb-2">
+                <input
+                    type="text"
+                    placeholder="New Ledger Name"
+                    value={newName}
+                    onChange={(e) => { setNewName(e.target.value); setError(''); }}
+                    onKeyDown={(e) => e.key === 'Enter' && handleCreate()}
+                    className="flex-grow min-w-0 p-3 rounded-xl bg-black/40 text-white placeholder-gray-500 border border-red-900 focus:ring-red-400 focus:border-red-400"
+                />
+                <MobileButton onClick={handleCreate} disabled={ledgers.length >= MAX_LEDGERS || !newName.trim()} className={`
+                    w-16 flex-shrink-0 !py-2
+                    ${ledgers.length >= MAX_LEDGERS || !newName.trim() ? 'bg-gray-700/50' : 'bg-red-700/70 hover:bg-red-600/80'}
+                `}>
+                    +
+                </MobileButton>
+            </div>
+            <div className="flex items-center space-x-2 mb-4 text-sm">
+                <label htmlFor="ledger-store-source" className="text-gray-400 flex-shrink-0">Stores:</label>
+                <select
+                    id="ledger-store-source"
+                    value={shareStoresWithId}
+                    onChange={(e) => setShareStoresWithId(e.target.value)}
+                    className="flex-grow p-2 rounded-lg bg-black/40 text-white border border-red-900 focus:ring-red-400 focus:border-red-400"
+                >
+                    <option value="">Own store list</option>
+                    {ledgers.map(ledger => <option key={ledger.id} value={ledger.id}>Share with {ledger.name}</option>)}
+                </select>
+            </div>
+            {error && <p className="text-xs text-red-300 -mt-2 mb-3">{error}</p>}
+
+            <div className="max-h-[50vh] overflow-y-auto space-y-2 pr-2 custom-scroll">
+                {ledgers.map(ledger => {
+                    const isActive = ledger.id === activeLedgerId;
+                    const ledgerCounts = counts[ledger.id] || { items: 0, receipts: 0 };
+                    return (
+                        <div key={ledger.id} className={`bg-black/40 p-3 rounded-xl border ${isActive ? 'border-red-500/70' : 'border-red-900/40'}`}>
+                            {renaming && renaming.id === ledger.id ? (
+                                <div>
+                                    <div className="flex space-x-2">
+                                        <input
+                                            type="text"
+                                            value={renaming.name}
+                                            autoFocus
+                                            onChange={(e) => setRenaming({ ...renaming, name: e.target.value, error: '' })}
+                                            onKeyDown={(e) => {
+                                                if (e.key === 'Enter') submitRename();
+                                                if (e.key === 'Escape') setRenaming(null);
+                                            }}
+                                            className="flex-grow min-w-0 p-2 rounded-lg bg-black/60 text-white border border-red-700 focus:ring-red-400 focus:border-red-400"
+                                        />
+                                        <button onClick={submitRename} className="px-3 rounded-lg bg-red-700/70 hover:bg-red-600/80 text-sm font-semibold text-white transition">Save</button>
+                                        <button onClick={() => setRenaming(null)} className="px-3 rounded-lg bg-black/50 hover:bg-red-900/70 text-sm text-gray-300 transition">Cancel</button>
+                                    </div>
+                                    {renaming.error && <p className="text-xs text-red-300 mt-2">{renaming.error}</p>}
+                                </div>
+                            ) : (
+                                <div className="flex justify-between items-center">
+                                    <div className="min-w-0">
+                                        <span className="block text-gray-200 font-medium">
+                                            {ledger.name}
+                                            {isActive && <span className="ml-2 text-[10px] uppercase font-bold text-red-300">Open</span>}
+                                        </span>
+                                        <span className="block text-xs text-gray-500 truncate">
+                                            {ledgerCounts.items} items · {ledgerCounts.receipts} receipts · {describeStoreList(ledger)}
+                                        </span>
+                                    </div>
+                                    <div className="flex space-x-2 flex-shrink-0">
+                                        {!isActive && (
+                                            <button onClick={() => { onSwitch(ledger.id); onClose(); }} title="Open ledger" className="h-8 px-2 flex items-center justify-center rounded-lg bg-red-700/70 hover:bg-red-600/80 text-xs font-semibold text-white transition">
+                                                Open
+                                            </button>
+                                        )}
+                                        <button onClick={() => { setDeletingId(null); setRenaming({ id: ledger.id, name: ledger.name, error: '' }); }} title="Rename ledger" className="w-8 h-8 p-0 flex items-center justify-center rounded-lg bg-black/50 hover:bg-red-900/70 transition">
+                                            <svg className="w-4 h-4 text-gray-300" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M15.232 5.232l3.536 3.536M9 11l6.232-6.232a2.5 2.5 0 113.536 3.536L12.536 14.536 8 16l1-4.768z"></path></svg>
+                                        </button>
+                                        <button onClick={() => handleDuplicate(ledger.id)} disabled={ledgers.length >= MAX_LEDGERS} title="Duplicate ledger" className="w-8 h-8 p-0 flex items-center justify-center rounded-lg bg-black/50 hover:bg-red-900/70 disabled:opacity-40 transition">
+                                            <svg className="w-4 h-4 text-gray-300" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M8 16H6a2 2 0 01-2-2V6a2 2 0 012-2h8a2 2 0 012 2v2m-6 12h8a2 2 0 002-2v-8a2 2 0 00-2-2h-8a2 2 0 00-2 2v8a2 2 0 002 2z"></path></svg>
+                                        </button>
+                                        <button onClick={() => onExport(ledger.id)} title="Export ledger (.json)" className="w-8 h-8 p-0 flex items-center justify-center rounded-lg bg-black/50 hover:bg-red-900/70 transition">
+                                            <svg className="w-4 h-4 text-gray-300" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4"></path></svg>
+                                        </button>
+                                        <button onClick={() => { setRenaming(null); setDeletingId(ledger.id); }} disabled={ledgers.length <= 1} title="Delete ledger" className="w-8 h-8 p-0 flex items-center justify-center rounded-lg bg-red-600/70 hover:bg-red-500/80 disabled:opacity-40 transition">
+                                            &times;
+                                        </button>
+                                    </div>
+                                </div>
+                            )}
+
+                            {deletingId === ledger.id && (
+                                <div className="mt-3 pt-3 border-t border-red-900/50 space-y-3">
+                                    <p className="text-sm text-gray-300">
+                                        Deletes <span className="font-bold text-white">{deletingCounts.items}</span> items, <span className="font-bold text-white">{deletingCounts.receipts}</span> receipts, the snapshots{ledger.storeLedgerId ? '' : ', the stores'} and the budgets of this ledger. This can't be undone, so export it first if you may need it.
+                                    </p>
+                                    <div className="grid grid-cols-3 gap-2">
+                                        <button onClick={() => onExport(ledger.id)} className="py-2 rounded-lg bg-black/50 hover:bg-red-900/70 text-xs font-semibold text-gray-300 transition">
+                                            Export
+                                        </button>
+                                        <button onClick={confirmDelete} className="py-2 rounded-lg bg-red-600/70 hover:bg-red-500/80 text-xs font-semibold text-white transition">
+                                            Delete Ledger
+                                        </button>
+                                        <button onClick={() => setDeletingId(null)} className="py-2 rounded-lg bg-black/50 hover:bg-red-900/70 text-xs text-gray-300 transition">
+                                            Cancel
+                                        </button>
+                                    </div>
+                                </div>
+                            )}
+                        </div>
+                    );
+                })}
+            </div>
+        </Modal>
+    );
+};
+
+// --- PRODUCT CATALOG MODAL (NEW) ---
+
+const ManageCatalogModal = ({ onClose, catalog, itemsWithBarcodeCount, onBuildFromItems, onExportCatalog, onImportCatalog, onDeleteEntry, message }) => {
+    const [catalogSearch, setCatalogSearch] = useState('');
+    const catalogInputRef = useRef(null);
+
+    const visibleEntries = useMemo(() => {
+        const term = catalogSearch.toLowerCase().trim();
+        const sorted = [...catalog].sort((a, b) => a.name.localeCompare(b.name));
+        if (!term) return sorted;
+        return sorted.filter(entry =>
+            entry.name.toLowerCase().includes(term) ||
+            (entry.brand || '').toLowerCase().includes(term) ||
+            entry.barcode.includes(term)
+        );
+    }, [catalog, catalogSearch]);
+
+    const handleFileChange = (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (file) onImportCatalog(file);
+    };
+
+    return (
+        <Modal onClose={onClose}>
+            <h2 className="text-3xl font-extrabold text-white mb-6 border-b border-red-700 pb-2">Product Catalog ({catalog.length})</h2>
+
+            <div className="grid grid-cols-2 gap-2 mb-4">
+                <MobileButton
+                    onClick={onBuildFromItems}
+                    disabled={itemsWithBarcodeCount === 0}
+                    className="col-span-2 !py-2 bg-red-700/70 hover:bg-red-600/80 text-sm shadow-none"
+                >
+                    Add My Items ({itemsWithBarcodeCount} with barcode)
+                </MobileButton>
+                <MobileButton onClick={() => onExportCatalog('json')} disabled={catalog.length === 0} className="!py-2 bg-black/50 hover:bg-red-900/70 text-xs shadow-none">
+                    Export .json
+                </MobileButton>
+                <MobileButton onClick={() => onExportCatalog('csv')} disabled={catalog.length === 0} className="!py-2 bg-black/50 hover:bg-red-900/70 text-xs shadow-none">
+                    Export .csv
+                </MobileButton>
+                <MobileButton
+                    onClick={() => catalogInputRef.current && catalogInputRef.current.click()}
+                    className="col-span-2 !py-2 bg-black/50 hover:bg-red-900/70 text-sm shadow-none"
+                >
+                    Import Catalog (.json / .csv)
+                </MobileButton>
+                <input ref={catalogInputRef} type="file" accept=".json,.csv,text/csv,application/json" className="hidden" onChange={handleFileChange} />
+            </div>
+
+            {message && <p className="mb-4 text-sm text-center text-green-400">{message}</p>}
+
+            <input
+                type="text"
+                placeholder="Search catalog..."
+                value={catalogSearch}
+                onChange={(e) => setCatalogSearch(e.target.value)}
+                className="w-full mb-3 p-3 rounded-xl bg-black/40 text-white placeholder-gray-500 border border-red-900 focus:ring-red-400 focus:border-red-400"
+            />
 
-        return [{ value: 'all', label: 'All Years' }, ...options];
-    }, [receipts]);
+            <div className="max-h-80 overflow-y-auto space-y-2 pr-2 custom-scroll">
+                {visibleEntries.length === 0 && (
+                    <p className="text-gray-400 text-center py-6 text-sm">No catalog entries.</p>
+                )}
+                {visibleEntries.map(entry => (
+                    <div key={entry.barcode} className="flex justify-between items-center bg-black/40 p-3 rounded-xl border border-red-900/40">
+                        <div className="flex items-center space-x-2 min-w-0">
+                            {entry.imageUrl && (
+                                <img src={entry.imageUrl} alt={entry.name} className="h-8 w-8 rounded-full flex-shrink-0 object-cover border border-red-700/50" onError={(e) => e.target.style.display = 'none'} />
+                            )}
+                            <div className="min-w-0">
+                                <span className="block text-gray-200 font-medium truncate">{entry.name}</span>
+                                <span className="block text-xs text-gray-500 truncate">
+                                    <span className="font-mono">{entry.barcode}</span>
+                                    {entry.brand && ` · ${entry.brand}`}
+                                    {entry.packageSize && ` · ${entry.packageSize}`}
+                                    {entry.category && ` · ${entry.category}`}
+                                </span>
+                            </div>
+                        </div>
+                        <button onClick={() => onDeleteEntry(entry.barcode)} className="w-8 h-8 p-0 flex-shrink-0 flex items-center justify-center rounded-lg bg-red-600/70 hover:bg-red-500/80 transition" title="Remove from Catalog">
+                            &times;
+                        </button>
+                    </div>
+                ))}
+            </div>
 
-    // 2. Generate static Month options
-    const monthOptions = useMemo(() => {
-        return [
-            { value: 'all', label: 'All Months' },
-            { value: '1', label: 'January' }, { value: '2', label: 'February' },
-            { value: '3', label: 'March' }, { value: '4', label: 'April' },
-            { value: '5', label: 'May' }, { value: '6', label: 'June' },
-            { value: '7', label: 'July' }, { value: '8', label: 'August' },
-            { value: '9', label: 'September' }, { value: '10', label: 'October' },
-            { value: '11', label: 'November' }, { value: '12', label: 'December' },
-        ];
-    }, []);
+            <div className="pt-6 border-t border-red-900/40 mt-4">
+                <MobileButton onClick={onClose} className="bg-black/50 hover:bg-red-900/70">Close</MobileButton>
+            </div>
+        </Modal>
+    );
+};
 
-    // 3. Filter and Sort Logic using both year and month
-    const filteredAndSortedReceipts = useMemo(() => {
-        let list = [...receipts].sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+// --- SPREADSHEET (CSV) MODAL (NEW) ---
+
+const SpreadsheetModal = ({ onClose, items, stores, receipts, categories, onExport, onImportItems }) => {
+    const [csvFile, setCsvFile] = useState(null); // { name, headers, rows }
+    const [mapping, setMapping] = useState({});
+    const [message, setMessage] = useState('');
+    const fileInputRef = useRef(null);
+
+    const plan = useMemo(() => {
+        if (!csvFile) return null;
+        return planItemCSVImport(groupItemCSVRows(csvFile.rows, mapping), items, stores.map(store => store.name), categories[0]);
+    }, [csvFile, mapping, items, stores, categories]);
+    // Prices naming an unknown store get a new store while the reusable list has room
+    const linked = useMemo(
+        () => (plan ? linkStoreReferences({ items: [...plan.creates, ...plan.updates], stores, receipts: [] }) : null),
+        [plan, stores]
+    );
 
-        if (selectedYear !== 'all') {
-            list = list.filter(receipt => {
-                return new Date(receipt.timestamp).getFullYear() === parseInt(selectedYear, 10);
-            });
+    const canImport = plan && (mapping.id !== undefined || mapping.barcode !== undefined || mapping.name !== undefined);
+
+    const handleFileChange = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        try {
+            const [headers, ...rows] = parseCSV(await file.text());
+            if (!headers) throw new Error("The file is empty.");
+            setCsvFile({ name: file.name, headers: headers.map(h => h.trim()), rows });
+            setMapping(guessColumnMapping(headers));
+            setMessage('');
+        } catch (error) {
+            console.error("Error reading items CSV:", error);
+            setMessage(`Could not read the file: ${error.message}`);
         }
+    };
 
-        if (selectedMonth !== 'all') {
-            list = list.filter(receipt => {
-                // getMonth() is 0-indexed, so compare against (month number - 1)
-                return new Date(receipt.timestamp).getMonth() === (parseInt(selectedMonth, 10) - 1);
-            });
+    const handleImport = async () => {
+        const imported = await onImportItems(linked);
+        if (imported) {
+            setMessage(`Imported ${plan.creates.length} new and ${plan.updates.length} updated items.`);
+            setCsvFile(null);
+        } else {
+            setMessage('Import failed.');
         }
+    };
 
-        return list;
-    }, [receipts, selectedYear, selectedMonth]);
+    const buttonClass = "!py-2 bg-black/50 hover:bg-red-900/70 text-xs shadow-none";
+    const selectClass = "w-full p-2 rounded-lg bg-red-900/60 text-white text-sm border-none focus:ring-red-400/50";
 
+    return (
+        <Modal onClose={onClose}>
+            <h2 className="text-3xl font-extrabold text-white mb-6 border-b border-red-700 pb-2">Spreadsheet (CSV)</h2>
 
-    const formatTimestamp = (isoString) => {
-        const date = new Date(isoString);
-        return date.toLocaleDateString() + ' @ ' + date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+            <h3 className="text-sm font-bold text-red-300 mb-2">Export</h3>
+            <div className="grid grid-cols-3 gap-2 mb-6">
+                <MobileButton onClick={() => onExport('items')} disabled={items.length === 0} className={buttonClass}>Items ({items.length})</MobileButton>
+                <MobileButton onClick={() => onExport('stores')} disabled={stores.length === 0} className={buttonClass}>Stores ({stores.length})</MobileButton>
+                <MobileButton onClick={() => onExport('receipts')} disabled={receipts.length === 0} className={buttonClass}>Receipt Lines</MobileButton>
+            </div>
+
+            <h3 className="text-sm font-bold text-red-300 mb-2">Import Items</h3>
+            <p className="text-xs text-gray-400 mb-2">
+                Rows are matched to existing items by ID, then barcode, then name. Matches are updated, the rest are created.
+                Repeat an item on several rows to set several store prices.
+            </p>
+            <MobileButton onClick={() => fileInputRef.current && fileInputRef.current.click()} className="!py-2 bg-red-700/70 hover:bg-red-600/80 text-sm shadow-none mb-3">
+                {csvFile ? `Change File (${csvFile.name})` : 'Choose Items CSV'}
+            </MobileButton>
+            <input ref={fileInputRef} type="file" accept=".csv,text/csv" className="hidden" onChange={handleFileChange} />
+
+            {message && <p className="mb-3 text-sm text-center text-green-400">{message}</p>}
+
+            {csvFile && (
+                <>
+                    <div className="max-h-[40vh] overflow-y-auto pr-2 space-y-2 custom-scroll">
+                        {ITEM_IMPORT_FIELDS.map(field => (
+                            <div key={field.key} className="grid grid-cols-2 gap-2 items-center">
+                                <label className="text-sm text-gray-300" htmlFor={`csv-map-${field.key}`}>{field.label}</label>
+                                <select
+                                    id={`csv-map-${field.key}`}
+                                    value={mapping[field.key] === undefined ? '' : String(mapping[field.key])}
+                                    onChange={(e) => setMapping(prev => {
+                                        const next = { ...prev };
+                                        if (e.target.value === '') delete next[field.key];
+                                        else next[field.key] = Number(e.target.value);
+                                        return next;
+                                    })}
+                                    className={selectClass}
+                                >
+                                    <option value="">(Not imported)</option>
+                                    {csvFile.headers.map((header, index) => <option key={index} value={index}>{header || `Column ${index + 1}`}</option>)}
+                                </select>
+                            </div>
+                        ))}
+                    </div>
+
+                    <p className="text-sm text-gray-300 mt-4 text-center">
+                        {csvFile.rows.length} rows: <span className="text-green-400">{plan.creates.length} new</span>, <span className="text-yellow-400">{plan.updates.length} updated</span>
+                        {plan.skipped > 0 && <span className="text-red-400">, {plan.skipped} skipped (no ID, barcode or name match)</span>}
+                    </p>
+                    {linked.unlinkedCount > 0 && <p className="text-xs text-yellow-400 text-center mt-1">{describeUnlinkedPrices(linked.unlinkedCount)}</p>}
+                    {!canImport && <p className="text-xs text-red-400 text-center mt-1">Map at least an ID, Barcode or Name column.</p>}
+                </>
+            )}
+
+            <div className="flex justify-end space-x-4 pt-6 border-t border-red-900/40 mt-4">
+                <MobileButton onClick={onClose} className="flex-1 bg-black/50 hover:bg-red-900/70 shadow-none">Close</MobileButton>
+                {csvFile && (
+                    <MobileButton
+                        onClick={handleImport}
+                        disabled={!canImport || plan.creates.length + plan.updates.length === 0}
+                        className="flex-1 bg-red-700/90 hover:bg-red-600/90"
+                    >
+                        Import
+                    </MobileButton>
+                )}
+            </div>
+        </Modal>
+    );
+};
+
+// --- SNAPSHOTS MODAL (NEW: point-in-time restore) ---
+
+const SnapshotsModal = ({ onClose, snapshots, retention, onChangeRetention, onTakeSnapshot, onRestore, onDelete }) => {
+    const [busyId, setBusyId] = useState(null);
+    const [message, setMessage] = useState('');
+
+    const handleRestore = async (snapshot) => {
+        const when = new Date(snapshot.createdAt).toLocaleString();
+        if (!window.confirm(`Restore your items, stores and receipts to ${when}? Current data is snapshotted first, so this can be undone.`)) return;
+        setBusyId(snapshot.id);
+        const restored = await onRestore(snapshot.id);
+        setBusyId(null);
+        setMessage(restored ? `Restored the snapshot from ${when}.` : 'Restore failed. Your data was not changed.');
+    };
+
+    const handleTakeSnapshot = async () => {
+        setBusyId('new');
+        const taken = await onTakeSnapshot();
+        setBusyId(null);
+        setMessage(taken ? 'Snapshot saved.' : 'Could not save a snapshot.');
     };
 
     return (
         <Modal onClose={onClose}>
-            <h2 className="text-3xl font-extrabold text-white mb-6 border-b border-red-700 pb-2">Past Shopping Receipts</h2>
+            <h2 className="text-3xl font-extrabold text-white mb-2 border-b border-red-700 pb-2">Snapshots</h2>
+            <p className="text-xs text-gray-400 mb-4">
+                Saved on this device once a day and before imports, restores and bulk changes. The oldest are removed past the limit.
+            </p>
+
+            <div className="flex items-center gap-2 mb-4">
+                <label htmlFor="snapshot-retention" className="text-sm text-gray-300 whitespace-nowrap">Keep</label>
+                <select
+                    id="snapshot-retention"
+                    value={retention}
+                    onChange={(e) => onChangeRetention(Number(e.target.value))}
+                    className="p-2 rounded-lg bg-red-900/60 text-white text-sm border-none focus:ring-red-400/50"
+                >
+                    {SNAPSHOT_RETENTION_OPTIONS.map(option => <option key={option} value={option}>{option} snapshots</option>)}
+                </select>
+                <MobileButton onClick={handleTakeSnapshot} disabled={busyId !== null} className="!py-2 bg-red-700/70 hover:bg-red-600/80 text-sm shadow-none">
+                    Snapshot Now
+                </MobileButton>
+            </div>
 
-            <div className="mb-4 grid grid-cols-2 gap-4">
-                {/* Year Select */}
-                <div>
-                    <label htmlFor="year-filter" className="block text-sm font-semibold text-red-300 mb-1">Filter by Year:</label>
-                    <select
-                        id="year-filter"
-                        value={selectedYear}
-                        onChange={(e) => setSelectedYear(e.target.value)}
-                        className="w-full p-3 rounded-xl bg-black/40 text-white border border-red-900 focus:ring-red-400 focus:border-red-400"
-                    >
-                        {yearOptions.map(opt => (
-                            <option key={opt.value} value={opt.value}>
-                                {opt.label}
-                            </option>
-                        ))}
-                    </select>
-                </div>
+            {message && <p className="mb-3 text-sm text-center text-green-400">{message}</p>}
+
+            <div className="max-h-80 overflow-y-auto space-y-2 pr-2 custom-scroll">
+                {snapshots.length === 0 && <p className="text-gray-400 text-center py-6 text-sm">No snapshots yet.</p>}
+                {snapshots.map(snapshot => (
+                    <div key={snapshot.id} className="flex justify-between items-center bg-black/40 p-3 rounded-xl border border-red-900/40">
+                        <div className="min-w-0 text-xs">
+                            <span className="block text-sm font-semibold text-white">{new Date(snapshot.createdAt).toLocaleString()}</span>
+                            <span className="block text-red-300">{SNAPSHOT_REASONS[snapshot.reason] || snapshot.reason}</span>
+                            <span className="block text-gray-400">
+                                {snapshot.counts.items} items · {snapshot.counts.stores} stores · {snapshot.counts.receipts} receipts
+                            </span>
+                        </div>
+                        <div className="flex items-center space-x-2 flex-shrink-0">
+                            <button
+                                onClick={() => handleRestore(snapshot)}
+                                disabled={busyId !== null}
+                                className="px-3 py-1 rounded-lg bg-red-700/80 hover:bg-red-600/90 text-xs font-bold text-white transition disabled:opacity-40"
+                            >
+                                {busyId === snapshot.id ? 'Restoring...' : 'Restore'}
+                            </button>
+                            <button onClick={() => onDelete(snapshot.id)} disabled={busyId !== null} className="w-8 h-8 p-0 flex items-center justify-center rounded-lg bg-black/50 hover:bg-red-900/70 transition" title="Delete Snapshot">
+                                &times;
+                            </button>
+                        </div>
+                    </div>
+                ))}
+            </div>
 
-                {/* Month Select */}
-                <div>
-                    <label htmlFor="month-filter" className="block text-sm font-semibold text-red-300 mb-1">Filter by Month:</label>
-                    <select
-                        id="month-filter"
-                        value={selectedMonth}
-                        onChange={(e) => setSelectedMonth(e.target.value)}
-                        className="w-full p-3 rounded-xl bg-black/40 text-white border border-red-900 focus:ring-red-400 focus:border-red-400"
-                    >
-                        {monthOptions.map(opt => (
-                            <option key={opt.value} value={opt.value}>
-                                {opt.label}
-                            </option>
-                        ))}
-                    </select>
+            <div className="pt-6 border-t border-red-900/40 mt-4">
+                <MobileButton onClick={onClose} className="bg-black/50 hover:bg-red-900/70 shadow-none">Close</MobileButton>
+            </div>
+        </Modal>
+    );
+};
+
+// --- PASSPHRASE MODAL (NEW: encrypted export / import) ---
+
+const PassphraseModal = ({ mode, fileName, onClose, onSubmit }) => {
+    const [passphrase, setPassphrase] = useState('');
+    const [confirmation, setConfirmation] = useState('');
+    const [error, setError] = useState('');
+    const [isWorking, setIsWorking] = useState(false);
+    const isExport = mode === 'export';
+
+    const handleSubmit = async () => {
+        if (!passphrase || isWorking) return;
+        if (isExport && passphrase.length < MIN_PASSPHRASE_LENGTH) {
+            setError(`Use at least ${MIN_PASSPHRASE_LENGTH} characters.`);
+            return;
+        }
+        if (isExport && passphrase !== confirmation) {
+            setError("The passphrases don't match.");
+            return;
+        }
+        setIsWorking(true);
+        setError('');
+        try {
+            await onSubmit(passphrase);
+            if (isExport) onClose();
+        } catch (submitError) {
+            console.error(isExport ? "Failed to encrypt backup:" : "Failed to decrypt backup:", submitError);
+            setError(submitError.message);
+            setIsWorking(false);
+        }
+    };
+
+    const inputClass = "w-full p-3 rounded-xl bg-black/40 text-white placeholder-gray-500 border border-red-900 focus:ring-red-400 focus:border-red-400";
+    const submitOnEnter = (e) => { if (e.key === 'Enter') handleSubmit(); };
+
+    return (
+        <Modal onClose={onClose}>
+            <h2 className="text-3xl font-extrabold text-white mb-2 border-b border-red-700 pb-2">{isExport ? 'Encrypted Export' : 'Encrypted Backup'}</h2>
+            <p className="text-xs text-gray-400 mb-4">
+                {isExport
+                    ? "The backup is encrypted on this device. Without the passphrase it can't be restored, so keep it somewhere safe."
+                    : `Enter the passphrase for ${fileName}. Nothing is imported until it's unlocked and you confirm the preview.`}
+            </p>
+            <div className="space-y-3">
+                <input type="password" autoFocus autoComplete={isExport ? 'new-password' : 'current-password'} placeholder="Passphrase" value={passphrase} onChange={(e) => setPassphrase(e.target.value)} onKeyDown={submitOnEnter} className={inputClass} />
+                {isExport && (
+                    <input type="password" autoComplete="new-password" placeholder="Confirm passphrase" value={confirmation} onChange={(e) => setConfirmation(e.target.value)} onKeyDown={submitOnEnter} className={inputClass} />
+                )}
+                {error && <p className="text-sm text-red-400">{error}</p>}
+                <div className="flex justify-end space-x-4 pt-4">
+                    <MobileButton onClick={onClose} className="flex-1 bg-black/50 hover:bg-red-900/70 shadow-none">Cancel</MobileButton>
+                    <MobileButton onClick={handleSubmit} disabled={isWorking || !passphrase} className="flex-1 bg-red-700/90 hover:bg-red-600/90">
+                        {isWorking ? 'Working...' : isExport ? 'Encrypt & Download' : 'Unlock'}
+                    </MobileButton>
                 </div>
             </div>
+        </Modal>
+    );
+};
 
-            {filteredAndSortedReceipts.length === 0 ? (
-                <p className="text-gray-400 text-center py-8">
-                    No receipts match the current filter selection.
-                </p>
-            ) : (
-                <div className="space-y-4 max-h-[60vh] overflow-y-auto pr-2 custom-scroll">
-                    {filteredAndSortedReceipts.map((receipt, index) => (
-                        <DeepCard key={receipt.id} className="!p-4 bg-black/70 border-red-900/70">
-                            <div className="flex justify-between items-start mb-2 pb-2 border-b border-red-900/50">
-                                <div>
-                                    {/* Numbering logic: count up from the bottom of the filtered list */}
-                                    <h3 className="text-xl font-bold text-red-300">Receipt #{filteredAndSortedReceipts.length - index}</h3>
-                                    <span className="text-xs font-mono text-gray-400">{formatTimestamp(receipt.timestamp)}</span>
-                                </div>
-                                <button
-                                    onClick={() => onDeleteReceipt(receipt.id)}
-                                    className="text-red-500 hover:text-red-300 transition p-2 rounded-full hover:bg-black/40"
-                                    title="Delete Receipt"
-                                >
-                                    <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"></path></svg>
-                                </button>
-                            </div>
+// --- IMPORT PREVIEW MODAL (NEW: merge with per-conflict choices) ---
 
-                            <div className="grid grid-cols-2 gap-2 text-sm mb-3">
-                                <span className="text-gray-400">Items: <span className="font-semibold text-white">{receipt.itemCount}</span></span>
-                                <span className="text-gray-400">Filter: <span className="font-semibold text-white truncate">{receipt.filterUsed}</span></span>
-                                <span className="col-span-2 text-lg font-extrabold text-green-400">
-                                    Total: ${receipt.estimatedTotal.toFixed(2)}
-                                </span>
-                            </div>
+const formatOffers = ({ sale, coupon }) => [
+    sale && `sale $${sale.price.toFixed(2)}${sale.endDate ? ` until ${sale.endDate}` : ''}`,
+    coupon && `${coupon.type === 'percent' ? `${coupon.amount}%` : `$${coupon.amount.toFixed(2)}`} off${coupon.minQuantity > 1 ? ` (min ${coupon.minQuantity})` : ''}`,
+].filter(Boolean).join('; ') || 'none';
 
-                            <details className="text-sm text-gray-300">
-                                <summary className="cursor-pointer text-red-400 font-semibold hover:text-red-300 transition">View Item Details ({receipt.items.length})</summary>
-                                <ul className="mt-2 space-y-1 pl-4 list-disc text-gray-400">
-                                    {receipt.items.map((item, i) => (
-                                        <li key={i} className="text-xs">
-                                            <span className="font-medium text-white">{item.name}</span>
-                                            <span className="mx-2 text-red-500">x{item.quantity}</span>
-                                            <span className="text-green-300">(${item.cheapestPrice?.toFixed(2) || 'N/A'})</span>
-                                            <span className="text-gray-500">@{item.cheapestStore}</span>
-                                        </li>
+// Display value of a conflicting field; store prices are reported as "price @ <store>", sales and coupons as "offers @ <store>"
+const describeFieldValue = (record, field) => {
+    const storeMatch = field.match(/^(price|offers) @ (.+)$/);
+    if (storeMatch) {
+        const storePrice = (record.stores || []).find(s => s.storeName.toLowerCase() === storeMatch[2].toLowerCase());
+        if (!storePrice) return '—';
+        return storeMatch[1] === 'price' ? `$${Number(storePrice.price).toFixed(2)}` : formatOffers(storePrice);
+    }
+    if (field === 'items') return `${(record.items || []).length} lines`;
+    const value = record[field];
+    return isBlankValue(value) ? '—' : String(value);
+};
+
+const VALIDATION_ENTITY_LABELS = { items: 'Item', stores: 'Store', receipts: 'Receipt' };
+
+const ImportPreviewModal = ({ onClose, fileName, error, source, invalidRecords, plan, stores, replaceUnlinkedCount, hasData, onMerge, onReplace }) => {
+    const [defaultChoice, setDefaultChoice] = useState('newest');
+    const [choices, setChoices] = useState({});
+    const [isApplying, setIsApplying] = useState(false);
+    const [importValidOnly, setImportValidOnly] = useState(false);
+
+    const conflicts = useMemo(() => (plan ? [
+        ...plan.items.conflicts.map(entry => ({ ...entry, entity: 'items', label: entry.local.name })),
+        ...plan.receipts.conflicts.map(entry => ({ ...entry, entity: 'receipts', label: `Receipt ${new Date(entry.local.timestamp).toLocaleDateString()}` })),
+    ] : []), [plan]);
+
+    const mergeUnlinkedCount = useMemo(
+        () => (plan ? linkMergeImport(plan, stores, choices, defaultChoice).linked.unlinkedCount : 0),
+        [plan, stores, choices, defaultChoice]
+    );
+
+    if (error) {
+        return (
+            <Modal onClose={onClose}>
+                <h2 className="text-3xl font-extrabold text-white mb-1">Import Failed</h2>
+                <p className="text-xs text-gray-400 mb-4 border-b border-red-700 pb-2 truncate">{fileName}</p>
+                <p className="text-red-400 mb-6">{error}</p>
+                <MobileButton onClick={onClose} className="bg-black/50 hover:bg-red-900/70 shadow-none">Close</MobileButton>
+            </Modal>
+        );
+    }
+
+    const rows = [
+        { label: 'Items', ...plan.items },
+        { label: 'Stores', ...plan.stores },
+        { label: 'Receipts', ...plan.receipts },
+    ];
+    const changeCount = rows.reduce((sum, row) => sum + row.adds.length + row.updates.length + row.conflicts.length, 0);
+    // Nothing is written while invalid records exist unless the user agrees to skip them
+    const isBlockedByInvalid = invalidRecords.length > 0 && !importValidOnly;
+
+    const handleMerge = async () => {
+        setIsApplying(true);
+        const applied = await onMerge(choices, defaultChoice);
+        setIsApplying(false);
+        if (applied) onClose();
+    };
+
+    const handleReplace = async () => {
+        if (hasData && !window.confirm("Replace ALL items, stores and receipts of this ledger with the file's contents? Other ledgers are not affected. This cannot be undone.")) return;
+        setIsApplying(true);
+        const applied = await onReplace();
+        setIsApplying(false);
+        if (applied) onClose();
+    };
+
+    return (
+        <Modal onClose={onClose}>
+            <h2 className="text-3xl font-extrabold text-white mb-1">Import Preview</h2>
+            <p className="text-xs text-gray-400 mb-4 border-b border-red-700 pb-2 truncate">
+                {fileName} · format v{source.fromVersion}{source.appVersion && ` (app ${source.appVersion})`}
+                {source.fromVersion < EXPORT_SCHEMA_VERSION && <span className="text-yellow-400"> · upgraded to v{EXPORT_SCHEMA_VERSION}</span>}
+            </p>
+
+            <table className="w-full text-sm text-center mb-4">
+                <thead>
+                    <tr className="text-xs uppercase text-gray-400">
+                        <th className="text-left py-1">Data</th>
+                        <th>New</th>
+                        <th>Updated</th>
+                        <th>Conflicts</th>
+                        <th>Same</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {rows.map(row => (
+                        <tr key={row.label} className="border-t border-red-900/40">
+                            <td className="text-left py-2 text-gray-200 font-medium">{row.label}</td>
+                            <td className="text-green-400">{row.adds.length}</td>
+                            <td className="text-yellow-400">{row.updates.length}</td>
+                            <td className="text-red-400">{row.conflicts.length}</td>
+                            <td className="text-gray-400">{row.unchanged}</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+            <p className="text-xs text-gray-400 mb-4">Updates only fill in data you don't have yet (e.g. new store prices). Nothing is deleted by a merge.</p>
+            {mergeUnlinkedCount > 0 && <p className="text-xs text-yellow-400 mb-2">Merge: {describeUnlinkedPrices(mergeUnlinkedCount)}</p>}
+            {replaceUnlinkedCount > 0 && <p className="text-xs text-yellow-400 mb-4">Replace: {describeUnlinkedPrices(replaceUnlinkedCount)}</p>}
+
+            {invalidRecords.length > 0 && (
+                <div className="mb-4 p-3 rounded-xl border border-red-600/70 bg-red-950/40">
+                    <h3 className="text-lg font-bold text-red-300 mb-2">{invalidRecords.length} Invalid Record{invalidRecords.length === 1 ? '' : 's'}</h3>
+                    <ul className="max-h-40 overflow-y-auto pr-2 space-y-2 text-xs custom-scroll">
+                        {invalidRecords.map(record => (
+                            <li key={`${record.entity}-${record.index}`}>
+                                <span className="font-semibold text-white">{VALIDATION_ENTITY_LABELS[record.entity]} #{record.index + 1}</span>
+                                <span className="text-gray-400"> ({record.label})</span>
+                                <ul className="ml-3 text-red-300">
+                                    {record.errors.map((fieldError, i) => (
+                                        <li key={i}><span className="font-mono text-gray-300">{fieldError.field}</span> {fieldError.message}</li>
                                     ))}
                                 </ul>
-                            </details>
-                        </DeepCard>
-                    ))}
+                            </li>
+                        ))}
+                    </ul>
+                    <label className="flex items-center space-x-2 mt-3 text-sm text-gray-200 cursor-pointer">
+                        <input type="checkbox" checked={importValidOnly} onChange={(e) => setImportValidOnly(e.target.checked)} className="accent-red-600" />
+                        <span>Import only the valid records (the counts above)</span>
+                    </label>
                 </div>
             )}
 
-            <div className="pt-6 border-t border-red-900/40 mt-4">
-                <MobileButton onClick={onClose} className="bg-black/50 hover:bg-red-900/70">Close</MobileButton>
+            {conflicts.length > 0 && (
+                <div className="space-y-3">
+                    <div className="flex items-center justify-between">
+                        <h3 className="text-lg font-bold text-red-300">Conflicts</h3>
+                        <div className="flex rounded-lg overflow-hidden border border-red-900/60" title="Applies to conflicts without their own choice">
+                            {MERGE_CHOICES.map(option => (
+                                <button
+                                    key={option.value}
+                                    onClick={() => { setDefaultChoice(option.value); setChoices({}); }}
+                                    className={`px-2 py-1 text-xs transition ${defaultChoice === option.value ? 'bg-red-700 text-white' : 'bg-black/50 text-gray-300 hover:bg-red-900/70'}`}
+                                >
+                                    All: {option.label}
+                                </button>
+                            ))}
+                        </div>
+                    </div>
+                    <div className="max-h-[35vh] overflow-y-auto pr-2 space-y-2 custom-scroll">
+                        {conflicts.map(conflict => {
+                            const choiceKey = `${conflict.entity}:${conflict.key}`;
+                            return (
+                                <div key={choiceKey} className="bg-black/40 p-3 rounded-xl border border-red-900/40">
+                                    <div className="flex justify-between items-center mb-2">
+                                        <span className="font-semibold text-white truncate pr-2">{conflict.label}</span>
+                                        <select
+                                            value={choices[choiceKey] || defaultChoice}
+                                            onChange={(e) => setChoices(prev => ({ ...prev, [choiceKey]: e.target.value }))}
+                                            className="p-1 rounded-lg bg-red-900/60 text-white text-xs border-none focus:ring-red-400/50"
+                                        >
+                                            {MERGE_CHOICES.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+                                        </select>
+                                    </div>
+                                    <ul className="text-xs space-y-1">
+                                        {conflict.conflicts.map(field => (
+                                            <li key={field} className="flex justify-between">
+                                                <span className="text-gray-400">{field}</span>
+                                                <span>
+                                                    <span className="text-gray-200">{describeFieldValue(conflict.local, field)}</span>
+                                                    <span className="text-gray-500"> mine · theirs </span>
+                                                    <span className="text-yellow-300">{describeFieldValue(conflict.incoming, field)}</span>
+                                                </span>
+                                            </li>
+                                        ))}
+                                    </ul>
+                                </div>
+                            );
+                        })}
+                    </div>
+                </div>
+            )}
+
+            <div className="flex flex-col sm:flex-row gap-3 pt-6 border-t border-red-900/40 mt-4">
+                <MobileButton onClick={onClose} className="flex-1 bg-black/50 hover:bg-red-900/70 shadow-none">Cancel</MobileButton>
+                <MobileButton onClick={handleReplace} disabled={isApplying || isBlockedByInvalid} className="flex-1 bg-black/50 hover:bg-red-900/70 shadow-none text-red-300">
+                    Replace Ledger Data
+                </MobileButton>
+                <MobileButton onClick={handleMerge} disabled={isApplying || isBlockedByInvalid || changeCount === 0} className="flex-1 bg-red-700/90 hover:bg-red-600/90">
+                    {changeCount === 0 ? 'Nothing to Merge' : 'Merge Import'}
+                </MobileButton>
             </div>
         </Modal>
     );
 };
 
+// --- SHOPPING MODE MODAL (NEW) ---
+
+const NO_STORE_GROUP = 'No Store Price';
+
+// Builds the editable line for a cart item, applying any saved in-progress session values
+const buildShoppingLine = (item, saved, priceComparisonMode) => {
+    // Coupons depend on how many are bought, so offers are priced at the line's quantity
+    const quantity = saved && saved.quantity ? saved.quantity : (item.quantity || 1);
+    const cheapest = getCheapestOption({ ...item, quantity }, priceComparisonMode);
+    const storeName = saved && saved.storeName !== undefined ? saved.storeName : (cheapest.price !== null ? cheapest.storeName : '');
+    const storePrice = (item.stores || []).find(s => s.storeName === storeName && s.price > 0);
+    return {
+        item,
+        checked: Boolean(saved && saved.checked),
+        quantity,
+        storeName,
+        storeId: storePrice ? storePrice.storeId || null : null,
+        estimatedPrice: storePrice ? getEffectivePrice(storePrice, quantity).price : null,
+        actualPrice: saved && saved.actualPrice !== undefined ? saved.actualPrice : '',
+    };
+};
 
-const StorePriceEditor = ({ item, setLocalItem, stores }) => {
-    const getAvailableStoreOptions = (currentIndex, allStores, currentStores) => {
-        const usedNames = new Set(currentStores
-            .filter((_, i) => i !== currentIndex)
-            .map(s => s.storeName)
-            .filter(name => name)
-        );
-        return allStores.filter(s => !usedNames.has(s.name));
+// Price actually charged per unit: the entered amount, or the estimate when left blank
+const getLinePaidPrice = (line) => (line.actualPrice !== '' && !isNaN(Number(line.actualPrice)) ? Number(line.actualPrice) : (line.estimatedPrice || 0));
+
+const ShoppingModeModal = ({ onClose, ledgerId, cartItems, priceComparisonMode, onFinish }) => {
+    // In-progress trip survives closing the modal or reloading the page; each ledger has its own
+    const [session, setSession] = usePersistentState(ledgerSettingKey(ledgerId, 'shoppingSession'), {});
+    const [error, setError] = useState('');
+
+    const lines = useMemo(() => cartItems.map(item => buildShoppingLine(item, session[item.id], priceComparisonMode)), [cartItems, session, priceComparisonMode]);
+
+    const groups = useMemo(() => {
+        const byStore = {};
+        lines.forEach(line => {
+            const key = line.storeName || NO_STORE_GROUP;
+            (byStore[key] = byStore[key] || []).push(line);
+        });
+        return Object.keys(byStore)
+            .sort((a, b) => (a === NO_STORE_GROUP) - (b === NO_STORE_GROUP) || a.localeCompare(b))
+            .map(storeName => ({ storeName, lines: byStore[storeName] }));
+    }, [lines]);
+
+    const checkedLines = lines.filter(line => line.checked);
+    const checkedTotal = checkedLines.reduce((sum, line) => sum + getLinePaidPrice(line) * line.quantity, 0);
+
+    const updateLine = (itemId, changes) => {
+        setSession(prev => ({ ...prev, [itemId]: { ...prev[itemId], ...changes } }));
     };
 
-    const handleAddStorePrice = () => {
-        if (item.stores.length >= MAX_STORES_PER_ITEM) return;
-        setLocalItem(prev => ({
-            ...prev,
-            stores: [...prev.stores, { storeName: '', price: '' }]
-        }));
+    const handleFinish = async () => {
+        if (checkedLines.length === 0) return;
+        const finished = await onFinish(checkedLines);
+        if (finished) {
+            // Unchecked items stay in the cart, along with any edits made to them
+            setSession(prev => Object.fromEntries(Object.entries(prev).filter(([, entry]) => !entry.checked)));
+            onClose();
+        } else {
+            setError('Could not save the trip. Your progress is kept; try again.');
+        }
     };
 
-    const handleUpdateStorePrice = (index, key, value) => {
-        setLocalItem(prev => {
-            const newStores = [...prev.stores];
-            newStores[index] = { ...newStores[index], [key]: value };
-            return { ...prev, stores: newStores };
-        });
+    const handleDiscard = () => {
+        if (!window.confirm("Discard this shopping trip's progress?")) return;
+        setSession({});
+        onClose();
     };
 
-    const handleRemoveStorePrice = (index) => {
-        setLocalItem(prev => ({
-            ...prev,
-            stores: prev.stores.filter((_, i) => i !== index)
-        }));
+    return (
+        <Modal onClose={onClose}>
+            <h2 className="text-3xl font-extrabold text-white mb-2 border-b border-red-700 pb-2">Shopping Mode</h2>
+            <p className="text-xs text-gray-400 mb-4">Tick items as they go in the basket. Enter the shelf price if it differs from the estimate.</p>
+
+            {cartItems.length === 0 ? (
+                <p className="text-gray-400 text-center py-8">Nothing is Depleted or Running Low. Your pantry is stocked!</p>
+            ) : (
+                <div className="space-y-4 max-h-[55vh] overflow-y-auto pr-2 custom-scroll">
+                    {groups.map(group => {
+                        const doneCount = group.lines.filter(line => line.checked).length;
+                        return (
+                            <div key={group.storeName}>
+                                <div className="flex justify-between items-center mb-2">
+                                    <h3 className="text-lg font-bold text-red-300">{group.storeName}</h3>
+                                    <span className="text-xs text-gray-400">{doneCount}/{group.lines.length} in basket</span>
+                                </div>
+                                <div className="space-y-2">
+                                    {group.lines.map(line => {
+                                        const pricedStores = (line.item.stores || []).filter(s => s.price > 0);
+                                        return (
+                                            <div
+                                                key={line.item.id}
+                                                className={`p-3 rounded-xl border transition ${line.checked ? 'bg-green-900/30 border-green-700/60' : 'bg-black/40 border-red-900/40'}`}
+                                            >
+                                                <div className="flex items-center space-x-3">
+                                                    <button
+                                                        onClick={() => updateLine(line.item.id, { checked: !line.checked })}
+                                                        className={`w-8 h-8 flex-shrink-0 rounded-lg border-2 flex items-center justify-center transition ${line.checked ? 'bg-green-600 border-green-400' : 'border-red-700 bg-black/40'}`}
+                                                        title={line.checked ? 'Remove from basket' : 'Add to basket'}
+                                                    >
+                                                        {line.checked && (
+                                                            <svg className="w-5 h-5 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="3" d="M5 13l4 4L19 7"></path></svg>
+                                                        )}
+                                                    </button>
+                                                    <span className={`flex-grow font-semibold truncate ${line.checked ? 'text-gray-400 line-through' : 'text-white'}`}>{line.item.name}</span>
+                                                    <div className="flex items-center space-x-1 flex-shrink-0">
+                                                        <QuantityButton
+                                                            onClick={() => updateLine(line.item.id, { quantity: Math.max(1, line.quantity - 1) })}
+                                                            disabled={line.quantity <= 1}
+                                                            className="bg-red-700/70"
+                                                        >
+                                                            -
+                                                        </QuantityButton>
+                                                        <span className="font-bold w-6 text-center text-red-300">{line.quantity}</span>
+                                                        <QuantityButton
+                                                            onClick={() => updateLine(line.item.id, { quantity: line.quantity + 1 })}
+                                                            className="bg-green-700/70"
+                                                        >
+                                                            +
+                                                        </QuantityButton>
+                                                    </div>
+                                                </div>
+                                                <div className="flex items-center space-x-2 mt-2 pl-11">
+                                                    <input
+                                                        type="number"
+                                                        min="0"
+                                                        step="0.01"
+                                                        placeholder={line.estimatedPrice !== null ? line.estimatedPrice.toFixed(2) : 'Price ($)'}
+                                                        value={line.actualPrice}
+                                                        onChange={(e) => updateLine(line.item.id, { actualPrice: e.target.value })}
+                                                        className="w-24 p-2 rounded-lg bg-red-900/60 text-white text-sm placeholder-gray-400 border-none focus:ring-red-400/50"
+                                                        title="Actual price paid (each)"
+                                                    />
+                                                    {pricedStores.length > 1 && (
+                                                        <select
+                                                            value={line.storeName}
+                                                            onChange={(e) => updateLine(line.item.id, { storeName: e.target.value })}
+                                                            className="flex-grow p-2 rounded-lg bg-black/40 text-white text-xs border border-red-900/60"
+                                                            title="Buying at"
+                                                        >
+                                                            {pricedStores.map(s => (
+                                                                <option key={s.storeName} value={s.storeName}>{s.storeName} (${Number(s.price).toFixed(2)})</option>
+                                                            ))}
+                                                        </select>
+                                                    )}
+                                                    <span className="ml-auto text-sm font-semibold text-green-400 whitespace-nowrap">
+                                                        ${(getLinePaidPrice(line) * line.quantity).toFixed(2)}
+                                                    </span>
+                                                </div>
+                                            </div>
+                                        );
+                                    })}
+                                </div>
+                            </div>
+                        );
+                    })}
+                </div>
+            )}
+
+            <div className="pt-4 border-t border-red-900/40 mt-4 space-y-3">
+                {error && <p className="text-sm text-red-300">{error}</p>}
+                <MobileButton
+                    onClick={handleFinish}
+                    disabled={checkedLines.length === 0}
+                    className="bg-green-700/80 hover:bg-green-600/80 shadow-green-900/50"
+                >
+                    Finish Trip ({checkedLines.length} items / ${checkedTotal.toFixed(2)})
+                </MobileButton>
+                <div className="flex space-x-4">
+                    <MobileButton onClick={handleDiscard} className="flex-1 bg-black/50 hover:bg-red-900/70 shadow-none text-sm">Discard Progress</MobileButton>
+                    <MobileButton onClick={onClose} className="flex-1 bg-black/50 hover:bg-red-900/70 shadow-none text-sm">Close</MobileButton>
+                </div>
+            </div>
+        </Modal>
+    );
+};
+
+// --- BUDGETS MODAL (NEW) ---
+
+const BUDGET_LEVEL_STYLES = {
+    ok: { bar: 'bg-green-500', text: 'text-green-400' },
+    warning: { bar: 'bg-yellow-500', text: 'text-yellow-400' },
+    over: { bar: 'bg-red-500', text: 'text-red-400' },
+};
+
+const BudgetProgress = ({ status }) => {
+    const style = BUDGET_LEVEL_STYLES[status.level];
+    const spentPercent = Math.min(100, (status.spent / status.limit) * 100);
+    const cartPercent = Math.min(100 - spentPercent, (status.cart / status.limit) * 100);
+    return (
+        <div>
+            <div className="flex justify-between text-xs mb-1">
+                <span className="text-gray-300">${status.spent.toFixed(2)} spent{status.cart > 0 && ` + $${status.cart.toFixed(2)} in cart`}</span>
+                <span className={style.text}>
+                    {status.remaining >= 0 ? `$${status.remaining.toFixed(2)} left` : `$${Math.abs(status.remaining).toFixed(2)} over`}
+                </span>
+            </div>
+            <div className="w-full h-2 rounded-full bg-black/60 overflow-hidden flex">
+                <div className={`h-full ${style.bar}`} style={{ width: `${spentPercent}%` }}></div>
+                <div className={`h-full ${style.bar} opacity-40`} style={{ width: `${cartPercent}%` }}></div>
+            </div>
+        </div>
+    );
+};
+
+const BudgetsModal = ({ onClose, budgets, categories, onSave, budgetStatuses }) => {
+    const [monthly, setMonthly] = useState(budgets.monthly > 0 ? String(budgets.monthly) : '');
+    const [categoryLimits, setCategoryLimits] = useState(() => Object.fromEntries(
+        categories.map(category => [category, budgets.categories?.[category] > 0 ? String(budgets.categories[category]) : ''])
+    ));
+
+    const statusByKey = useMemo(() => new Map(budgetStatuses.map(status => [status.key, status])), [budgetStatuses]);
+
+    const handleSave = async () => {
+        const toLimit = (value) => (Number(value) > 0 ? Number(value) : null);
+        const categories = {};
+        Object.entries(categoryLimits).forEach(([category, value]) => {
+            const limit = toLimit(value);
+            if (limit) categories[category] = limit;
+        });
+        const saved = await onSave({ monthly: toLimit(monthly), categories });
+        if (saved) onClose();
     };
 
+    const inputClass = "w-28 p-2 rounded-lg bg-red-900/60 text-white text-sm placeholder-gray-400 border-none focus:ring-red-400/50";
+
     return (
-        <div className="space-y-4 pt-4 border-t border-red-900/50 mt-6">
-            <h3 className="text-xl font-bold text-red-300">Price Comparison ({item.stores.length}/{MAX_STORES_PER_ITEM})</h3>
+        <Modal onClose={onClose}>
+            <h2 className="text-3xl font-extrabold text-white mb-2 border-b border-red-700 pb-2">Monthly Budgets</h2>
+            <p className="text-xs text-gray-400 mb-4">Limits repeat every month. Spending comes from this month's logged receipts. Leave blank for no limit.</p>
 
-            <div className="max-h-60 overflow-y-auto pr-2 space-y-3 custom-scroll">
-                {item.stores.map((store, index) => {
-                    const availableOptions = getAvailableStoreOptions(index, stores, item.stores);
+            <div className="bg-black/40 p-3 rounded-xl border border-red-900/40 mb-4 space-y-2">
+                <div className="flex justify-between items-center">
+                    <span className="font-bold text-red-300">Overall</span>
+                    <input type="number" min="0" step="1" placeholder="No limit" value={monthly} onChange={(e) => setMonthly(e.target.value)} className={inputClass} />
+                </div>
+                {statusByKey.has('monthly') && <BudgetProgress status={statusByKey.get('monthly')} />}
+            </div>
+
+            <div className="space-y-2 max-h-[45vh] overflow-y-auto pr-2 custom-scroll">
+                {categories.map(category => (
+                    <div key={category} className="bg-black/40 p-3 rounded-xl border border-red-900/40 space-y-2">
+                        <div className="flex justify-between items-center">
+                            <span className="font-medium text-gray-200">{category}</span>
+                            <input
+                                type="number"
+                                min="0"
+                                step="1"
+                                placeholder="No limit"
+                                value={categoryLimits[category]}
+                                onChange={(e) => setCategoryLimits(prev => ({ ...prev, [category]: e.target.value }))}
+                                className={inputClass}
+                            />
+                        </div>
+                        {statusByKey.has(category) && <BudgetProgress status={statusByKey.get(category)} />}
+                    </div>
+                ))}
+            </div>
+
+            <div className="flex justify-end space-x-4 pt-6 border-t border-red-900/40 mt-4">
+                <MobileButton onClick={onClose} className="flex-1 bg-black/50 hover:bg-red-900/70 shadow-none">Cancel</MobileButton>
+                <MobileButton onClick={handleSave} className="flex-1 bg-red-700/90 hover:bg-red-600/90">Save Budgets</MobileButton>
+            </div>
+        </Modal>
+    );
+};
 
-                    return (
-                        <div key={index} className="flex flex-wrap sm:flex-nowrap items-center space-x-2 bg-black/40 p-3 rounded-xl border border-red-900/40">
-                            {/* Store Name Dropdown */}
-                            <select
-                                value={store.storeName}
-                                onChange={(e) => handleUpdateStorePrice(index, 'storeName', e.target.value)}
-                                className="flex-1 w-full sm:w-auto mb-2 sm:mb-0 p-2 rounded-lg bg-red-900/60 text-white border-none focus:ring-red-400/50"
-                                required
-                            >
-                                <option value="" disabled>Select Store</option>
-                                {store.storeName && !availableOptions.find(o => o.name === store.storeName) && (
-                                    <option value={store.storeName}>{store.storeName}</option>
-                                )}
-                                {availableOptions.map(s => (
-                                    <option key={s.id} value={s.name}>{s.name}</option>
-                                ))}
-                            </select>
+// --- SPENDING ANALYTICS MODAL (NEW) ---
 
-                            {/* Price Input */}
-                            <input
-                                type="number"
-                                placeholder="Price ($)"
-                                value={store.price}
-                                onChange={(e) => handleUpdateStorePrice(index, 'price', e.target.value)}
-                                min="0.01"
-                                step="0.01"
-                                className="w-28 p-2 rounded-lg bg-red-900/60 text-white border-none focus:ring-red-400/50"
-                                required
-                            />
+const SpendingBarChart = ({ series, granularity, height = 140 }) => {
+    const maxTotal = Math.max(...series.map(bucket => bucket.total), 0);
+    if (series.length === 0 || maxTotal === 0) {
+        return <p className="text-sm text-gray-500 italic text-center py-8">No spending in this range.</p>;
+    }
+    const barWidth = 24;
+    const gap = 6;
+    const width = series.length * (barWidth + gap);
+    const chartHeight = height - 18;
+    const formatLabel = (date) => (granularity === 'week'
+        ? date.toLocaleDateString([], { month: 'numeric', day: 'numeric' })
+        : date.toLocaleDateString([], { month: 'short' }));
 
-                            {/* Remove Button */}
-                            <button onClick={() => handleRemoveStorePrice(index)} className="w-8 h-8 p-0 flex items-center justify-center rounded-lg bg-red-600/70 hover:bg-red-500/80 transition ml-2">
-                                <svg className="w-5 h-5 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12"></path></svg>
-                            </button>
-                        </div>
+    return (
+        <div className="overflow-x-auto custom-scroll pb-1">
+            <svg width={width} height={height} viewBox={`0 0 ${width} ${height}`}>
+                {series.map((bucket, i) => {
+                    const barHeight = (bucket.total / maxTotal) * (chartHeight - 4);
+                    const x = i * (barWidth + gap);
+                    return (
+                        <g key={bucket.start.getTime()}>
+                            <rect x={x} y={chartHeight - barHeight} width={barWidth} height={Math.max(barHeight, bucket.total > 0 ? 1 : 0)} rx="3" fill="#dc2626">
+                                <title>{`${bucket.start.toLocaleDateString()}: $${bucket.total.toFixed(2)}`}</title>
+                            </rect>
+                            <text x={x + barWidth / 2} y={height - 4} textAnchor="middle" fontSize="9" fill="#9ca3af">{formatLabel(bucket.start)}</text>
+                        </g>
                     );
                 })}
-            </div>
-
-            {item.stores.length < MAX_STORES_PER_ITEM && (
-                <MobileButton onClick={handleAddStorePrice} className="w-full mt-4 bg-black/50 hover:bg-red-900/70 text-sm">
-                    + Add Price Point
-                </MobileButton>
-            )}
+            </svg>
         </div>
     );
 };
 
-const ItemForm = ({ localItem, setLocalItem, stores }) => {
-    const [isScannerOpen, setIsScannerOpen] = useState(false);
-    const imageInputRef = useRef(null);
+const BreakdownBars = ({ title, rows, total }) => (
+    <div className="bg-black/40 p-3 rounded-xl border border-red-900/40">
+        <h3 className="text-sm font-bold text-red-300 mb-2">{title}</h3>
+        {rows.length === 0 ? (
+            <p className="text-xs text-gray-500 italic">Nothing to show.</p>
+        ) : (
+            <ul className="space-y-2">
+                {rows.map(row => (
+                    <li key={row.label} className="text-xs">
+                        <div className="flex justify-between mb-1">
+                            <span className="text-gray-200 truncate pr-2">{row.label}</span>
+                            <span className="text-white font-semibold whitespace-nowrap">
+                                ${row.total.toFixed(2)} <span className="text-gray-500">({total > 0 ? Math.round((row.total / total) * 100) : 0}%)</span>
+                            </span>
+                        </div>
+                        <div className="w-full h-1.5 rounded-full bg-black/60 overflow-hidden">
+                            <div className="h-full bg-red-600" style={{ width: `${total > 0 ? (row.total / total) * 100 : 0}%` }}></div>
+                        </div>
+                    </li>
+                ))}
+            </ul>
+        )}
+    </div>
+);
 
-    const handleImageUpload = (e) => {
-        const file = e.target.files[0];
-        if (file) {
-            const reader = new FileReader();
-            reader.onloadend = () => {
-                setLocalItem(prev => ({ ...prev, imageUrl: reader.result }));
-            };
-            reader.readAsDataURL(file);
-            e.target.value = '';
-        }
-    };
+const SpendingAnalyticsModal = ({ onClose, receipts, items }) => {
+    const [rangePreset, setRangePreset] = useState('90d');
+    const [customFrom, setCustomFrom] = useState('');
+    const [customTo, setCustomTo] = useState('');
+    const [granularity, setGranularity] = useState('week');
 
-    const handleScanComplete = (upc) => {
-        console.log(`[SCAN COMPLETE] Scanned UPC: ${upc}`);
-        setLocalItem(prev => ({ ...prev, barcode: upc }));
-        setIsScannerOpen(false);
-    };
+    const range = useMemo(
+        () => resolveAnalyticsRange(rangePreset, receipts, customFrom, customTo),
+        [rangePreset, receipts, customFrom, customTo]
+    );
+    const analytics = useMemo(() => {
+        const itemsById = new Map(items.map(item => [item.id, item]));
+        return buildSpendingAnalytics(receipts, range, granularity, itemsById);
+    }, [receipts, items, range, granularity]);
 
-    const handleQuantityChange = (e) => {
-        const value = parseInt(e.target.value) || 1;
-        setLocalItem({ ...localItem, quantity: Math.max(1, value) });
-    };
+    const selectClass = "p-2 rounded-lg bg-red-900/60 text-white text-sm border-none focus:ring-red-400/50";
 
     return (
-        <>
-            <div className="space-y-6">
-                {/* Row 1: Name and Category */}
-                <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
-                    <div>
-                        <label className="block text-sm font-medium text-red-300 mb-1">Item Name</label>
-                        <input
-                            type="text"
-                            value={localItem.name}
-                            onChange={(e) => setLocalItem({ ...localItem, name: e.target.value })}
-                            className="w-full p-3 rounded-xl bg-black/40 text-white border border-red-900 focus:ring-red-400 focus:border-red-400"
-                            required
-                        />
-                    </div>
-                    <div>
-                        <label className="block text-sm font-medium text-red-300 mb-1">Category</label>
-                        <select
-                            value={localItem.category}
-                            onChange={(e) => setLocalItem({ ...localItem, category: e.target.value })}
-                            className="w-full p-3 rounded-xl bg-black/40 text-white border border-red-900 focus:ring-red-400 focus:border-red-400"
+        <Modal onClose={onClose}>
+            <h2 className="text-3xl font-extrabold text-white mb-4 border-b border-red-700 pb-2">Spending Analytics</h2>
+
+            <div className="flex flex-wrap gap-2 mb-4">
+                <select value={rangePreset} onChange={(e) => setRangePreset(e.target.value)} className={selectClass}>
+                    {ANALYTICS_RANGE_OPTIONS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+                </select>
+                {rangePreset === 'custom' && (
+                    <>
+                        <input type="date" value={customFrom} onChange={(e) => setCustomFrom(e.target.value)} className={selectClass} aria-label="From date" />
+                        <input type="date" value={customTo} onChange={(e) => setCustomTo(e.target.value)} className={selectClass} aria-label="To date" />
+                    </>
+                )}
+                <div className="flex rounded-lg overflow-hidden border border-red-900/60">
+                    {[['week', 'Weekly'], ['month', 'Monthly']].map(([value, label]) => (
+                        <button
+                            key={value}
+                            onClick={() => setGranularity(value)}
+                            className={`px-3 text-sm transition ${granularity === value ? 'bg-red-700 text-white' : 'bg-black/50 text-gray-300 hover:bg-red-900/70'}`}
                         >
-                            {DEFAULT_CATEGORIES.map(cat => <option key={cat} value={cat}>{cat}</option>)}
-                        </select>
-                    </div>
+                            {label}
+                        </button>
+                    ))}
                 </div>
+            </div>
 
-                {/* Row 2: Quantity and Status */}
-                <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
-                    <div>
-                        <label className="block text-sm font-medium text-red-300 mb-1">Quantity Needed</label>
-                        <input
-                            type="number"
-                            min="1"
-                            value={localItem.quantity}
-                            onChange={handleQuantityChange}
-                            className="w-full p-3 rounded-xl bg-black/40 text-white border border-red-900 focus:ring-red-400 focus:border-red-400"
-                            required
-                        />
+            <div className="max-h-[60vh] overflow-y-auto pr-2 space-y-4 custom-scroll">
+                <div className="grid grid-cols-3 gap-2 text-center">
+                    <div className="bg-black/40 p-3 rounded-xl border border-red-900/40">
+                        <span className="block text-xl font-extrabold text-green-400">${analytics.total.toFixed(2)}</span>
+                        <span className="block text-[10px] uppercase text-gray-400">Total Spent</span>
                     </div>
-                    <div>
-                        <label className="block text-sm font-medium text-red-300 mb-1">Status</label>
-                        <div className="flex space-x-2">
-                            {STATUS_OPTIONS.map(status => (
-                                <button
-                                    key={status.value}
-                                    onClick={() => setLocalItem({ ...localItem, status: status.value })}
-                                    className={`
-                                    flex-1 py-2 rounded-xl text-xs font-semibold transition
-                                    ${status.value === localItem.status
-                                            ? status.color + ' text-black shadow-lg shadow-red-700/30'
-                                            : 'bg-black/40 text-gray-300 hover:bg-red-900/50'
-                                        }
-                                `}
-                                >
-                                    {status.label}
-                                </button>
-                            ))}
-                        </div>
+                    <div className="bg-black/40 p-3 rounded-xl border border-red-900/40">
+                        <span className="block text-xl font-extrabold text-white">{analytics.receiptCount}</span>
+                        <span className="block text-[10px] uppercase text-gray-400">Trips</span>
                     </div>
-                </div>
-
-                {/* Barcode Scanner & Image Upload */}
-                <div className="space-y-4">
-                    <div>
-                        <label className="block text-sm font-medium text-red-300 mb-1">Barcode / UPC</label>
-                        <div className="flex space-x-2 items-center">
-                            <MobileButton
-                                onClick={() => setIsScannerOpen(true)}
-                                className="flex-grow bg-black/50 hover:bg-red-900/70 text-sm whitespace-nowrap text-left justify-start !py-3 !px-4"
-                            >
-                                <span className="font-semibold text-base mr-2">
-                                    {localItem.barcode ? 'UPC: ' : 'Scan Barcode'}
-                                </span>
-                                <span className="font-mono text-red-400 truncate">
-                                    {localItem.barcode || 'Tap to Scan'}
-                                </span>
-                            </MobileButton>
-                            {localItem.barcode && (
-                                <MobileButton
-                                    onClick={() => setLocalItem({ ...localItem, barcode: '' })}
-                                    className="w-12 h-12 p-0 flex items-center justify-center bg-red-600/70 hover:bg-red-500/80 shadow-none flex-shrink-0"
-                                    title="Clear Barcode"
-                                >
-                                    &times;
-                                </MobileButton>
-                            )}
-                        </div>
+                    <div className="bg-black/40 p-3 rounded-xl border border-red-900/40">
+                        <span className="block text-xl font-extrabold text-white">${analytics.averageBasket.toFixed(2)}</span>
+                        <span className="block text-[10px] uppercase text-gray-400">Avg Basket ({analytics.averageLinesPerBasket.toFixed(1)} items)</span>
                     </div>
+                </div>
 
-                    {/* Image Upload */}
-                    <div className="flex items-center space-x-3 bg-black/40 p-3 rounded-xl border border-red-900/40">
-                        <MobileButton
-                            onClick={() => imageInputRef.current && imageInputRef.current.click()}
-                            className="flex-shrink-0 w-auto bg-red-700/70 hover:bg-red-600/80 text-sm whitespace-nowrap !py-2 !px-4 shadow-none"
-                        >
-                            Choose Image
-                        </MobileButton>
-
-                        <input
-                            ref={imageInputRef}
-                            type="file"
-                            accept="image/*"
-                            className="hidden"
-                            onChange={handleImageUpload}
-                        />
+                <div className="bg-black/40 p-3 rounded-xl border border-red-900/40">
+                    <h3 className="text-sm font-bold text-red-300 mb-2">{granularity === 'week' ? 'Weekly' : 'Monthly'} Spending</h3>
+                    <SpendingBarChart series={analytics.series} granularity={granularity} />
+                </div>
 
-                        {localItem.imageUrl ? (
-                            <img
-                                src={localItem.imageUrl}
-                                alt="Item Preview"
-                                className="h-10 w-10 object-cover rounded-full border-2 border-red-400"
-                                onError={(e) => e.target.style.display = 'none'}
-                            />
-                        ) : (
-                            <span className="text-gray-500 text-sm">No image selected.</span>
-                        )}
-                    </div>
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                    <BreakdownBars title="By Category" rows={analytics.byCategory} total={analytics.total} />
+                    <BreakdownBars title="By Store" rows={analytics.byStore} total={analytics.total} />
                 </div>
 
-                <StorePriceEditor item={localItem} setLocalItem={setLocalItem} stores={stores} />
+                <BreakdownBars
+                    title={`Top ${TOP_ITEMS_LIMIT} Items by Spend`}
+                    rows={analytics.topItems.map(item => ({ label: `${item.name} (x${item.quantity})`, total: item.total }))}
+                    total={analytics.total}
+                />
             </div>
 
-            {isScannerOpen && (
-                <BarcodeScannerModal
-                    onClose={() => setIsScannerOpen(false)}
-                    onScanComplete={handleScanComplete}
-                />
-            )}
-        </>
+            <div className="pt-6 border-t border-red-900/40 mt-4">
+                <MobileButton onClick={onClose} className="bg-black/50 hover:bg-red-900/70 shadow-none">Close</MobileButton>
+            </div>
+        </Modal>
     );
 };
 
-const AddItemModal = ({ onClose, onCreate, stores }) => {
-    const [localItem, setLocalItem] = useState({
-        id: crypto.randomUUID(),
-        name: '',
-        category: DEFAULT_CATEGORIES[0],
-        status: STATUS_OPTIONS[0].value,
-        barcode: '',
-        imageUrl: '',
-        stores: [],
-        quantity: 1,
-    });
+// --- TRIP PLANNER MODAL (NEW) ---
 
-    const handleCreate = () => {
-        if (!localItem.name.trim()) return;
-        onCreate(localItem);
-    };
+const TripPlannerModal = ({ onClose, cartItems, storeCount, taxContext, today }) => {
+    const [maxStores, setMaxStores] = useState(2);
+    const [costPerStop, setCostPerStop] = useState('');
+
+    const plan = useMemo(() => planShoppingTrip(cartItems, {
+        maxStores,
+        costPerStop: Math.max(0, Number(costPerStop) || 0),
+        storesById: taxContext,
+        today,
+    }), [cartItems, maxStores, costPerStop, taxContext, today]);
 
     return (
         <Modal onClose={onClose}>
-            <h2 className="text-3xl font-extrabold text-white mb-6 border-b border-red-700 pb-2">Create New Item</h2>
-            <ItemForm localItem={localItem} setLocalItem={setLocalItem} stores={stores} />
-            <div className="pt-6 border-t border-red-900/40 mt-4">
-                <MobileButton onClick={handleCreate} disabled={!localItem.name.trim()} className="bg-red-600/90 hover:bg-red-500/90 shadow-red-700/50">
-                    Add Item to List
-                </MobileButton>
+            <h2 className="text-3xl font-extrabold text-white mb-6 border-b border-red-700 pb-2">Trip Planner</h2>
+
+            <div className="grid grid-cols-2 gap-4 mb-4">
+                <div>
+                    <label htmlFor="trip-max-stores" className="block text-sm font-semibold text-red-300 mb-1">Max Stores:</label>
+                    <input
+                        id="trip-max-stores"
+                        type="number"
+                        min="1"
+                        max={Math.max(1, storeCount)}
+                        value={maxStores}
+                        onChange={(e) => setMaxStores(Math.max(1, parseInt(e.target.value) || 1))}
+                        className="w-full p-3 rounded-xl bg-black/40 text-white border border-red-900 focus:ring-red-400 focus:border-red-400"
+                    />
+                </div>
+                <div>
+                    <label htmlFor="trip-stop-cost" className="block text-sm font-semibold text-red-300 mb-1">Cost per Extra Stop ($):</label>
+                    <input
+                        id="trip-stop-cost"
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        placeholder="0.00"
+                        value={costPerStop}
+                        onChange={(e) => setCostPerStop(e.target.value)}
+                        className="w-full p-3 rounded-xl bg-black/40 text-white placeholder-gray-500 border border-red-900 focus:ring-red-400 focus:border-red-400"
+                    />
+                </div>
             </div>
-        </Modal>
-    );
-};
 
-const ItemEditModal = ({ item, onClose, onSave, stores }) => {
-    // Deep clone the item to ensure local edits don't affect parent state until saved
-    const [localItem, setLocalItem] = useState(JSON.parse(JSON.stringify(item)));
+            {!plan.best ? (
+                <p className="text-gray-400 text-center py-8">No items in the cart have store prices yet.</p>
+            ) : (
+                <>
+                    <DeepCard className="!p-4 mb-4 bg-black/70 border-red-900/70">
+                        <div className="grid grid-cols-2 gap-2 text-sm">
+                            <span className="text-gray-400">Stores: <span className="font-semibold text-white">{plan.best.usedStores.length}</span></span>
+                            <span className="text-gray-400">Items: <span className="font-semibold text-white">{plan.best.assignments.length}</span></span>
+                            {plan.best.stopsCost > 0 && (
+                                <span className="col-span-2 text-gray-400">Extra stops: <span className="font-semibold text-white">${plan.best.stopsCost.toFixed(2)}</span></span>
+                            )}
+                            <span className="col-span-2 text-lg font-extrabold text-green-400">Trip Total: ${plan.best.totalCost.toFixed(2)}</span>
+                            {plan.savings !== null && plan.bestSingle && (
+                                <span className="col-span-2 text-xs text-gray-400">
+                                    {plan.savings > 0.005
+                                        ? <>Saves <span className="font-semibold text-green-300">${plan.savings.toFixed(2)}</span> vs. one trip to {plan.bestSingle.usedStores[0]} (${plan.bestSingle.totalCost.toFixed(2)})</>
+                                        : <>A single trip to {plan.bestSingle.usedStores[0]} is already the best option.</>}
+                                </span>
+                            )}
+                            {plan.savings === null && (
+                                <span className="col-span-2 text-xs text-yellow-400">No single store carries every item.</span>
+                            )}
+                            <span className="col-span-2 text-xs text-gray-500">
+                                Every item at its own cheapest store: ${plan.unlimitedItemsCost.toFixed(2)} across {plan.unlimitedStoreCount} stores
+                            </span>
+                            {!plan.isExhaustive && (
+                                <span className="col-span-2 text-xs text-gray-500">Too many store combinations to check exhaustively; showing a near-optimal plan.</span>
+                            )}
+                        </div>
+                    </DeepCard>
 
-    const handleSave = () => {
-        onSave(localItem);
-    };
+                    <div className="space-y-3 max-h-[45vh] overflow-y-auto pr-2 custom-scroll">
+                        {plan.storeGroups.map(group => (
+                            <div key={group.storeName} className="bg-black/40 p-3 rounded-xl border border-red-900/40">
+                                <div className="flex justify-between items-center mb-2 pb-1 border-b border-red-900/50">
+                                    <span className="font-bold text-red-300">{group.storeName}</span>
+                                    <span className="font-semibold text-green-400">${group.subtotal.toFixed(2)}</span>
+                                </div>
+                                <ul className="space-y-1">
+                                    {group.lines.map(line => (
+                                        <li key={line.item.id} className="flex justify-between text-xs text-gray-300">
+                                            <span className="truncate">{line.item.name} <span className="text-red-500">x{line.item.quantity || 1}</span></span>
+                                            <span className="text-green-300">${line.lineTotal.toFixed(2)}</span>
+                                        </li>
+                                    ))}
+                                </ul>
+                            </div>
+                        ))}
+                    </div>
+                </>
+            )}
 
-    return (
-        <Modal onClose={onClose}>
-            <h2 className="text-3xl font-extrabold text-white mb-6 border-b border-red-700 pb-2 truncate">Edit: {localItem.name}</h2>
-            <ItemForm localItem={localItem} setLocalItem={setLocalItem} stores={stores} />
-            <div className="flex justify-end space-x-4 pt-6 border-t border-red-900/40 mt-4">
-                <MobileButton onClick={onClose} className="flex-1 bg-black/50 hover:bg-red-900/70 shadow-none">Cancel</MobileButton>
-                <MobileButton onClick={handleSave} disabled={!localItem.name.trim()} className="flex-1 bg-red-700/90 hover:bg-red-600/90">Save Changes</MobileButton>
+            {(plan.unpricedItems.length > 0 || (plan.best && plan.best.missing.length > 0)) && (
+                <p className="mt-4 text-xs text-yellow-400">
+                    Not covered by this trip: {[...plan.unpricedItems, ...(plan.best ? plan.best.missing : [])].map(item => item.name).join(', ')}
+                </p>
+            )}
+
+            <div className="pt-6 border-t border-red-900/40 mt-4">
+                <MobileButton onClick={onClose} className="bg-black/50 hover:bg-red-900/70">Close</MobileButton>
             </div>
         </Modal>
     );
 };
 
-const ManageStoresModal = ({ onClose, stores, handleAddStore, handleDeleteStore, newStoreName, setNewStoreName }) => (
-    <Modal onClose={onClose}>
-        <h2 className="text-3xl font-extrabold text-white mb-6 border-b border-red-700 pb-2">Manage Stores ({stores.length}/{MAX_REUSABLE_STORES})</h2>
-        <div className="flex space-x-2 mb-4">
-            <input
-                type="text"
-                placeholder="New Store Name"
-                value={newStoreName}
-                onChange={(e) => setNewStoreName(e.target.value)}
-                className="flex-grow p-3 rounded-xl bg-black/40 text-white placeholder-gray-500 border border-red-900 focus:ring-red-400 focus:border-red-400"
-                onKeyPress={(e) => e.key === 'Enter' && handleAddStore()}
-            />
-            <MobileButton onClick={handleAddStore} disabled={stores.length >= MAX_REUSABLE_STORES || !newStoreName.trim()} className={`
-                w-16 flex-shrink-0 !py-2
-                ${stores.length >= MAX_REUSABLE_STORES || !newStoreName.trim() ? 'bg-gray-700/50' : 'bg-red-700/70 hover:bg-red-600/80'}
-            `}>
-                +
-            </MobileButton>
-        </div>
-        <div className="max-h-80 overflow-y-auto space-y-2 pr-2 custom-scroll">
-            {stores.map(store => (
-                <div key={store.id} className="flex justify-between items-center bg-black/40 p-3 rounded-xl border border-red-900/40">
-                    <span className="text-gray-200 font-medium">{store.name}</span>
-                    <button onClick={() => handleDeleteStore(store.id)} className="w-8 h-8 p-0 flex items-center justify-center rounded-lg bg-red-600/70 hover:bg-red-500/80 transition">
-                        &times;
-                    </button>
-                </div>
-            ))}
+// --- UNDO SNACKBAR (NEW) ---
+
+const UndoSnackbar = ({ message, actionLabel, onAction, onDismiss }) => (
+    <div className="fixed bottom-4 left-1/2 -translate-x-1/2 z-[60] w-[calc(100%-2rem)] max-w-md">
+        <div className="flex items-center justify-between space-x-3 px-4 py-3 rounded-xl bg-black/90 border border-red-800 shadow-lg shadow-red-900/40 text-sm text-white">
+            <span className="truncate">{message}</span>
+            <div className="flex items-center space-x-2 flex-shrink-0">
+                {onAction && <button onClick={onAction} className="px-3 py-1 rounded-lg font-bold text-red-300 hover:bg-red-900/60 transition">{actionLabel}</button>}
+                <button onClick={onDismiss} className="px-2 text-gray-400 hover:text-white transition" title="Dismiss">&times;</button>
+            </div>
         </div>
-    </Modal>
+    </div>
 );
 
 // --- HAMBURGER MENU COMPONENT (MODIFIED for conditional rendering) ---
@@ -829,13 +6134,24 @@ const HamburgerMenu = ({
     isOpen,
     onClose,
     receiptsCount,
+    ledgerCount,
+    onOpenLedgers,
     hasData, // NEW PROP
     onOpenReceipts,
     onExportData,
+    onExportEncrypted,
     onImportClick,
     importInputRef,
     stores,
-    setIsManageStoresModalOpen
+    setIsManageStoresModalOpen,
+    catalogCount,
+    onOpenCatalog,
+    onOpenBudgets,
+    categoryCount,
+    onOpenCategories,
+    onOpenAnalytics,
+    onOpenSpreadsheet,
+    onOpenSnapshots
 }) => {
     // Stop body scrolling when menu is open
     useEffect(() => {
@@ -878,12 +6194,43 @@ const HamburgerMenu = ({
                         >
                             Past Receipts ({receiptsCount})
                         </MobileButton>
-                    }
+                    }
+
+                    <MobileButton
+                        onClick={() => { onOpenAnalytics(); onClose(); }}
+                        className="bg-black/70 hover:bg-red-900/70 text-sm shadow-none border border-red-900/50"
+                    >
+                        Spending Analytics
+                    </MobileButton>
+
+                    <div className="pt-3 border-t border-red-900/50 space-y-3">
+
+                        <MobileButton onClick={() => { onOpenLedgers(); onClose(); }} className="flex-1 !py-3 bg-black/50 hover:bg-red-900/70 text-xs sm:text-sm shadow-none">
+                            Ledgers ({ledgerCount})
+                        </MobileButton>
+
+                        <MobileButton onClick={() => { setIsManageStoresModalOpen(true); onClose(); }} className="flex-1 !py-3 bg-black/50 hover:bg-red-900/70 text-xs sm:text-sm shadow-none">
+                            Stores ({stores.length})
+                        </MobileButton>
+
+                        <MobileButton onClick={() => { onOpenCategories(); onClose(); }} className="flex-1 !py-3 bg-black/50 hover:bg-red-900/70 text-xs sm:text-sm shadow-none">
+                            Categories ({categoryCount})
+                        </MobileButton>
+
+                        <MobileButton onClick={() => { onOpenCatalog(); onClose(); }} className="flex-1 !py-3 bg-black/50 hover:bg-red-900/70 text-xs sm:text-sm shadow-none">
+                            Product Catalog ({catalogCount})
+                        </MobileButton>
 
-                    <div className="pt-3 border-t border-red-900/50 space-y-3">
+                        <MobileButton onClick={() => { onOpenBudgets(); onClose(); }} className="flex-1 !py-3 bg-black/50 hover:bg-red-900/70 text-xs sm:text-sm shadow-none">
+                            Budgets
+                        </MobileButton>
 
-                        <MobileButton onClick={() => { setIsManageStoresModalOpen(true); onClose(); }} className="flex-1 !py-3 bg-black/50 hover:bg-red-900/70 text-xs sm:text-sm shadow-none">
-                            Stores ({stores.length})
+                        <MobileButton onClick={() => { onOpenSpreadsheet(); onClose(); }} className="flex-1 !py-3 bg-black/50 hover:bg-red-900/70 text-xs sm:text-sm shadow-none">
+                            Spreadsheet (CSV)
+                        </MobileButton>
+
+                        <MobileButton onClick={() => { onOpenSnapshots(); onClose(); }} className="flex-1 !py-3 bg-black/50 hover:bg-red-900/70 text-xs sm:text-sm shadow-none">
+                            Snapshots & Restore
                         </MobileButton>
 
                         {/* Conditional Export Button: Only show if data exists */}
@@ -895,17 +6242,23 @@ const HamburgerMenu = ({
                                 Export Data (.json)
                             </MobileButton>
                         )}
-
-                        {/* Conditional Import Button: Only show if NO data exists */}
-                        {!hasData && (
+                        {hasData && (
                             <MobileButton
-                                onClick={() => { onImportClick(); onClose(); }}
-                                className="bg-red-700/70 hover:bg-red-600/80 text-sm shadow-none"
+                                onClick={() => { onExportEncrypted(); onClose(); }}
+                                className="bg-black/50 hover:bg-red-900/70 text-sm shadow-none"
                             >
-                                Import Data (.json)
+                                Encrypted Export
                             </MobileButton>
                         )}
 
+                        {/* Import is always available: files are previewed and merged, not blindly replaced */}
+                        <MobileButton
+                            onClick={() => { onImportClick(); onClose(); }}
+                            className="bg-red-700/70 hover:bg-red-600/80 text-sm shadow-none"
+                        >
+                            {hasData ? 'Import & Merge (.json)' : 'Import Data (.json)'}
+                        </MobileButton>
+
                         {/* Hidden Input for Import (Always needed for file selection) */}
                         <input
                             ref={importInputRef}
@@ -951,16 +6304,29 @@ const combinedOptions = [
             { value: 'sort-status-asc', label: 'Status (Depleted First)' },
             { value: 'sort-cheapestPrice-asc', label: 'Price Total (Cheapest First)' },
             { value: 'sort-cheapestPrice-desc', label: 'Price Total (Most Expensive First)' },
-            { value: 'sort-store-asc', label: 'Cheapest Store Name' }
+            { value: 'sort-store-asc', label: 'Cheapest Store Name' },
+            { value: 'sort-route-asc', label: 'Store Route (Cart by Aisle)' }
         ]
     }
 ];
 
+// Item statuses each status filter shows (read through the items' 'status' index)
+const FILTER_STATUSES = {
+    'Depleted': ['Depleted'],
+    'Running Low': ['Running Low'],
+    'Shopping Cart': ['Depleted', 'Running Low'],
+};
+
 const App = () => {
     // State is managed locally using React arrays, initialized with empty arrays
     const [items, setItems] = useState(initialItems);
     const [stores, setStores] = useState(initialStores);
     const [receipts, setReceipts] = useState(initialReceipts);
+    const [catalog, setCatalog] = useState([]);
+    const [catalogMessage, setCatalogMessage] = useState('');
+    const [budgets, setBudgets] = useState(DEFAULT_BUDGETS);
+    const [categories, setCategories] = useState(DEFAULT_CATEGORY_LIST); // Ordered { name, color } list
+    const [ledgers, setLedgers] = useState([]); // In creation order
     const [newStoreName, setNewStoreName] = useState('');
     const [editingItem, setEditingItem] = useState(null);
 
@@ -969,6 +6335,7 @@ const App = () => {
 
     // Filter State
     const [filterStatus, setFilterStatus] = useState('All');
+    const [filterCategory, setFilterCategory] = useState('All');
 
     // Search State
     const [searchTerm, setSearchTerm] = useState('');
@@ -976,12 +6343,58 @@ const App = () => {
     // Modal Visibility State
     const [isAddItemModalOpen, setIsAddItemModalOpen] = useState(false);
     const [isManageStoresModalOpen, setIsManageStoresModalOpen] = useState(false);
+    const [editingStoreProfile, setEditingStoreProfile] = useState(null);
+    const [editingAisleStore, setEditingAisleStore] = useState(null);
     const [isReceiptsModalOpen, setIsReceiptsModalOpen] = useState(false);
+    const [isCatalogModalOpen, setIsCatalogModalOpen] = useState(false);
+    const [isTripPlannerOpen, setIsTripPlannerOpen] = useState(false);
+    const [isShoppingModeOpen, setIsShoppingModeOpen] = useState(false);
+    const [isBudgetsModalOpen, setIsBudgetsModalOpen] = useState(false);
+    const [isCategoriesModalOpen, setIsCategoriesModalOpen] = useState(false);
+    const [isLedgersModalOpen, setIsLedgersModalOpen] = useState(false);
+    const [isAnalyticsModalOpen, setIsAnalyticsModalOpen] = useState(false);
+    const [isSpreadsheetModalOpen, setIsSpreadsheetModalOpen] = useState(false);
+    const [pendingImport, setPendingImport] = useState(null); // { fileName, data, invalid }, { fileName, error } or { fileName, encrypted } awaiting preview
+    const [isEncryptedExportOpen, setIsEncryptedExportOpen] = useState(false);
+    const [isSnapshotsModalOpen, setIsSnapshotsModalOpen] = useState(false);
+    const [snapshots, setSnapshots] = useState([]); // Summaries, newest first
+    const [snapshotRetention, setSnapshotRetention] = useState(DEFAULT_SNAPSHOT_RETENTION);
+    const [undoStack, setUndoStack] = useState([]);
+    const [redoStack, setRedoStack] = useState([]);
+    const [snackbar, setSnackbar] = useState(null); // { message, action: 'undo' | 'redo' | null (a plain notice), shownAt }
+    const isApplyingHistoryRef = useRef(false);
     const [isMenuOpen, setIsMenuOpen] = useState(false); // NEW: Hamburger menu state
 
+    // Scan-to-find State
+    const [isFindScannerOpen, setIsFindScannerOpen] = useState(false);
+    const [scannedItemId, setScannedItemId] = useState(null);
+    const [newItemBarcode, setNewItemBarcode] = useState('');
+
     // Sorting State
     const [sortCriteria, setSortCriteria] = useState('name-asc');
 
+    // Price comparison: 'package' (raw shelf price) or 'unit' (price per oz / L / count)
+    const [priceComparisonMode, setPriceComparisonMode] = usePersistentState('priceComparisonMode', 'package');
+    // Store whose aisle layout the route sort walks
+    const [routeStoreId, setRouteStoreId] = usePersistentState('routeStoreId', '');
+    // When on, prices are compared and totalled including each store's sales tax
+    const [includeTax, setIncludeTax] = usePersistentState('includeTax', false);
+    const [activeLedgerId, setActiveLedgerId] = usePersistentState('activeLedgerId', DEFAULT_LEDGER.id);
+
+    // The ledger whose data is loaded; falls back to the first one if the saved id no longer exists
+    const activeLedger = ledgers.find(ledger => ledger.id === activeLedgerId) || ledgers[0] || null;
+    const scopeLedgerId = activeLedger ? activeLedger.id : null;
+    const scopeStoreLedgerId = activeLedger ? getStoreLedgerId(activeLedger) : null;
+    const ledgerScope = useMemo(
+        () => (scopeLedgerId ? { ledgerId: scopeLedgerId, storeLedgerId: scopeStoreLedgerId } : null),
+        [scopeLedgerId, scopeStoreLedgerId]
+    );
+    // Other ledgers that use the active store list
+    const storeListSharers = useMemo(
+        () => ledgers.filter(ledger => ledger.id !== scopeLedgerId && getStoreLedgerId(ledger) === scopeStoreLedgerId),
+        [ledgers, scopeLedgerId, scopeStoreLedgerId]
+    );
+
     // Ref for the hidden file input
     const importInputRef = useRef(null);
 
@@ -991,39 +6404,172 @@ const App = () => {
     }, [items, stores, receipts]);
 
 
-    // --- EFFECT: Initialize DB and Load Data ---
+    // --- EFFECT: Initialize DB and Load App-wide Data ---
     useEffect(() => {
         const loadData = async () => {
             try {
-                const loadedItems = await loadAllItemsDB();
-                const loadedStores = await loadAllStoresDB();
-                const loadedReceipts = await loadAllReceiptsDB();
+                const loadedLedgers = await loadAllLedgersDB();
+                const loadedCatalog = await loadAllCatalogDB();
+                const loadedRetention = await loadSettingDB('snapshotRetention');
+
+                setLedgers(loadedLedgers.length > 0 ? loadedLedgers : [{ ...DEFAULT_LEDGER, createdAt: new Date().toISOString() }]);
+                setCatalog(loadedCatalog);
+                setSnapshotRetention(loadedRetention || DEFAULT_SNAPSHOT_RETENTION);
+            } catch (error) {
+                console.error("Failed to load initial data from IndexedDB:", error);
+                // Fallback to the default ledger; loading its data fails the same way and leaves it empty
+                setLedgers([{ ...DEFAULT_LEDGER, createdAt: new Date().toISOString() }]);
+            }
+        };
+        loadData();
+    }, []);
+
+    // --- EFFECT: Load the Active Ledger (again on every switch) ---
+    useEffect(() => {
+        if (!ledgerScope) return;
+        let isCancelled = false;
+        const loadLedger = async () => {
+            try {
+                const loadedItems = await loadAllItemsDB(ledgerScope.ledgerId);
+                const loadedStores = await loadAllStoresDB(ledgerScope.storeLedgerId);
+                const loadedReceipts = await loadAllReceiptsDB(ledgerScope.ledgerId);
+                const loadedBudgets = await loadSettingDB(ledgerSettingKey(ledgerScope.ledgerId, 'budgets'));
+                const loadedCategories = await loadSettingDB(ledgerSettingKey(ledgerScope.ledgerId, 'categories'));
+                const loadedSnapshots = await loadSnapshotSummariesDB(ledgerScope.ledgerId);
+                if (isCancelled) return; // Switched again while loading
 
                 setItems(loadedItems);
                 setStores(loadedStores);
                 setReceipts(loadedReceipts);
+                setBudgets({ ...DEFAULT_BUDGETS, ...(loadedBudgets || {}) });
+                setCategories(Array.isArray(loadedCategories) && loadedCategories.length > 0 ? loadedCategories : DEFAULT_CATEGORY_LIST);
+                setSnapshots(loadedSnapshots);
             } catch (error) {
-                console.error("Failed to load initial data from IndexedDB:", error);
+                console.error("Failed to load ledger data from IndexedDB:", error);
+                if (isCancelled) return;
                 // Fallback to empty state if DB fails
                 setItems([]);
                 setStores([]);
                 setReceipts([]);
             } finally {
-                setIsDbReady(true);
+                if (!isCancelled) setIsDbReady(true);
             }
         };
-        loadData();
+        loadLedger();
+        return () => { isCancelled = true; };
+    }, [ledgerScope]);
+
+
+    // --- UNDO / REDO ---
+
+    // Records a completed action; `coalesceKey` merges quick repeats (e.g. quantity clicks) into one step
+    const recordUndoable = useCallback((label, changes, coalesceKey = null) => {
+        const now = Date.now();
+        setUndoStack(prev => {
+            const top = prev[prev.length - 1];
+            if (coalesceKey && top && top.coalesceKey === coalesceKey && now - top.at < UNDO_COALESCE_MS) {
+                const mergedChanges = top.changes.map(change => {
+                    const newer = changes.find(c => c.storeName === change.storeName && c.key === change.key);
+                    return newer ? { ...change, after: newer.after } : change;
+                });
+                return [...prev.slice(0, -1), { ...top, label, changes: mergedChanges, at: now }];
+            }
+            return [...prev, { label, changes, coalesceKey, at: now }].slice(-MAX_UNDO_HISTORY);
+        });
+        setRedoStack([]);
+        setSnackbar({ message: label, action: 'undo', shownAt: now });
+    }, []);
+
+    // Bulk writes that aren't undoable (imports, finished trips, decay...) drop the steps touching the
+    // records they changed, since replaying those steps would silently revert the bulk write.
+    // `changedRecords` maps object store names to the written records.
+    const forgetHistoryFor = useCallback((changedRecords) => {
+        const changedKeys = new Set(Object.entries(changedRecords).flatMap(([storeName, records]) => records.map(record => `${storeName}:${record.id}`)));
+        if (changedKeys.size === 0) return;
+        const isUntouched = (entry) => !entry.changes.some(change => changedKeys.has(`${change.storeName}:${change.key}`));
+        setUndoStack(prev => prev.filter(isUntouched));
+        setRedoStack(prev => prev.filter(isUntouched));
+        setSnackbar(null); // Its Undo/Redo button may point at a dropped step
+    }, []);
+
+    const applyHistoryEntry = async (entry, direction) => {
+        await applyRecordChangesDB(entry.changes, direction);
+        const loadedChanges = filterChangesToScope(entry.changes, ledgerScope);
+        setItems(prev => applyRecordChangesToList(prev, loadedChanges, ITEM_STORE, direction));
+        setStores(prev => applyRecordChangesToList(prev, loadedChanges, STORE_STORE, direction));
+        setReceipts(prev => applyRecordChangesToList(prev, loadedChanges, RECEIPT_STORE, direction));
+    };
+
+    const handleUndo = async () => {
+        const entry = undoStack[undoStack.length - 1];
+        if (!entry || isApplyingHistoryRef.current) return;
+        isApplyingHistoryRef.current = true;
+        try {
+            await applyHistoryEntry(entry, 'undo');
+            setUndoStack(prev => prev.slice(0, -1));
+            setRedoStack(prev => [...prev, entry]);
+            setSnackbar({ message: `Undone: ${entry.label}`, action: 'redo', shownAt: Date.now() });
+        } catch (error) {
+            console.error("Failed to undo in DB:", error);
+        } finally {
+            isApplyingHistoryRef.current = false;
+        }
+    };
+
+    const handleRedo = async () => {
+        const entry = redoStack[redoStack.length - 1];
+        if (!entry || isApplyingHistoryRef.current) return;
+        isApplyingHistoryRef.current = true;
+        try {
+            await applyHistoryEntry(entry, 'redo');
+            setRedoStack(prev => prev.slice(0, -1));
+            setUndoStack(prev => [...prev, { ...entry, coalesceKey: null }]);
+            setSnackbar({ message: `Redone: ${entry.label}`, action: 'undo', shownAt: Date.now() });
+        } catch (error) {
+            console.error("Failed to redo in DB:", error);
+        } finally {
+            isApplyingHistoryRef.current = false;
+        }
+    };
+
+    // Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z or Ctrl+Y redoes; text fields keep their own undo
+    const undoShortcutsRef = useRef({ handleUndo, handleRedo });
+    undoShortcutsRef.current = { handleUndo, handleRedo };
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (!(e.ctrlKey || e.metaKey)) return;
+            const target = e.target;
+            if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) return;
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                undoShortcutsRef.current.handleUndo();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                undoShortcutsRef.current.handleRedo();
+            }
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
     }, []);
 
+    useEffect(() => {
+        if (!snackbar) return;
+        const timerId = setTimeout(() => setSnackbar(null), UNDO_SNACKBAR_MS);
+        return () => clearTimeout(timerId);
+    }, [snackbar]);
+
 
     // --- STORE CRUD ---
 
     const handleAddStore = async () => {
         if (stores.length >= MAX_REUSABLE_STORES) return;
         if (!newStoreName.trim()) return;
+        if (isStoreNameTaken(stores, newStoreName)) return;
 
         const newStore = {
             id: crypto.randomUUID(),
+            ledgerId: ledgerScope.storeLedgerId,
             name: newStoreName.trim(),
         };
 
@@ -1036,54 +6582,234 @@ const App = () => {
         }
     };
 
-    const handleDeleteStore = async (storeId) => {
+    // Writes a set of store/item/receipt changes atomically, mirrors them into state and makes them undoable
+    const commitStoreChanges = async (label, changes) => {
+        await applyRecordChangesDB(changes, 'redo');
+        const loadedChanges = filterChangesToScope(changes, ledgerScope);
+        setItems(prev => applyRecordChangesToList(prev, loadedChanges, ITEM_STORE, 'redo'));
+        setStores(prev => applyRecordChangesToList(prev, loadedChanges, STORE_STORE, 'redo'));
+        setReceipts(prev => applyRecordChangesToList(prev, loadedChanges, RECEIPT_STORE, 'redo'));
+        recordUndoable(label, changes);
+    };
+
+    // Items and receipts of the active ledger plus those of every ledger sharing its store list
+    const loadStoreListDependents = async () => {
+        if (storeListSharers.length === 0) return { items, receipts };
+        const shared = await loadLedgerRecordsDB(storeListSharers.map(ledger => ledger.id));
+        return { items: [...items, ...shared.items], receipts: [...receipts, ...shared.receipts] };
+    };
+
+    const handleSaveStoreProfile = async (storeId, profile) => {
+        const store = stores.find(s => s.id === storeId);
+        if (!store) return false;
+        const base = Object.fromEntries(Object.entries(store).filter(([key]) => !STORE_PROFILE_FIELDS.includes(key)));
+        try {
+            await commitStoreChanges(`Updated "${store.name}" profile`, [{ storeName: STORE_STORE, key: storeId, before: store, after: { ...base, ...profile } }]);
+            return true;
+        } catch (error) {
+            console.error("Failed to save store profile to DB:", error);
+            return false;
+        }
+    };
+
+    const handleSaveStoreAisles = async (storeId, aisles) => {
+        const store = stores.find(s => s.id === storeId);
+        if (!store) return false;
+        try {
+            await commitStoreChanges(`Updated "${store.name}" aisles`, [{ storeName: STORE_STORE, key: storeId, before: store, after: { ...store, aisles } }]);
+            return true;
+        } catch (error) {
+            console.error("Failed to save aisle layout to DB:", error);
+            return false;
+        }
+    };
+
+    const handleRenameStore = async (storeId, newName) => {
+        const store = stores.find(s => s.id === storeId);
+        const name = newName.trim();
+        if (!store) return 'Store not found.';
+        if (!name) return 'Store name cannot be empty.';
+        if (name === store.name) return null;
+        if (isStoreNameTaken(stores, name, storeId)) return `A store named "${name}" already exists.`;
+
+        try {
+            const dependents = await loadStoreListDependents();
+            const changes = [{ storeName: STORE_STORE, key: storeId, before: store, after: { ...store, name } }];
+            dependents.items.forEach(item => {
+                const renamed = renameStoreInItem(item, storeId, name);
+                if (renamed !== item) changes.push({ storeName: ITEM_STORE, key: item.id, before: item, after: renamed });
+            });
+            dependents.receipts.forEach(receipt => {
+                const renamed = renameStoreInReceipt(receipt, storeId, name);
+                if (renamed !== receipt) changes.push({ storeName: RECEIPT_STORE, key: receipt.id, before: receipt, after: renamed });
+            });
+            await commitStoreChanges(`Renamed store "${store.name}" to "${name}"`, changes);
+            return null;
+        } catch (error) {
+            console.error("Failed to rename store in DB:", error);
+            return 'Could not rename the store.';
+        }
+    };
+
+    /**
+     * Deletes a store. Prices that point at it are moved to `reassignToId` when given,
+     * otherwise removed from their items; both happen in the same transaction as the delete.
+     */
+    const handleDeleteStore = async (storeId, reassignToId = null) => {
+        const deletedStore = stores.find(store => store.id === storeId);
+        if (!deletedStore) return;
+        const target = reassignToId ? stores.find(store => store.id === reassignToId) || null : null;
+
+        const label = target ? `Deleted store "${deletedStore.name}", prices moved to "${target.name}"` : `Deleted store "${deletedStore.name}"`;
         try {
-            await deleteStoreDB(storeId);
-            setStores(prev => prev.filter(store => store.id !== storeId)); // Update React state
+            const dependents = await loadStoreListDependents();
+            const changes = [{ storeName: STORE_STORE, key: storeId, before: deletedStore, after: null }];
+            dependents.items.forEach(item => {
+                const detached = detachStoreFromItem(item, storeId, target);
+                if (detached !== item) changes.push({ storeName: ITEM_STORE, key: item.id, before: item, after: { ...detached, updatedAt: new Date().toISOString() } });
+            });
+            await commitStoreChanges(label, changes);
         } catch (error) {
             console.error("Failed to delete store from DB:", error);
         }
     };
 
+
+    // --- PRODUCT CATALOG LOGIC ---
+
+    const catalogIndex = useMemo(() => new Map(catalog.map(entry => [entry.barcode, entry])), [catalog]);
+
+    const itemsWithBarcodeCount = useMemo(() => items.filter(item => toCatalogBarcode(item.barcode)).length, [items]);
+
+    // Merges entries into the catalog, both in IndexedDB and in React state
+    const mergeCatalogEntries = async (entries) => {
+        await putCatalogEntriesDB(entries);
+        setCatalog(prev => {
+            const merged = new Map(prev.map(entry => [entry.barcode, entry]));
+            entries.forEach(entry => merged.set(entry.barcode, entry));
+            return Array.from(merged.values());
+        });
+    };
+
+    const handleBuildCatalogFromItems = async () => {
+        const now = new Date().toISOString();
+        const entries = items
+            .filter(item => toCatalogBarcode(item.barcode) && item.name.trim())
+            .map(item => {
+                const barcode = toCatalogBarcode(item.barcode);
+                const existing = catalogIndex.get(barcode) || {};
+                return {
+                    barcode,
+                    name: item.name.trim(),
+                    brand: item.brand || existing.brand || '',
+                    category: item.category || existing.category || '',
+                    packageSize: item.packageSize || existing.packageSize || '',
+                    imageUrl: item.imageUrl || existing.imageUrl || '',
+                    updatedAt: now,
+                };
+            });
+
+        try {
+            await mergeCatalogEntries(entries);
+            setCatalogMessage(`Added or updated ${entries.length} catalog entries from your items.`);
+        } catch (error) {
+            console.error("Failed to build catalog from items:", error);
+            setCatalogMessage('Failed to update the catalog.');
+        }
+    };
+
+    const handleExportCatalog = (format) => {
+        if (catalog.length === 0) return;
+        if (format === 'csv') {
+            downloadFile(toCSV(CATALOG_CSV_COLUMNS, catalog), `catalog_export_${getDateStamp()}.csv`, 'text/csv');
+        } else {
+            const jsonString = JSON.stringify({ catalog, timestamp: new Date().toISOString() }, null, 2);
+            downloadFile(jsonString, `catalog_export_${getDateStamp()}.json`, 'application/json');
+        }
+    };
+
+    const handleImportCatalog = async (file) => {
+        try {
+            const text = await file.text();
+            let rawEntries;
+            if (file.name.toLowerCase().endsWith('.csv') || !/^\s*[[{]/.test(text)) {
+                rawEntries = csvToObjects(text);
+            } else {
+                const parsed = JSON.parse(text);
+                rawEntries = Array.isArray(parsed) ? parsed : parsed.catalog;
+            }
+            if (!Array.isArray(rawEntries)) {
+                throw new Error("Catalog file must be a CSV or a JSON array / { catalog: [...] } object.");
+            }
+
+            const entries = rawEntries.map(sanitizeCatalogEntry).filter(Boolean);
+            await mergeCatalogEntries(entries);
+            const skipped = rawEntries.length - entries.length;
+            setCatalogMessage(`Imported ${entries.length} catalog entries${skipped > 0 ? ` (${skipped} skipped: missing barcode or name)` : ''}.`);
+        } catch (error) {
+            console.error("Error importing catalog:", error);
+            setCatalogMessage(`Catalog import failed: ${error.message}`);
+        }
+    };
+
+    const handleDeleteCatalogEntry = async (barcode) => {
+        try {
+            await deleteCatalogEntryDB(barcode);
+            setCatalog(prev => prev.filter(entry => entry.barcode !== barcode));
+        } catch (error) {
+            console.error("Failed to delete catalog entry from DB:", error);
+        }
+    };
+
     // --- ITEM CRUD ---
 
     const handleCreateItem = async (itemData) => {
-        const sanitizedStores = (itemData.stores || [])
-            .filter(s => s.storeName && s.price !== undefined && s.price !== null)
-            .map(s => ({ ...s, price: Number(s.price) }));
+        const sanitizedStores = sanitizeStorePrices(itemData.stores);
 
-        const newItem = {
+        const newItem = withPriceHistory({
             ...itemData,
             name: itemData.name.trim(),
             id: crypto.randomUUID(),
+            ledgerId: ledgerScope.ledgerId,
             stores: sanitizedStores,
-            quantity: Math.max(1, itemData.quantity || 1)
-        };
+            quantity: Math.max(1, itemData.quantity || 1),
+            priceHistory: [],
+            ...(itemData.status === 'Home Stocked' ? { restockedAt: new Date().toISOString() } : {}),
+        });
 
         try {
             await addItemDB(newItem);
             setItems(prev => [...prev, newItem]); // Update React state
+            recordUndoable(`Added "${newItem.name}"`, [{ storeName: ITEM_STORE, key: newItem.id, before: null, after: newItem }]);
             setIsAddItemModalOpen(false);
+            // Items created from an unmatched scan get highlighted like a scan match
+            if (newItemBarcode) setScannedItemId(newItem.id);
+            setNewItemBarcode('');
         } catch (error) {
             console.error("Failed to create item in DB:", error);
         }
     };
 
     const handleUpdateItem = async (updatedItem) => {
-        const sanitizedStores = (updatedItem.stores || [])
-            .filter(s => s.storeName && s.price !== undefined && s.price !== null)
-            .map(s => ({ ...s, price: Number(s.price) }));
+        const sanitizedStores = sanitizeStorePrices(updatedItem.stores);
 
-        const itemToSave = {
+        // Compare against the saved item so a status edit to Home Stocked stamps restockedAt
+        const previousItem = items.find(item => item.id === updatedItem.id) || updatedItem;
+
+        // Store price edits are appended to the item's history instead of being lost
+        const itemToSave = withPriceHistory(applyStatusChange({
             ...updatedItem,
+            status: previousItem.status,
             name: updatedItem.name.trim(),
             stores: sanitizedStores,
-            quantity: Math.max(1, updatedItem.quantity || 1)
-        };
+            quantity: Math.max(1, updatedItem.quantity || 1),
+            updatedAt: new Date().toISOString(), // Lets "newest wins" merge imports compare edits
+        }, updatedItem.status));
 
         try {
             await updateItemDB(itemToSave);
             setItems(prev => prev.map(item => item.id === itemToSave.id ? itemToSave : item)); // Update React state
+            recordUndoable(`Edited "${itemToSave.name}"`, [{ storeName: ITEM_STORE, key: itemToSave.id, before: previousItem, after: itemToSave }]);
             setEditingItem(null);
         } catch (error) {
             console.error("Failed to update item in DB:", error);
@@ -1091,9 +6817,11 @@ const App = () => {
     };
 
     const handleDeleteItem = async (itemId) => {
+        const deletedItem = items.find(item => item.id === itemId);
         try {
             await deleteItemDB(itemId);
             setItems(prev => prev.filter(item => item.id !== itemId)); // Update React state
+            if (deletedItem) recordUndoable(`Deleted "${deletedItem.name}"`, [{ storeName: ITEM_STORE, key: itemId, before: deletedItem, after: null }]);
         } catch (error) {
             console.error("Failed to delete item from DB:", error);
         }
@@ -1103,7 +6831,7 @@ const App = () => {
         const updatedItems = items.map(item => {
             if (item.id === itemId) {
                 const newQuantity = Math.max(1, item.quantity + delta);
-                return { ...item, quantity: newQuantity };
+                return { ...item, quantity: newQuantity, updatedAt: new Date().toISOString() };
             }
             return item;
         });
@@ -1114,6 +6842,11 @@ const App = () => {
             try {
                 await updateItemDB(itemToUpdate);
                 setItems(updatedItems); // Update React state
+                recordUndoable(
+                    `"${itemToUpdate.name}" quantity ${itemToUpdate.quantity}`,
+                    [{ storeName: ITEM_STORE, key: itemId, before: items.find(i => i.id === itemId), after: itemToUpdate }],
+                    `quantity:${itemId}`
+                );
             } catch (error) {
                 console.error("Failed to update quantity in DB:", error);
             }
@@ -1127,7 +6860,7 @@ const App = () => {
                 const currentIndex = STATUS_CYCLE.indexOf(item.status);
                 const nextIndex = (currentIndex + 1) % STATUS_CYCLE.length;
                 const newStatus = STATUS_CYCLE[nextIndex];
-                return { ...item, status: newStatus };
+                return applyStatusChange(item, newStatus);
             }
             return item;
         });
@@ -1138,27 +6871,111 @@ const App = () => {
             try {
                 await updateItemDB(itemToUpdate);
                 setItems(updatedItems); // Update React state
+                recordUndoable(
+                    `"${itemToUpdate.name}" set to ${itemToUpdate.status}`,
+                    [{ storeName: ITEM_STORE, key: itemId, before: items.find(i => i.id === itemId), after: itemToUpdate }]
+                );
             } catch (error) {
                 console.error("Failed to cycle status in DB:", error);
             }
         }
     };
 
+    // --- CONSUMPTION PREDICTION & STATUS DECAY ---
+    const consumptionPredictions = useMemo(() => buildConsumptionPredictions(receipts), [receipts]);
+
+    // Ticks hourly so predicted statuses advance while the app stays open
+    const [clock, setClock] = useState(() => Date.now());
+    useEffect(() => {
+        const timerId = setInterval(() => setClock(Date.now()), STATUS_DECAY_CHECK_MS);
+        return () => clearInterval(timerId);
+    }, []);
+
+    const consumptionForecasts = useMemo(() => {
+        const forecasts = new Map();
+        items.forEach(item => {
+            const forecast = getConsumptionForecast(item, consumptionPredictions.get(item.id), clock);
+            if (forecast) forecasts.set(item.id, forecast);
+        });
+        return forecasts;
+    }, [items, consumptionPredictions, clock]);
+
+    // Moves stocked items toward Depleted once they are predicted to have run out
+    useEffect(() => {
+        if (!isDbReady) return;
+        const decayedItems = items
+            .filter(item => consumptionForecasts.get(item.id)?.decayedStatus)
+            .map(item => ({ ...item, status: consumptionForecasts.get(item.id).decayedStatus }));
+        if (decayedItems.length === 0) return;
+
+        const decayedById = new Map(decayedItems.map(item => [item.id, item.status]));
+        putItemsDB(decayedItems)
+            .then(() => {
+                setItems(prev => prev.map(item => (decayedById.has(item.id) ? { ...item, status: decayedById.get(item.id) } : item)));
+                forgetHistoryFor({ [ITEM_STORE]: decayedItems });
+                console.log("Predicted status decay applied to %d items.", decayedItems.length);
+            })
+            .catch(error => console.error("Failed to apply predicted status decay:", error));
+    }, [isDbReady, items, consumptionForecasts, forgetHistoryFor]);
+
+    // --- SCAN-TO-FIND LOGIC ---
+    const handleFindScanComplete = async (code, format) => {
+        setIsFindScannerOpen(false);
+        let match;
+        try {
+            [match] = await findItemsByBarcodeDB(code, format, ledgerScope.ledgerId);
+        } catch (error) {
+            console.error("Barcode index lookup failed, searching loaded items instead:", error);
+        }
+        // The index only finds the exact forms getBarcodeVariants() lists (not e.g. "0 12345 67890 5")
+        if (!match) {
+            const target = toComparableBarcode(code, format);
+            match = items.find(item => item.barcode && toComparableBarcode(item.barcode) === target);
+        }
+
+        if (match) {
+            // Clear search/filter so the matched row is guaranteed to be visible
+            setSearchTerm('');
+            setFilterStatus('All');
+            setFilterCategory('All');
+            setScannedItemId(match.id);
+        } else {
+            setScannedItemId(null);
+            setNewItemBarcode(toStoredBarcode(code, format));
+            setIsAddItemModalOpen(true);
+        }
+    };
+
+    const scannedItem = useMemo(() => items.find(item => item.id === scannedItemId) || null, [items, scannedItemId]);
+
+    // Bring the scanned item's row into view once it is rendered
+    useEffect(() => {
+        if (!scannedItemId) return;
+        const row = document.getElementById(`item-row-${scannedItemId}`);
+        if (row) row.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }, [scannedItemId]);
+
     // --- UNIFIED FILTER/SORT LOGIC (Unchanged) ---
 
     const selectedValue = useMemo(() => {
+        if (filterCategory !== 'All') return `category:${filterCategory}`;
+        if (sortCriteria === 'route-asc' && filterStatus === 'Shopping Cart') return 'sort-route-asc';
         if (filterStatus === 'Depleted') return 'filter-depleted';
         if (filterStatus === 'Running Low') return 'filter-runninglow';
         if (filterStatus === 'Shopping Cart') return 'filter-shoppingcart';
 
         return `sort-${sortCriteria}`;
-    }, [filterStatus, sortCriteria]);
+    }, [filterStatus, filterCategory, sortCriteria]);
 
 
     const handleCombinedChange = (e) => {
         const value = e.target.value;
+        setFilterCategory('All');
 
-        if (value.startsWith('filter-')) {
+        if (value.startsWith('category:')) {
+            setFilterStatus('All');
+            setFilterCategory(value.substring(9));
+        } else if (value.startsWith('filter-')) {
             const statusSuffix = value.substring(7);
 
             if (statusSuffix === 'all') {
@@ -1174,27 +6991,31 @@ const App = () => {
         } else if (value.startsWith('sort-')) {
             const criteria = value.substring(5);
             setSortCriteria(criteria);
-            setFilterStatus('All'); // Clear filter when sorting
+            // The route sort is for the trip, so it shows the Shopping Cart; other sorts clear the filter
+            setFilterStatus(criteria === 'route-asc' ? 'Shopping Cart' : 'All');
         }
     };
 
     // --- LOGIC & HELPERS ---
 
-    const getCheapestOption = (item) => {
-        if (!item.stores || item.stores.length === 0) return { price: null, storeName: 'N/A' };
-
-        const validPrices = item.stores.filter(s => s.price > 0);
-        if (validPrices.length === 0) return { price: null, storeName: 'N/A' };
-
-        const cheapest = validPrices.reduce((min, current) => {
-            return (current.price < min.price) ? current : min;
-        }, validPrices[0]);
-
-        return {
-            price: cheapest.price,
-            storeName: cheapest.storeName,
-        };
-    };
+    const storesById = useMemo(() => buildStoresById(stores), [stores]);
+
+    // Saved categories plus any that only appear on items; their order drives the Category sort
+    const categoryList = useMemo(() => withItemCategories(categories, items), [categories, items]);
+    const categoryNames = useMemo(() => categoryList.map(category => category.name), [categoryList]);
+    const categoryIndex = useMemo(() => new Map(categoryList.map((category, i) => [category.name, { ...category, order: i }])), [categoryList]);
+    const taxContext = includeTax ? storesById : null; // Passed to getCheapestOption for tax-inclusive comparison
+    const laidOutStores = useMemo(() => stores.filter(store => store.aisles && store.aisles.length > 0), [stores]);
+    const routeStore = laidOutStores.find(store => store.id === routeStoreId) || laidOutStores[0] || null;
+    // Aisle headers and the route store picker follow the dropdown: picking a status filter leaves the route view
+    const isRouteSort = selectedValue === 'sort-route-asc';
+    const today = toLocalDateKey(clock); // Sales and coupons expire as the hourly clock crosses midnight
+
+    // The status and category filters look up matching items through the 'status' / 'category' indexes
+    const indexFilter = filterCategory !== 'All'
+        ? { indexName: 'category', queries: [filterCategory] }
+        : { indexName: 'status', queries: FILTER_STATUSES[filterStatus] || null };
+    const indexedFilterIds = useIndexedIds(ITEM_STORE, indexFilter.indexName, indexFilter.queries, items);
 
     // Filter and Sort Logic 
     const filteredAndSortedItems = useMemo(() => {
@@ -1208,97 +7029,537 @@ const App = () => {
             );
         }
 
-        // 2. FILTERING (Status - MODIFIED)
-        if (filterStatus === 'Depleted') {
-            filtered = filtered.filter(item => item.status === 'Depleted');
-        } else if (filterStatus === 'Running Low') {
-            filtered = filtered.filter(item => item.status === 'Running Low');
-        } else if (filterStatus === 'Shopping Cart') {
-            filtered = filtered.filter(item => item.status === 'Depleted' || item.status === 'Running Low');
+        // 2. FILTERING (Status or Category), by the ids read through the index once they are back
+        if (indexedFilterIds) {
+            filtered = filtered.filter(item => indexedFilterIds.has(item.id));
+        } else if (filterCategory !== 'All') {
+            filtered = filtered.filter(item => item.category === filterCategory);
+        } else if (FILTER_STATUSES[filterStatus]) {
+            filtered = filtered.filter(item => FILTER_STATUSES[filterStatus].includes(item.status));
+        }
+
+        // 3. SORTING
+        let sorted = [...filtered];
+        const [criteria, directionStr] = sortCriteria.split('-');
+        const direction = directionStr === 'asc' ? 1 : -1;
+
+        sorted.sort((a, b) => {
+            let aValue, bValue;
+
+            switch (criteria) {
+                case 'name':
+                    aValue = a[criteria].toLowerCase();
+                    bValue = b[criteria].toLowerCase();
+                    if (aValue < bValue) return -1 * direction;
+                    if (aValue > bValue) return 1 * direction;
+                    return 0;
+                case 'category':
+                    // User-defined category order, then by name within a category
+                    aValue = categoryIndex.get(a.category)?.order ?? categoryIndex.size;
+                    bValue = categoryIndex.get(b.category)?.order ?? categoryIndex.size;
+                    return (aValue - bValue) * direction || a.name.localeCompare(b.name);
+                case 'route':
+                    // Walking order of the chosen store's aisles; unplaced items come last
+                    aValue = getItemAisle(a, routeStore).index;
+                    bValue = getItemAisle(b, routeStore).index;
+                    return (aValue - bValue) * direction || a.name.localeCompare(b.name);
+                case 'status':
+                    const statusOrder = { 'Depleted': 1, 'Running Low': 2, 'Home Stocked': 3 };
+                    return (statusOrder[a.status] - statusOrder[b.status]) * direction;
+                case 'cheapestPrice':
+                    if (priceComparisonMode === 'unit') {
+                        // Compare per-unit prices; items without a package size sort last
+                        aValue = getCheapestOption(a, 'unit', taxContext, today).unitPrice?.value ?? Infinity;
+                        bValue = getCheapestOption(b, 'unit', taxContext, today).unitPrice?.value ?? Infinity;
+                        if (aValue === bValue) return 0;
+                        return (aValue - bValue) * direction;
+                    }
+                    // Compare based on Total Estimated Cost: (Price * Quantity)
+                    aValue = (getCheapestOption(a, 'package', taxContext, today).priceWithTax || Infinity) * (a.quantity || 1);
+                    bValue = (getCheapestOption(b, 'package', taxContext, today).priceWithTax || Infinity) * (b.quantity || 1);
+                    return (aValue - bValue) * direction;
+                case 'store':
+                    aValue = getCheapestOption(a, priceComparisonMode, taxContext, today).storeName.toLowerCase();
+                    bValue = getCheapestOption(b, priceComparisonMode, taxContext, today).storeName.toLowerCase();
+                    if (aValue < bValue) return -1 * direction;
+                    if (aValue > bValue) return 1 * direction;
+                    return 0;
+                default:
+                    return 0;
+            }
+        });
+        return sorted;
+    }, [items, sortCriteria, filterStatus, filterCategory, indexedFilterIds, searchTerm, priceComparisonMode, taxContext, today, categoryIndex, routeStore]); // Dependency on searchTerm added
+
+    const totalVisibleItemCount = filteredAndSortedItems.length;
+
+    // Calculate Total Estimated Cost based on visible (filtered/sorted) items; tax is 0 unless includeTax is on
+    const { totalEstimatedCost, totalEstimatedTax } = useMemo(() => {
+        return filteredAndSortedItems.reduce((totals, item) => {
+            const cheapest = getCheapestOption(item, priceComparisonMode, taxContext, today);
+            const quantity = item.quantity || 1;
+            return {
+                totalEstimatedCost: totals.totalEstimatedCost + (cheapest.priceWithTax || 0) * quantity,
+                totalEstimatedTax: totals.totalEstimatedTax + ((cheapest.priceWithTax || 0) - (cheapest.price || 0)) * quantity,
+            };
+        }, { totalEstimatedCost: 0, totalEstimatedTax: 0 });
+    }, [filteredAndSortedItems, priceComparisonMode, taxContext, today]);
+
+
+    // --- RECEIPT LOGGING FUNCTION ---
+    const handleLogReceipt = async () => {
+        if (totalVisibleItemCount === 0) {
+            console.warn("Cannot log receipt: No visible items.");
+            return;
+        }
+
+        // Only store necessary data for the receipt log
+        const receiptItems = filteredAndSortedItems.map(item => {
+            const cheapest = getCheapestOption(item, priceComparisonMode, taxContext, today);
+            return {
+                id: item.id,
+                name: item.name,
+                category: item.category,
+                quantity: item.quantity,
+                cheapestPrice: cheapest.price,
+                cheapestStore: cheapest.storeName,
+                cheapestStoreId: cheapest.storeId,
+                taxRate: getStoreTaxRate(storesById.get(cheapest.storeId), item.category),
+                status: item.status
+            };
+        });
+        const lineTotals = sumLineTotals(receiptItems);
+
+        // estimatedTotal stays pre-tax so budgets and analytics compare like with like
+        const receipt = {
+            id: crypto.randomUUID(),
+            ledgerId: ledgerScope.ledgerId,
+            timestamp: new Date().toISOString(),
+            filterUsed: (filterCategory !== 'All' ? `Category: ${filterCategory}` : filterStatus) + (searchTerm ? ` (Search: ${searchTerm})` : ''),
+            estimatedTotal: lineTotals.subtotal,
+            estimatedTax: lineTotals.tax,
+            itemCount: filteredAndSortedItems.length,
+            items: receiptItems
+        };
+
+        try {
+            await addReceiptDB(receipt);
+            // Prepend new receipt to local state for immediate display
+            setReceipts(prev => [receipt, ...prev]);
+            console.log("Receipt logged successfully to IndexedDB.");
+        } catch (error) {
+            console.error("Failed to log receipt to DB:", error);
+        }
+    };
+
+    // --- SHOPPING MODE ---
+    const cartItems = useMemo(() => items.filter(item => item.status === 'Depleted' || item.status === 'Running Low'), [items]);
+
+    // --- SNAPSHOTS ---
+
+    // Returns the new snapshot summary, or null if it couldn't be saved
+    const takeSnapshot = useCallback(async (reason) => {
+        try {
+            const summary = await takeSnapshotDB(ledgerScope, reason, snapshotRetention);
+            setSnapshots(prev => [summary, ...prev].slice(0, snapshotRetention));
+            return summary;
+        } catch (error) {
+            console.error("Failed to take snapshot:", error);
+            return null;
+        }
+    }, [ledgerScope, snapshotRetention]);
+
+    // Checkout and reconciliation go ahead when their snapshot fails. That is usually a full storage
+    // quota, so the ledger's older snapshots are trimmed to make room. Returns true if one was taken.
+    const takeRoutineSnapshot = async () => {
+        if (await takeSnapshot('bulk')) return true;
+        const kept = Math.floor(snapshotRetention / 2);
+        try {
+            await pruneSnapshotsDB(ledgerScope.ledgerId, kept);
+            setSnapshots(prev => prev.slice(0, kept));
+        } catch (error) {
+            console.error("Failed to trim snapshots:", error);
+        }
+        return false;
+    };
+
+    // Shown after the save, since forgetHistoryFor() clears the snackbar
+    const warnNoRestorePoint = () => {
+        setSnackbar({ message: "Saved, but no restore point was created.", action: null, shownAt: Date.now() });
+    };
+
+    // Daily snapshot: on load, and when the hourly clock crosses into a new day
+    const snapshotDay = new Date(clock).toDateString();
+    useEffect(() => {
+        if (!isDbReady || !hasData) return;
+        const hasTodaysSnapshot = snapshots.some(snapshot => snapshot.reason === 'daily' && new Date(snapshot.createdAt).toDateString() === snapshotDay);
+        if (!hasTodaysSnapshot) takeSnapshot('daily');
+    }, [isDbReady, hasData, snapshots, snapshotDay, takeSnapshot]);
+
+    const handleChangeSnapshotRetention = async (retention) => {
+        try {
+            await saveSettingDB('snapshotRetention', retention);
+            await pruneSnapshotsDB(ledgerScope.ledgerId, retention);
+            setSnapshotRetention(retention);
+            setSnapshots(prev => prev.slice(0, retention));
+        } catch (error) {
+            console.error("Failed to save snapshot retention:", error);
+        }
+    };
+
+    const handleDeleteSnapshot = async (snapshotId) => {
+        try {
+            await deleteSnapshotDB(snapshotId);
+            setSnapshots(prev => prev.filter(snapshot => snapshot.id !== snapshotId));
+        } catch (error) {
+            console.error("Failed to delete snapshot from DB:", error);
+        }
+    };
+
+    // Snapshots the current data first, so a restore can itself be rolled back. Returns true on success.
+    const handleRestoreSnapshot = async (snapshotId) => {
+        try {
+            const snapshot = await getSnapshotDB(snapshotId);
+            if (!snapshot) throw new Error("Snapshot not found.");
+            if (!(await takeSnapshot('restore'))) throw new Error("Could not snapshot the current data.");
+            // Snapshots from before ledgers existed hold records without a ledger id
+            const restored = assignToLedger(snapshot.data, ledgerScope);
+            if (storeListSharers.length > 0) {
+                // Other ledgers use this store list, so stores added since the snapshot are kept
+                const snapshotStoreIds = new Set(restored.stores.map(store => store.id));
+                restored.stores = [...restored.stores, ...stores.filter(store => !snapshotStoreIds.has(store.id))];
+            }
+            await replaceLedgerDataDB(ledgerScope, restored);
+            setItems(restored.items);
+            setStores(restored.stores);
+            setReceipts(restored.receipts);
+            // Undo steps refer to the replaced data; the 'restore' snapshot covers rolling back instead
+            setUndoStack([]);
+            setRedoStack([]);
+            return true;
+        } catch (error) {
+            console.error("Failed to restore snapshot:", error);
+            return false;
+        }
+    };
+
+    // --- LEDGERS ---
+
+    // Loads another ledger. Undo steps, open edits and a pending import belong to the ledger being left.
+    const handleSwitchLedger = (ledgerId) => {
+        if (ledgerId === scopeLedgerId) return;
+        setIsDbReady(false);
+        setUndoStack([]);
+        setRedoStack([]);
+        setSnackbar(null);
+        setEditingItem(null);
+        setScannedItemId(null);
+        setPendingImport(null);
+        setFilterCategory('All'); // The other ledger has its own categories
+        setActiveLedgerId(ledgerId);
+    };
+
+    // Creates an empty ledger, with its own store list or sharing `shareStoresWithId`'s, and opens it.
+    // Returns an error message, or null on success.
+    const handleCreateLedger = async (newName, shareStoresWithId) => {
+        const name = newName.trim();
+        if (!name) return 'Ledger name cannot be empty.';
+        if (ledgers.length >= MAX_LEDGERS) return `You can have at most ${MAX_LEDGERS} ledgers.`;
+        if (isLedgerNameTaken(ledgers, name)) return `A ledger named "${name}" already exists.`;
+
+        const storeSource = ledgers.find(ledger => ledger.id === shareStoresWithId);
+        const ledger = {
+            id: crypto.randomUUID(),
+            name,
+            createdAt: new Date().toISOString(),
+            ...(storeSource ? { storeLedgerId: getStoreLedgerId(storeSource) } : {}),
+        };
+        try {
+            await createLedgerDB(ledger, { items: [], stores: [], receipts: [] }, {});
+            setLedgers(prev => [...prev, ledger]);
+            handleSwitchLedger(ledger.id);
+            return null;
+        } catch (error) {
+            console.error("Failed to create ledger in DB:", error);
+            return 'Could not create the ledger.';
+        }
+    };
+
+    const handleRenameLedger = async (ledgerId, newName) => {
+        const ledger = ledgers.find(l => l.id === ledgerId);
+        const name = newName.trim();
+        if (!ledger) return 'Ledger not found.';
+        if (!name) return 'Ledger name cannot be empty.';
+        if (name === ledger.name) return null;
+        if (isLedgerNameTaken(ledgers, name, ledgerId)) return `A ledger named "${name}" already exists.`;
+
+        try {
+            const renamed = { ...ledger, name };
+            await putLedgerDB(renamed);
+            setLedgers(prev => prev.map(l => (l.id === ledgerId ? renamed : l)));
+            return null;
+        } catch (error) {
+            console.error("Failed to rename ledger in DB:", error);
+            return 'Could not rename the ledger.';
+        }
+    };
+
+    /**
+     * Copies a ledger's items, receipts, budgets and categories under new ids. A ledger with its own
+     * store list gets a copy of the list; one sharing another ledger's list shares it too.
+     * Returns an error message, or null on success.
+     */
+    const handleDuplicateLedger = async (ledgerId) => {
+        const source = ledgers.find(l => l.id === ledgerId);
+        if (!source) return 'Ledger not found.';
+        if (ledgers.length >= MAX_LEDGERS) return `You can have at most ${MAX_LEDGERS} ledgers.`;
+
+        let name = `${source.name} (copy)`;
+        for (let n = 2; isLedgerNameTaken(ledgers, name); n++) name = `${source.name} (copy ${n})`;
+        const ownsStores = getStoreLedgerId(source) === source.id;
+        const ledger = {
+            id: crypto.randomUUID(),
+            name,
+            createdAt: new Date().toISOString(),
+            ...(ownsStores ? {} : { storeLedgerId: source.storeLedgerId }),
+        };
+        try {
+            const data = await readLedgerDataDB(getLedgerScope(source));
+            const copied = reassignRecordIds(ownsStores ? data : { ...data, stores: [] });
+            const values = await Promise.all(LEDGER_SETTING_KEYS.map(key => loadSettingDB(ledgerSettingKey(source.id, key))));
+            const settings = Object.fromEntries(LEDGER_SETTING_KEYS.map((key, i) => [key, values[i]]).filter(([, value]) => value !== undefined));
+            await createLedgerDB(ledger, assignToLedger(copied, getLedgerScope(ledger)), settings);
+            setLedgers(prev => [...prev, ledger]);
+            return null;
+        } catch (error) {
+            console.error("Failed to duplicate ledger in DB:", error);
+            return 'Could not duplicate the ledger.';
         }
+    };
 
-        // 3. SORTING
-        let sorted = [...filtered];
-        const [criteria, directionStr] = sortCriteria.split('-');
-        const direction = directionStr === 'asc' ? 1 : -1;
-
-        sorted.sort((a, b) => {
-            let aValue, bValue;
+    // Deletes a ledger with everything filed under it. Returns an error message, or null on success.
+    const handleDeleteLedger = async (ledgerId) => {
+        const ledger = ledgers.find(l => l.id === ledgerId);
+        if (!ledger) return 'Ledger not found.';
+        if (ledgers.length <= 1) return 'The last ledger cannot be deleted.';
+        const borrowers = ledgers.filter(other => other.storeLedgerId === ledgerId);
+        if (borrowers.length > 0) {
+            return `${borrowers.map(other => `"${other.name}"`).join(', ')} ${borrowers.length === 1 ? 'uses' : 'use'} this ledger's stores. Delete ${borrowers.length === 1 ? 'it' : 'them'} first.`;
+        }
 
-            switch (criteria) {
-                case 'name':
-                case 'category':
-                    aValue = a[criteria].toLowerCase();
-                    bValue = b[criteria].toLowerCase();
-                    if (aValue < bValue) return -1 * direction;
-                    if (aValue > bValue) return 1 * direction;
-                    return 0;
-                case 'status':
-                    const statusOrder = { 'Depleted': 1, 'Running Low': 2, 'Home Stocked': 3 };
-                    return (statusOrder[a.status] - statusOrder[b.status]) * direction;
-                case 'cheapestPrice':
-                    // Compare based on Total Estimated Cost: (Price * Quantity)
-                    aValue = (getCheapestOption(a).price || Infinity) * (a.quantity || 1);
-                    bValue = (getCheapestOption(b).price || Infinity) * (b.quantity || 1);
-                    return (aValue - bValue) * direction;
-                case 'store':
-                    aValue = getCheapestOption(a).storeName.toLowerCase();
-                    bValue = getCheapestOption(b).storeName.toLowerCase();
-                    if (aValue < bValue) return -1 * direction;
-                    if (aValue > bValue) return 1 * direction;
-                    return 0;
-                default:
-                    return 0;
+        try {
+            await deleteLedgerDB(ledgerId);
+            try {
+                window.localStorage.removeItem(ledgerSettingKey(ledgerId, 'shoppingSession'));
+            } catch (error) {
+                console.warn("Could not clear the deleted ledger's shopping session:", error);
             }
+            if (ledgerId === scopeLedgerId) handleSwitchLedger(ledgers.find(other => other.id !== ledgerId).id);
+            setLedgers(prev => prev.filter(other => other.id !== ledgerId));
+            return null;
+        } catch (error) {
+            console.error("Failed to delete ledger from DB:", error);
+            return 'Could not delete the ledger.';
+        }
+    };
+
+    // Exports any ledger as a backup file; the active one from state, the others straight from IndexedDB
+    const handleExportLedger = async (ledgerId) => {
+        const ledger = ledgers.find(l => l.id === ledgerId);
+        if (!ledger) return;
+        try {
+            const data = ledgerId === scopeLedgerId ? { items, stores, receipts } : await readLedgerDataDB(getLedgerScope(ledger));
+            const jsonString = JSON.stringify(buildExportData(data, ledger.name), null, 2);
+            downloadFile(jsonString, `price_scout_export_${toFileSlug(ledger.name)}_${getDateStamp()}.json`, "application/json");
+        } catch (error) {
+            console.error("Failed to export ledger:", error);
+        }
+    };
+
+    // Item and receipt counts for the ledger manager; the active ledger's come from state
+    const [ledgerCounts, setLedgerCounts] = useState({});
+    useEffect(() => {
+        if (!isLedgersModalOpen) return;
+        loadLedgerCountsDB()
+            .then(setLedgerCounts)
+            .catch(error => console.error("Failed to count ledger records:", error));
+    }, [isLedgersModalOpen, ledgers]);
+
+    // Items of the other ledgers on a shared store list, so the store manager counts their prices too
+    const [sharedStoreListItems, setSharedStoreListItems] = useState([]);
+    useEffect(() => {
+        if (!isManageStoresModalOpen || storeListSharers.length === 0) return;
+        loadLedgerRecordsDB(storeListSharers.map(ledger => ledger.id))
+            .then(data => setSharedStoreListItems(data.items))
+            .catch(error => console.error("Failed to load items sharing the store list:", error));
+    }, [isManageStoresModalOpen, storeListSharers, stores]);
+
+    // --- BUDGETS ---
+    const budgetStatuses = useMemo(() => {
+        const itemsById = new Map(items.map(item => [item.id, item]));
+        const spending = computeMonthlySpending(receipts, itemsById, new Date(clock));
+        const cartEstimate = { total: 0, byCategory: {} };
+        cartItems.forEach(item => {
+            const cost = (getCheapestOption(item, priceComparisonMode).price || 0) * (item.quantity || 1);
+            cartEstimate.total += cost;
+            cartEstimate.byCategory[item.category] = (cartEstimate.byCategory[item.category] || 0) + cost;
         });
-        return sorted;
-    }, [items, sortCriteria, filterStatus, searchTerm]); // Dependency on searchTerm added
+        return evaluateBudgets(budgets, spending, cartEstimate);
+    }, [budgets, receipts, items, cartItems, priceComparisonMode, clock]);
 
-    const totalVisibleItemCount = filteredAndSortedItems.length;
+    const budgetAlerts = budgetStatuses.filter(status => status.level !== 'ok');
+    const monthlyBudgetStatus = budgetStatuses.find(status => status.key === 'monthly');
 
-    // Calculate Total Estimated Cost based on visible (filtered/sorted) items
-    const totalEstimatedCost = useMemo(() => {
-        return filteredAndSortedItems.reduce((total, item) => {
-            const cheapest = getCheapestOption(item);
-            return total + (cheapest.price || 0) * (item.quantity || 1);
-        }, 0);
-    }, [filteredAndSortedItems]);
+    // Returns true on success so the modal knows it can close
+    const handleSaveBudgets = async (newBudgets) => {
+        try {
+            await saveSettingDB(ledgerSettingKey(ledgerScope.ledgerId, 'budgets'), newBudgets);
+            setBudgets(newBudgets);
+            return true;
+        } catch (error) {
+            console.error("Failed to save budgets to DB:", error);
+            return false;
+        }
+    };
 
+    // Category add, recolor and reorder only touch the saved list. Returns true on success.
+    const handleSaveCategories = async (nextCategories) => {
+        try {
+            await saveSettingDB(ledgerSettingKey(ledgerScope.ledgerId, 'categories'), nextCategories);
+            setCategories(nextCategories);
+            return true;
+        } catch (error) {
+            console.error("Failed to save categories to DB:", error);
+            return false;
+        }
+    };
 
-    // --- RECEIPT LOGGING FUNCTION ---
-    const handleLogReceipt = async () => {
-        if (totalVisibleItemCount === 0) {
-            console.warn("Cannot log receipt: No visible items.");
-            return;
+    /**
+     * Renames category `from` to `to`, or with `merge` deletes it and moves its items to the existing
+     * category `to` (null when nothing uses it). Items, receipts, stores, catalog and settings change together.
+     */
+    const handleReassignCategory = async (from, to, merge) => {
+        const changes = reassignCategory({ items, stores, receipts, catalog, budgets }, from, to, merge);
+        const nextCategories = merge
+            ? categoryList.filter(category => category.name !== from)
+            : categoryList.map(category => (category.name === from ? { ...category, name: to } : category));
+
+        try {
+            if ((changes.items.length > 0 || changes.receipts.length > 0) && !(await takeSnapshot('bulk'))) {
+                throw new Error("Could not snapshot the current data; nothing was changed.");
+            }
+            await saveCategoryReassignmentDB(changes, {
+                [ledgerSettingKey(ledgerScope.ledgerId, 'categories')]: nextCategories,
+                [ledgerSettingKey(ledgerScope.ledgerId, 'budgets')]: changes.budgets,
+            });
+            const replaceChanged = (changed) => (prev) => {
+                const byId = new Map(changed.map(record => [record.id, record]));
+                return prev.map(record => byId.get(record.id) || record);
+            };
+            setItems(replaceChanged(changes.items));
+            setStores(replaceChanged(changes.stores));
+            setReceipts(replaceChanged(changes.receipts));
+            const catalogByBarcode = new Map(changes.catalog.map(entry => [entry.barcode, entry]));
+            setCatalog(prev => prev.map(entry => catalogByBarcode.get(entry.barcode) || entry));
+            setCategories(nextCategories);
+            setBudgets(changes.budgets);
+            if (filterCategory === from) setFilterCategory(to || 'All');
+            forgetHistoryFor({ [ITEM_STORE]: changes.items, [STORE_STORE]: changes.stores, [RECEIPT_STORE]: changes.receipts });
+            return true;
+        } catch (error) {
+            console.error("Failed to reassign category in DB:", error);
+            return false;
         }
+    };
+
+    // Logs a receipt of only the checked lines and restocks those items. Returns true on success.
+    const handleFinishShopping = async (checkedLines) => {
+        const receiptItems = checkedLines.map(line => ({
+            id: line.item.id,
+            name: line.item.name,
+            category: line.item.category,
+            quantity: line.quantity,
+            cheapestPrice: line.estimatedPrice,
+            cheapestStore: line.storeName || 'N/A',
+            cheapestStoreId: line.storeId,
+            actualPrice: getLinePaidPrice(line),
+            taxRate: getStoreTaxRate(storesById.get(line.storeId), line.item.category),
+            status: line.item.status
+        }));
+        const lineTotals = sumLineTotals(receiptItems);
 
         const receipt = {
             id: crypto.randomUUID(),
+            ledgerId: ledgerScope.ledgerId,
             timestamp: new Date().toISOString(),
-            filterUsed: filterStatus + (searchTerm ? ` (Search: ${searchTerm})` : ''),
-            estimatedTotal: totalEstimatedCost,
-            itemCount: filteredAndSortedItems.length,
-            // Only store necessary data for the receipt log
-            items: filteredAndSortedItems.map(item => {
-                const cheapest = getCheapestOption(item);
-                return {
-                    id: item.id,
-                    name: item.name,
-                    quantity: item.quantity,
-                    cheapestPrice: cheapest.price,
-                    cheapestStore: cheapest.storeName,
-                    status: item.status
-                };
-            })
+            filterUsed: 'Shopping Mode',
+            estimatedTotal: lineTotals.subtotal,
+            estimatedTax: lineTotals.tax,
+            actualSubtotal: receiptItems.reduce((sum, line) => sum + line.actualPrice * line.quantity, 0),
+            itemCount: receiptItems.length,
+            items: receiptItems
         };
 
+        const checkedIds = new Set(checkedLines.map(line => line.item.id));
+        const restockedItems = items
+            .filter(item => checkedIds.has(item.id))
+            .map(item => applyStatusChange(item, 'Home Stocked', receipt.timestamp));
+        const restockedById = new Map(restockedItems.map(item => [item.id, item]));
+
         try {
-            await addReceiptDB(receipt);
-            // Prepend new receipt to local state for immediate display
+            const hasRestorePoint = await takeRoutineSnapshot();
+            // One transaction, so a failed restock can't leave the receipt saved and the trip open
+            await putLedgerRecordsDB({ items: restockedItems, receipts: [receipt] });
             setReceipts(prev => [receipt, ...prev]);
-            console.log("Receipt logged successfully to IndexedDB.");
+            setItems(prev => prev.map(item => restockedById.get(item.id) || item));
+            forgetHistoryFor({ [ITEM_STORE]: restockedItems });
+            if (!hasRestorePoint) warnNoRestorePoint();
+            return true;
         } catch (error) {
-            console.error("Failed to log receipt to DB:", error);
+            console.error("Failed to finish shopping trip:", error);
+            return false;
+        }
+    };
+
+    // --- RECEIPT RECONCILIATION ---
+    // Saves actual amounts on a receipt and, optionally, copies paid prices onto the items. Returns true on success.
+    const handleReconcileReceipt = async (updatedReceipt, updateItemPrices) => {
+        const updates = new Map();
+        if (updateItemPrices) {
+            const storesById = new Map(stores.map(store => [store.id, store]));
+            const storesByName = buildStoresByName(stores);
+            updatedReceipt.items.forEach(line => {
+                // Older lines carry only the store name
+                const store = storesById.get(line.cheapestStoreId) || storesByName.get(String(line.cheapestStore).toLowerCase());
+                if (!(line.actualPrice > 0) || !store) return;
+                const base = updates.get(line.id) || items.find(item => item.id === line.id);
+                if (!base) return;
+
+                const hasPricePoint = base.stores.some(s => s.storeId === store.id);
+                if (!hasPricePoint && base.stores.length >= MAX_STORES_PER_ITEM) return;
+                const newStores = hasPricePoint
+                    ? base.stores.map(s => (s.storeId === store.id ? { ...s, price: line.actualPrice } : s))
+                    : [...base.stores, { storeId: store.id, storeName: store.name, price: line.actualPrice, packageSize: '', unit: '' }];
+                updates.set(line.id, { ...base, stores: newStores });
+            });
+        }
+        // History entries are dated at the purchase, not at the reconciliation
+        const updatedItems = Array.from(updates.values()).map(item => withPriceHistory(item, updatedReceipt.timestamp));
+
+        try {
+            // A receipt-only change needs no restore point
+            const hasRestorePoint = !updateItemPrices || await takeRoutineSnapshot();
+            // The receipt and the prices copied from it are saved together or not at all
+            await putLedgerRecordsDB({ items: updatedItems, receipts: [updatedReceipt] });
+            setReceipts(prev => prev.map(r => (r.id === updatedReceipt.id ? updatedReceipt : r)));
+            const byId = new Map(updatedItems.map(item => [item.id, item]));
+            setItems(prev => prev.map(item => byId.get(item.id) || item));
+            forgetHistoryFor({ [RECEIPT_STORE]: [updatedReceipt], [ITEM_STORE]: updatedItems });
+            if (!hasRestorePoint) warnNoRestorePoint();
+            return true;
+        } catch (error) {
+            console.error("Failed to reconcile receipt:", error);
+            return false;
         }
     };
 
@@ -1306,15 +7567,19 @@ const App = () => {
     const handleDeleteReceipt = async (receiptId) => {
         // Use custom message box instead of window.confirm for iframe compatibility
         // Simulating the confirmation step for this context
-        const isConfirmed = window.confirm("Are you sure you want to permanently delete this receipt? This cannot be undone.");
+        const isConfirmed = window.confirm("Are you sure you want to delete this receipt? You can undo this right after.");
 
         if (!isConfirmed) {
             return;
         }
 
         try {
+            const deletedReceipt = receipts.find(r => r.id === receiptId);
             await deleteReceiptDB(receiptId);
             setReceipts(prev => prev.filter(r => r.id !== receiptId));
+            if (deletedReceipt) {
+                recordUndoable(`Deleted receipt from ${new Date(deletedReceipt.timestamp).toLocaleDateString()}`, [{ storeName: RECEIPT_STORE, key: receiptId, before: deletedReceipt, after: null }]);
+            }
             console.log(`Receipt ${receiptId} deleted successfully.`);
         } catch (error) {
             console.error("Failed to delete receipt from DB:", error);
@@ -1328,73 +7593,80 @@ const App = () => {
             console.warn("Export attempted with no data present.");
             return;
         }
-        const data = {
-            items: items,
-            stores: stores,
-            receipts: receipts, // Include receipts in export
-            timestamp: new Date().toISOString()
-        };
-        const jsonString = JSON.stringify(data, null, 2);
-        const blob = new Blob([jsonString], { type: "application/json" });
-        const url = URL.createObjectURL(blob);
-        const link = document.createElement('a');
-        link.href = url;
-        link.download = `price_scout_export_${new Date().toLocaleDateString().replace(/\//g, '-')}.json`;
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
-        URL.revokeObjectURL(url);
-    }, [items, stores, receipts, hasData]);
+        const jsonString = JSON.stringify(buildExportData({ items, stores, receipts }, activeLedger.name), null, 2);
+        downloadFile(jsonString, `price_scout_export_${toFileSlug(activeLedger.name)}_${getDateStamp()}.json`, "application/json");
+    }, [items, stores, receipts, hasData, activeLedger]);
+
+    const handleExportCSV = (dataset) => {
+        if (dataset === 'items') {
+            downloadFile(toCSV(ITEM_CSV_COLUMNS, itemsToCSVRows(items)), `items_export_${getDateStamp()}.csv`, 'text/csv');
+        } else if (dataset === 'stores') {
+            downloadFile(toCSV(STORE_CSV_COLUMNS, storesToCSVRows(stores)), `stores_export_${getDateStamp()}.csv`, 'text/csv');
+        } else if (dataset === 'receipts') {
+            downloadFile(toCSV(RECEIPT_LINE_CSV_COLUMNS, receiptsToCSVRows(receipts)), `receipt_lines_export_${getDateStamp()}.csv`, 'text/csv');
+        }
+    };
+
+    // Files imported records under the active ledger; records reusing another ledger's ids get new ones
+    const claimForActiveLedger = async (data) => {
+        const foreignIds = await loadForeignRecordIdsDB(ledgerScope);
+        return assignToLedger(reassignRecordIds(data, id => foreignIds.has(id)), ledgerScope);
+    };
 
+    // Saves the linkStoreReferences() result of a planItemCSVImport() plan; the stores it created are
+    // added to the reusable list. Returns true on success.
+    const handleImportItemsCSV = async (linked) => {
+        const existingIds = new Set(items.map(item => item.id));
+
+        try {
+            if (!(await takeSnapshot('bulk'))) throw new Error("Could not snapshot the current data; nothing was imported.");
+            const claimed = await claimForActiveLedger({ items: linked.items, stores: linked.createdStores, receipts: [] });
+            const changedItems = claimed.items;
+            const newStores = claimed.stores;
+            await putItemsDB(changedItems);
+            if (newStores.length > 0) {
+                await executeDBTransaction(STORE_STORE, 'readwrite', (store) => { newStores.forEach(storeItem => store.add(storeItem)); });
+            }
+            const updatedById = new Map(changedItems.filter(item => existingIds.has(item.id)).map(item => [item.id, item]));
+            setItems(prev => [...prev.map(item => updatedById.get(item.id) || item), ...changedItems.filter(item => !existingIds.has(item.id))]);
+            setStores(prev => [...prev, ...newStores]);
+            forgetHistoryFor({ [ITEM_STORE]: changedItems });
+            return true;
+        } catch (error) {
+            console.error("Failed to import items CSV to DB:", error);
+            return false;
+        }
+    };
+
+    // Reads and sanitizes the file, then hands it to the import preview; nothing is written yet
     const handleImportData = useCallback((event) => {
         const file = event.target.files[0];
         if (!file) return;
 
         const reader = new FileReader();
-        reader.onload = async (e) => { // Made async to await DB operations
+        reader.onload = (e) => {
             try {
                 const result = e.target.result;
                 if (typeof result !== 'string') {
                     throw new Error("File content is not a string.");
                 }
-                const importedData = JSON.parse(result);
-
-                if (!importedData || !Array.isArray(importedData.items) || !Array.isArray(importedData.stores)) {
-                    throw new Error("Invalid file structure. Must contain 'items' (array) and 'stores' (array) keys.");
+                let parsedData;
+                try {
+                    parsedData = JSON.parse(result);
+                } catch {
+                    throw new Error("The file is not valid JSON.");
+                }
+                // Encrypted backups wait for the passphrase before they can be previewed
+                if (isEncryptedBackup(parsedData)) {
+                    setPendingImport({ fileName: file.name, encrypted: parsedData });
+                } else {
+                    setPendingImport({ fileName: file.name, ...prepareImportPreview(parsedData) });
                 }
-
-                const sanitizedItems = importedData.items.map(item => ({
-                    ...item,
-                    quantity: Math.max(1, item.quantity || 1)
-                }));
-                const sanitizedStores = importedData.stores.slice(0, MAX_REUSABLE_STORES);
-                const sanitizedReceipts = Array.isArray(importedData.receipts) ? importedData.receipts : []; // Handle optional receipts array
-
-                // --- Update IndexedDB with imported data ---
-                await executeDBTransaction(ITEM_STORE, 'readwrite', (store) => {
-                    store.clear();
-                    sanitizedItems.forEach(item => store.add(item));
-                });
-                await executeDBTransaction(STORE_STORE, 'readwrite', (store) => {
-                    store.clear();
-                    sanitizedStores.forEach(storeItem => store.add(storeItem));
-                });
-                await executeDBTransaction(RECEIPT_STORE, 'readwrite', (store) => { // Update receipts store
-                    store.clear();
-                    sanitizedReceipts.forEach(receipt => store.add(receipt));
-                });
-                // ------------------------------------------
-
-                setItems(sanitizedItems);
-                setStores(sanitizedStores);
-                setReceipts(sanitizedReceipts);
-
-                console.log("Data imported successfully! Items: %d, Stores: %d, Receipts: %d", sanitizedItems.length, sanitizedStores.length, sanitizedReceipts.length);
-                event.target.value = '';
             } catch (error) {
                 console.error("Error importing data:", error.message);
-                event.target.value = '';
+                setPendingImport({ fileName: file.name, error: error.message });
             }
+            event.target.value = '';
         };
         reader.onerror = () => {
             console.error("FileReader failed to read file.");
@@ -1403,6 +7675,85 @@ const App = () => {
         reader.readAsText(file);
     }, []);
 
+    // Throws (with a user-facing message) on a wrong passphrase; pendingImport is left as it was
+    const handleDecryptImport = async (passphrase) => {
+        const decrypted = await decryptBackup(pendingImport.encrypted, passphrase);
+        try {
+            setPendingImport({ fileName: pendingImport.fileName, ...prepareImportPreview(decrypted) });
+        } catch (error) {
+            setPendingImport({ fileName: pendingImport.fileName, error: error.message });
+        }
+    };
+
+    const handleExportEncrypted = async (passphrase) => {
+        const envelope = await encryptBackup(buildExportData({ items, stores, receipts }, activeLedger.name), passphrase);
+        downloadFile(JSON.stringify(envelope), `price_scout_export_${toFileSlug(activeLedger.name)}_${getDateStamp()}.encrypted.json`, "application/json");
+    };
+
+    const importPlan = useMemo(
+        () => (pendingImport && pendingImport.data ? planMergeImport({ items, stores, receipts }, pendingImport.data) : null),
+        [pendingImport, items, stores, receipts]
+    );
+
+    // What a replace writes, worked out up front so the preview can show the prices it leaves unlinked
+    const replaceImportLink = useMemo(() => {
+        if (!pendingImport || !pendingImport.data) return null;
+        // Other ledgers use a shared store list, so it is kept and the file's prices are linked to it by name
+        const baseStores = storeListSharers.length > 0 ? stores : pendingImport.data.stores.slice(0, MAX_REUSABLE_STORES);
+        // Prices whose store was dropped as invalid get it recreated while the list has room; none past the limit
+        return { baseStores, linked: linkStoreReferences({ items: pendingImport.data.items, stores: baseStores, receipts: pendingImport.data.receipts }) };
+    }, [pendingImport, storeListSharers, stores]);
+
+    // Writes the resolved merge; existing records are updated in place and nothing is cleared. Returns true on success.
+    const handleMergeImport = async (choices, defaultChoice) => {
+        const { merged, linked } = linkMergeImport(importPlan, stores, choices, defaultChoice);
+        try {
+            if (!(await takeSnapshot('import'))) throw new Error("Could not snapshot the current data; nothing was imported.");
+            const resolved = await claimForActiveLedger({ items: linked.items, stores: [...merged.stores, ...linked.createdStores], receipts: linked.receipts });
+            await putLedgerRecordsDB(resolved);
+
+            const mergeById = (prev, changed) => {
+                const changedById = new Map(changed.map(record => [record.id, record]));
+                const merged = prev.map(record => changedById.get(record.id) || record);
+                const existingIds = new Set(prev.map(record => record.id));
+                return [...merged, ...changed.filter(record => !existingIds.has(record.id))];
+            };
+            setItems(prev => mergeById(prev, resolved.items));
+            setStores(prev => mergeById(prev, resolved.stores));
+            setReceipts(prev => mergeById(prev, resolved.receipts));
+            forgetHistoryFor({ [ITEM_STORE]: resolved.items, [STORE_STORE]: resolved.stores, [RECEIPT_STORE]: resolved.receipts });
+
+            console.log("Data merged successfully! Items: %d, Stores: %d, Receipts: %d", resolved.items.length, resolved.stores.length, resolved.receipts.length);
+            return true;
+        } catch (error) {
+            console.error("Failed to merge imported data into DB:", error);
+            return false;
+        }
+    };
+
+    // Replaces the active ledger with the file's contents (restoring a backup). Returns true on success.
+    const handleReplaceImport = async () => {
+        const { baseStores, linked } = replaceImportLink;
+        try {
+            if (!(await takeSnapshot('import'))) throw new Error("Could not snapshot the current data; nothing was imported.");
+            const imported = await claimForActiveLedger({ items: linked.items, stores: [...baseStores, ...linked.createdStores], receipts: linked.receipts });
+            // Replaced in one transaction, so a failure leaves the old data intact
+            await replaceLedgerDataDB(ledgerScope, imported);
+
+            setItems(imported.items);
+            setStores(imported.stores);
+            setReceipts(imported.receipts);
+            setUndoStack([]);
+            setRedoStack([]);
+
+            console.log("Data imported successfully! Items: %d, Stores: %d, Receipts: %d", imported.items.length, imported.stores.length, imported.receipts.length);
+            return true;
+        } catch (error) {
+            console.error("Error importing data:", error.message);
+            return false;
+        }
+    };
+
     // Effect to handle the actual import when a file is selected via the hidden input
     useEffect(() => {
         const input = importInputRef.current;
@@ -1450,9 +7801,25 @@ const App = () => {
 
             {/* Header */}
             <header className="mb-6 pt-2 flex justify-between items-center">
-                <h1 className="text-2xl font-black bg-clip-text text-transparent bg-gradient-to-r from-red-400 to-white tracking-wide text-shadow-red">
-                    MyEssentials Ledger
-                </h1>
+                <div className="min-w-0">
+                    <h1 className="text-2xl font-black bg-clip-text text-transparent bg-gradient-to-r from-red-400 to-white tracking-wide text-shadow-red">
+                        MyEssentials Ledger
+                    </h1>
+                    {/* LEDGER SWITCHER */}
+                    <div className="mt-1 flex items-center space-x-2">
+                        <select
+                            value={scopeLedgerId}
+                            onChange={(e) => handleSwitchLedger(e.target.value)}
+                            title="Switch ledger"
+                            className="max-w-[12rem] p-1 rounded-lg bg-black/50 text-sm text-gray-200 border border-red-900/50 focus:ring-red-400 focus:border-red-400"
+                        >
+                            {ledgers.map(ledger => <option key={ledger.id} value={ledger.id}>{ledger.name}</option>)}
+                        </select>
+                        <button onClick={() => setIsLedgersModalOpen(true)} className="text-xs text-gray-400 hover:text-red-300 transition">
+                            Manage
+                        </button>
+                    </div>
+                </div>
 
                 {/* HAMBURGER BUTTON */}
                 <button
@@ -1477,9 +7844,31 @@ const App = () => {
                         <span className="block text-2xl sm:text-3xl font-extrabold text-green-400">
                             ${totalEstimatedCost.toFixed(2)}
                         </span>
-                        <span className="block text-xs uppercase font-medium text-gray-400">Estimated Total</span>
+                        <span className="block text-xs uppercase font-medium text-gray-400">{includeTax ? 'Est. Total incl. Tax' : 'Estimated Total'}</span>
+                        {includeTax && totalEstimatedTax > 0 && (
+                            <span className="block text-[10px] text-gray-500">${totalEstimatedTax.toFixed(2)} of it is tax</span>
+                        )}
                     </div>
                 </div>
+
+                {/* Budget Remaining & Overspend Alerts */}
+                {monthlyBudgetStatus && (
+                    <div className="mt-4 pt-3 border-t border-red-900/50 cursor-pointer" onClick={() => setIsBudgetsModalOpen(true)} title="Manage Budgets">
+                        <span className="block text-xs uppercase font-medium text-gray-400 mb-1 text-center">Monthly Budget</span>
+                        <BudgetProgress status={monthlyBudgetStatus} />
+                    </div>
+                )}
+                {budgetAlerts.length > 0 && (
+                    <ul className="mt-3 space-y-1 text-xs">
+                        {budgetAlerts.map(alert => (
+                            <li key={alert.key} className={BUDGET_LEVEL_STYLES[alert.level].text}>
+                                {alert.level === 'over'
+                                    ? `${alert.label}: the cart ($${alert.cart.toFixed(2)}) would exceed the $${alert.limit.toFixed(2)} budget by $${(alert.spent + alert.cart - alert.limit).toFixed(2)}.`
+                                    : `${alert.label}: $${(alert.spent + alert.cart).toFixed(2)} of $${alert.limit.toFixed(2)} used including the cart.`}
+                            </li>
+                        ))}
+                    </ul>
+                )}
             </DeepCard>
 
             {/* ACTION & FILTER BAR */}
@@ -1490,30 +7879,41 @@ const App = () => {
                     {/* SEARCH INPUT */}
                     <div>
                         <label htmlFor="search-input" className="block text-sm font-semibold text-red-300 mb-1">Search Items:</label>
-                        <div className="relative">
-                            <input
-                                id="search-input"
-                                type="text"
-                                placeholder="Search by item name..."
-                                value={searchTerm}
-                                onChange={(e) => setSearchTerm(e.target.value)}
-                                // Added padding-right (pr-10) to accommodate the clear button
-                                className="w-full p-3 rounded-xl bg-black/40 text-white placeholder-gray-500 border border-red-900 focus:ring-red-400 focus:border-red-400 pr-10"
-                            />
+                        <div className="flex space-x-2">
+                            <div className="relative flex-grow">
+                                <input
+                                    id="search-input"
+                                    type="text"
+                                    placeholder="Search by item name..."
+                                    value={searchTerm}
+                                    onChange={(e) => setSearchTerm(e.target.value)}
+                                    // Added padding-right (pr-10) to accommodate the clear button
+                                    className="w-full p-3 rounded-xl bg-black/40 text-white placeholder-gray-500 border border-red-900 focus:ring-red-400 focus:border-red-400 pr-10"
+                                />
+
+                                {/* Clear Button (Conditional) */}
+                                {searchTerm && (
+                                    <button
+                                        onClick={() => setSearchTerm('')}
+                                        title="Clear Search"
+                                        // Positions the button absolute to the right of the input field
+                                        className="absolute inset-y-0 right-0 flex items-center pr-3 text-red-400 hover:text-red-300 transition"
+                                    >
+                                        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+                                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12"></path>
+                                        </svg>
+                                    </button>
+                                )}
+                            </div>
 
-                            {/* Clear Button (Conditional) */}
-                            {searchTerm && (
-                                <button
-                                    onClick={() => setSearchTerm('')}
-                                    title="Clear Search"
-                                    // Positions the button absolute to the right of the input field
-                                    className="absolute inset-y-0 right-0 flex items-center pr-3 text-red-400 hover:text-red-300 transition"
-                                >
-                                    <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
-                                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12"></path>
-                                    </svg>
-                                </button>
-                            )}
+                            {/* Scan-to-find Button */}
+                            <button
+                                onClick={() => setIsFindScannerOpen(true)}
+                                title="Scan Barcode to Find Item"
+                                className="flex-shrink-0 w-12 flex items-center justify-center rounded-xl bg-black/50 border border-red-900 text-red-300 hover:bg-red-900/70 transition"
+                            >
+                                <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M4 7V5a1 1 0 011-1h2M17 4h2a1 1 0 011 1v2M20 17v2a1 1 0 01-1 1h-2M7 20H5a1 1 0 01-1-1v-2M8 8v8M11 8v8M14 8v8M17 8v8"></path></svg>
+                            </button>
                         </div>
                     </div>
 
@@ -1535,7 +7935,29 @@ const App = () => {
                                     ))}
                                 </optgroup>
                             ))}
+                            <optgroup label="Filter by Category">
+                                {categoryNames.map(name => (
+                                    <option key={name} value={`category:${name}`}>{name}</option>
+                                ))}
+                            </optgroup>
                         </select>
+                        {isRouteSort && (
+                            laidOutStores.length > 0 ? (
+                                <div className="flex items-center space-x-2 mt-2 text-sm">
+                                    <label htmlFor="route-store-select" className="text-gray-400 flex-shrink-0">Route through:</label>
+                                    <select
+                                        id="route-store-select"
+                                        value={routeStore ? routeStore.id : ''}
+                                        onChange={(e) => setRouteStoreId(e.target.value)}
+                                        className="flex-grow p-2 rounded-lg bg-black/40 text-white border border-red-900 focus:ring-red-400 focus:border-red-400"
+                                    >
+                                        {laidOutStores.map(store => <option key={store.id} value={store.id}>{store.name}</option>)}
+                                    </select>
+                                </div>
+                            ) : (
+                                <p className="mt-2 text-xs text-gray-400">No store has an aisle layout yet. Add one under Menu → Stores → Aisles.</p>
+                            )
+                        )}
                     </div>
                     {/* Management Buttons */}
                     <div className="flex w-full sm:w-auto space-x-2 py-3">
@@ -1547,12 +7969,49 @@ const App = () => {
                             + New Item
                         </MobileButton>
 
+                        <MobileButton
+                            onClick={() => setIsShoppingModeOpen(true)}
+                            className="flex-1 !py-3 bg-green-800/70 hover:bg-green-700/80 text-xs sm:text-sm shadow-none"
+                        >
+                            Shop ({cartItems.length})
+                        </MobileButton>
+
+                    </div>
+                </div>
+
+                {/* PRICE COMPARISON MODE TOGGLE */}
+                <div className="flex items-center space-x-3 text-sm">
+                    <span className="font-semibold text-red-300">Compare prices by:</span>
+                    <div className="flex rounded-xl overflow-hidden border border-red-900">
+                        {[{ value: 'package', label: 'Package' }, { value: 'unit', label: 'Unit Price' }].map(mode => (
+                            <button
+                                key={mode.value}
+                                onClick={() => setPriceComparisonMode(mode.value)}
+                                className={`px-3 py-1 text-xs font-semibold transition ${priceComparisonMode === mode.value ? 'bg-red-700/80 text-white' : 'bg-black/40 text-gray-300 hover:bg-red-900/50'}`}
+                            >
+                                {mode.label}
+                            </button>
+                        ))}
                     </div>
+                    <label className="flex items-center space-x-2 text-xs text-gray-300 cursor-pointer" title="Uses each store's tax rate and exemptions from its profile">
+                        <input
+                            type="checkbox"
+                            checked={includeTax}
+                            onChange={(e) => setIncludeTax(e.target.checked)}
+                            className="w-4 h-4 accent-red-600"
+                        />
+                        <span>Incl. tax</span>
+                    </label>
                 </div>
 
                 {/* LOG RECEIPT BUTTON */}
-                {filterStatus !== 'All' && totalVisibleItemCount > 0 && (
-                    <div className="w-full mt-2 pt-2 border-t border-red-900/50">
+                {(filterStatus !== 'All' || filterCategory !== 'All') && totalVisibleItemCount > 0 && (
+                    <div className="w-full mt-2 pt-2 border-t border-red-900/50 space-y-3">
+                        {filterStatus === 'Shopping Cart' && (
+                            <MobileButton onClick={() => setIsTripPlannerOpen(true)} className="bg-black/50 hover:bg-red-900/70 shadow-none border border-red-900/50">
+                                Plan Cheapest Trip
+                            </MobileButton>
+                        )}
                         <MobileButton onClick={handleLogReceipt} className="bg-green-700/80 hover:bg-green-600/80 shadow-green-900/50">
                             Log Current Receipt ({totalVisibleItemCount} items / ${totalEstimatedCost.toFixed(2)})
                         </MobileButton>
@@ -1560,6 +8019,54 @@ const App = () => {
                 )}
             </DeepCard>
 
+            {/* SCANNED ITEM QUICK ACTIONS */}
+            {scannedItem && (() => {
+                const status = STATUS_OPTIONS.find(s => s.value === scannedItem.status) || STATUS_OPTIONS[0];
+                return (
+                    <DeepCard className="mb-6 p-4 !rounded-2xl border-red-400/70">
+                        <div className="flex justify-between items-center mb-3">
+                            <div className="min-w-0">
+                                <span className="block text-xs uppercase font-medium text-gray-400">Scanned Item</span>
+                                <span className="block text-lg font-bold text-white truncate">{scannedItem.name}</span>
+                            </div>
+                            <button
+                                onClick={() => setScannedItemId(null)}
+                                className="p-2 text-white hover:text-red-400 transition"
+                                title="Dismiss"
+                            >
+                                <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12"></path></svg>
+                            </button>
+                        </div>
+                        <div className="flex items-center justify-between">
+                            <button
+                                onClick={() => handleCycleStatus(scannedItem.id)}
+                                className={`inline-flex items-center px-4 py-2 rounded-full text-sm font-semibold text-black ${status.color}`}
+                                title="Tap to cycle status"
+                            >
+                                <span className={`w-2 h-2 rounded-full mr-2 ${status.dot}`}></span>
+                                {status.label}
+                            </button>
+                            <div className="flex items-center space-x-2">
+                                <QuantityButton
+                                    onClick={() => handleUpdateQuantity(scannedItem.id, -1)}
+                                    disabled={scannedItem.quantity <= 1}
+                                    className="bg-red-700/70"
+                                >
+                                    -
+                                </QuantityButton>
+                                <span className="font-bold text-lg w-6 text-center text-red-300">{scannedItem.quantity}</span>
+                                <QuantityButton
+                                    onClick={() => handleUpdateQuantity(scannedItem.id, 1)}
+                                    className="bg-green-700/70"
+                                >
+                                    +
+                                </QuantityButton>
+                            </div>
+                        </div>
+                    </DeepCard>
+                );
+            })()}
+
             {/* MAIN ITEM LIST */}
             <DeepCard className="p-0 overflow-hidden">
                 <div className="min-w-full overflow-x-auto">
@@ -1578,87 +8085,128 @@ const App = () => {
                             {totalVisibleItemCount === 0 && (
                                 <tr>
                                     <td colSpan="6" className="px-6 py-10 text-center text-lg text-gray-400">
-                                        {filterStatus === 'All' && searchTerm === '' ? 'Your list is empty. Tap "+ New Item" to start.' : `No items match the current search or filter.`}
+                                        {filterStatus === 'All' && filterCategory === 'All' && searchTerm === '' ? 'Your list is empty. Tap "+ New Item" to start.' : `No items match the current search or filter.`}
                                     </td>
                                 </tr>
                             )}
-                            {filteredAndSortedItems.map(item => {
+                            {filteredAndSortedItems.map((item, index) => {
                                 const status = STATUS_OPTIONS.find(s => s.value === item.status) || STATUS_OPTIONS[0];
-                                const cheapest = getCheapestOption(item);
-                                const totalCost = (cheapest.price || 0) * (item.quantity || 1);
+                                // Route sort: an aisle header row starts each new aisle
+                                const aisle = isRouteSort && routeStore ? getItemAisle(item, routeStore) : null;
+                                const showAisleHeader = Boolean(aisle) && (index === 0 || getItemAisle(filteredAndSortedItems[index - 1], routeStore).index !== aisle.index);
+                                const cheapest = getCheapestOption(item, priceComparisonMode, taxContext, today);
+                                const totalCost = (cheapest.priceWithTax || 0) * (item.quantity || 1);
 
                                 return (
-                                    <tr key={item.id} className="bg-black/20 hover:bg-black/40 transition duration-150">
-
-                                        {/* Item Name & Image */}
-                                        <td className="px-4 py-3 whitespace-nowrap font-medium text-white text-sm">
-                                            <div className="flex items-center space-x-2">
-                                                {item.imageUrl && (
-                                                    <img
-                                                        src={item.imageUrl}
-                                                        alt={item.name}
-                                                        className="h-8 w-8 rounded-full flex-shrink-0 object-cover border border-red-700/50"
-                                                        onError={(e) => e.target.style.display = 'none'}
-                                                    />
-                                                )}
-                                                <div className="flex flex-col">
-                                                    <span className="font-semibold truncate w-60">{item.name}</span>
-                                                    <span className="text-xs text-gray-500 block sm:hidden">{item.category}</span>
-                                                </div>
-                                            </div>
-                                        </td>
-
-                                        {/* Category (Hidden on Mobile) */}
-                                        <td className="px-4 py-3 whitespace-nowrap text-xs text-gray-400 hidden sm:table-cell">{item.category}</td>
-
-                                        {/* Status */}
-                                        <td
-                                            className="px-4 py-3 whitespace-nowrap cursor-pointer hover:opacity-80 transition duration-150"
-                                            onClick={() => handleCycleStatus(item.id)}
-                                            title="Click to cycle status"
+                                    <React.Fragment key={item.id}>
+                                        {showAisleHeader && (
+                                            <tr className="bg-red-950/60">
+                                                <td colSpan="6" className="px-4 py-2 text-xs font-bold uppercase tracking-wide text-red-300">
+                                                    {aisle.aisle ? `${aisle.index + 1}. ${aisle.aisle.name}` : 'Not on the route'}
+                                                </td>
+                                            </tr>
+                                        )}
+                                        <tr
+                                            id={`item-row-${item.id}`}
+                                            className={`transition duration-150 ${item.id === scannedItemId ? 'bg-red-900/50 ring-2 ring-inset ring-red-400' : 'bg-black/20 hover:bg-black/40'}`}
                                         >
-                                            <span className={`inline-flex items-center px-3 py-1 rounded-full text-xs font-semibold text-black ${status.color}`}>
-                                                <span className={`w-2 h-2 rounded-full mr-2 ${status.dot}`}></span>
-                                                {status.label}
-                                            </span>
-                                        </td>
-
-                                        {/* Quantity Controls */}
-                                        <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-300 text-center">
-                                            <div className="flex items-center justify-center space-x-1">
-                                                <QuantityButton
-                                                    onClick={() => handleUpdateQuantity(item.id, -1)}
-                                                    disabled={item.quantity <= 1}
-                                                    className="bg-red-700/70"
-                                                >
-                                                    -
-                                                </QuantityButton>
-                                                <span className="font-bold text-lg w-6 text-center text-red-300">{item.quantity}</span>
-                                                <QuantityButton
-                                                    onClick={() => handleUpdateQuantity(item.id, 1)}
-                                                    className="bg-green-700/70"
-                                                >
-                                                    +
-                                                </QuantityButton>
-                                            </div>
-                                        </td>
 
-                                        {/* Estimated Cost (Total) & Store */}
-                                        <td className="px-4 py-3 whitespace-nowrap text-sm font-semibold">
-                                            <div className="flex flex-col">
-                                                <span className="text-green-400">${totalCost.toFixed(2)}</span>
-                                                <span className="text-xs text-gray-500 truncate" title={cheapest.storeName}>@{cheapest.storeName}</span>
-                                            </div>
-                                        </td>
+                                            {/* Item Name & Image */}
+                                            <td className="px-4 py-3 whitespace-nowrap font-medium text-white text-sm">
+                                                <div className="flex items-center space-x-2">
+                                                    {item.imageUrl && (
+                                                        <img
+                                                            src={item.imageUrl}
+                                                            alt={item.name}
+                                                            className="h-8 w-8 rounded-full flex-shrink-0 object-cover border border-red-700/50"
+                                                            onError={(e) => e.target.style.display = 'none'}
+                                                        />
+                                                    )}
+                                                    <div className="flex flex-col">
+                                                        <span className="font-semibold truncate w-60">{item.name}</span>
+                                                        <span className="block sm:hidden mt-0.5"><CategoryChip name={item.category} color={categoryIndex.get(item.category)?.color || CATEGORY_COLORS[0]} /></span>
+                                                    </div>
+                                                </div>
+                                            </td>
+
+                                            {/* Category (Hidden on Mobile) */}
+                                            <td className="px-4 py-3 whitespace-nowrap text-xs text-gray-400 hidden sm:table-cell">
+                                                <CategoryChip name={item.category} color={categoryIndex.get(item.category)?.color || CATEGORY_COLORS[0]} />
+                                            </td>
+
+                                            {/* Status */}
+                                            <td
+                                                className="px-4 py-3 whitespace-nowrap cursor-pointer hover:opacity-80 transition duration-150"
+                                                onClick={() => handleCycleStatus(item.id)}
+                                                title="Click to cycle status"
+                                            >
+                                                <span className={`inline-flex items-center px-3 py-1 rounded-full text-xs font-semibold text-black ${status.color}`}>
+                                                    <span className={`w-2 h-2 rounded-full mr-2 ${status.dot}`}></span>
+                                                    {status.label}
+                                                </span>
+                                                {consumptionForecasts.has(item.id) && (
+                                                    <span className="block mt-1 text-[10px] text-gray-500" title={`Bought about every ${consumptionForecasts.get(item.id).intervalDays} days`}>
+                                                        Out ~{consumptionForecasts.get(item.id).runOutDate.toLocaleDateString([], { month: 'short', day: 'numeric' })}
+                                                    </span>
+                                                )}
+                                            </td>
+
+                                            {/* Quantity Controls */}
+                                            <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-300 text-center">
+                                                <div className="flex items-center justify-center space-x-1">
+                                                    <QuantityButton
+                                                        onClick={() => handleUpdateQuantity(item.id, -1)}
+                                                        disabled={item.quantity <= 1}
+                                                        className="bg-red-700/70"
+                                                    >
+                                                        -
+                                                    </QuantityButton>
+                                                    <span className="font-bold text-lg w-6 text-center text-red-300">{item.quantity}</span>
+                                                    <QuantityButton
+                                                        onClick={() => handleUpdateQuantity(item.id, 1)}
+                                                        className="bg-green-700/70"
+                                                    >
+                                                        +
+                                                    </QuantityButton>
+                                                </div>
+                                            </td>
 
-                                        {/* Actions */}
-                                        <td className="px-4 py-3 whitespace-nowrap text-right text-sm font-medium">
-                                            <ActionDropdown
-                                                onEdit={() => setEditingItem(item)}
-                                                onDelete={() => handleDeleteItem(item.id)}
-                                            />
-                                        </td>
-                                    </tr>
+                                            {/* Estimated Cost (Total) & Store */}
+                                            <td className="px-4 py-3 whitespace-nowrap text-sm font-semibold">
+                                                <div className="flex flex-col">
+                                                    <span className="text-green-400">
+                                                        ${totalCost.toFixed(2)}
+                                                        {(cheapest.onSale || cheapest.couponApplied) && (
+                                                            <span className="ml-1 text-xs text-gray-500 line-through">${(cheapest.regularPrice * (1 + cheapest.taxRate) * (item.quantity || 1)).toFixed(2)}</span>
+                                                        )}
+                                                    </span>
+                                                    {(cheapest.onSale || cheapest.couponApplied) && (
+                                                        <span
+                                                            className={`self-start mt-0.5 px-1.5 rounded text-[10px] font-bold ${cheapest.isOfferWin ? 'bg-yellow-500/90 text-black' : 'bg-yellow-900/60 text-yellow-300'}`}
+                                                            title={cheapest.isOfferWin ? 'This store is only the cheapest because of the offer' : 'Offer active today'}
+                                                        >
+                                                            {describeOffer(cheapest)}{cheapest.isOfferWin && ' win'}
+                                                        </span>
+                                                    )}
+                                                    {cheapest.taxRate > 0 && (
+                                                        <span className="text-[10px] text-gray-500">incl. {+(cheapest.taxRate * 100).toFixed(3)}% tax</span>
+                                                    )}
+                                                    {cheapest.unitPrice && (
+                                                        <span className="text-xs text-green-300/80">{formatUnitPrice(cheapest.unitPrice)}</span>
+                                                    )}
+                                                    <span className="text-xs text-gray-500 truncate" title={cheapest.storeName}>@{cheapest.storeName}</span>
+                                                </div>
+                                            </td>
+
+                                            {/* Actions */}
+                                            <td className="px-4 py-3 whitespace-nowrap text-right text-sm font-medium">
+                                                <ActionDropdown
+                                                    onEdit={() => setEditingItem(item)}
+                                                    onDelete={() => handleDeleteItem(item.id)}
+                                                />
+                                            </td>
+                                        </tr>
+                                    </React.Fragment>
                                 );
                             })}
                         </tbody>
@@ -1669,9 +8217,19 @@ const App = () => {
             {/* Modals */}
             {isAddItemModalOpen && (
                 <AddItemModal
-                    onClose={() => setIsAddItemModalOpen(false)}
+                    onClose={() => { setIsAddItemModalOpen(false); setNewItemBarcode(''); }}
                     onCreate={handleCreateItem}
                     stores={stores}
+                    categories={categoryNames}
+                    catalogIndex={catalogIndex}
+                    initialBarcode={newItemBarcode}
+                />
+            )}
+
+            {isFindScannerOpen && (
+                <BarcodeScannerModal
+                    onClose={() => setIsFindScannerOpen(false)}
+                    onScanComplete={handleFindScanComplete}
                 />
             )}
 
@@ -1680,11 +8238,32 @@ const App = () => {
                     onClose={() => setIsManageStoresModalOpen(false)}
                     stores={stores}
                     handleAddStore={handleAddStore}
+                    items={storeListSharers.length > 0 ? [...items, ...sharedStoreListItems] : items}
+                    sharedWith={storeListSharers.map(ledger => ledger.name)}
+                    handleRenameStore={handleRenameStore}
                     handleDeleteStore={handleDeleteStore}
+                    onEditProfile={setEditingStoreProfile}
+                    onEditAisles={setEditingAisleStore}
                     newStoreName={newStoreName}
                     setNewStoreName={setNewStoreName}
                 />
             )}
+            {editingAisleStore && (
+                <AisleLayoutModal
+                    store={editingAisleStore}
+                    categories={categoryNames}
+                    onClose={() => setEditingAisleStore(null)}
+                    onSave={handleSaveStoreAisles}
+                />
+            )}
+            {editingStoreProfile && (
+                <StoreProfileModal
+                    store={editingStoreProfile}
+                    categories={categoryNames}
+                    onClose={() => setEditingStoreProfile(null)}
+                    onSave={handleSaveStoreProfile}
+                />
+            )}
 
             {editingItem && (
                 <ItemEditModal
@@ -1692,6 +8271,9 @@ const App = () => {
                     onClose={() => setEditingItem(null)}
                     onSave={handleUpdateItem}
                     stores={stores}
+                    categories={categoryNames}
+                    catalogIndex={catalogIndex}
+                    forecast={consumptionForecasts.get(editingItem.id)}
                 />
             )}
 
@@ -1700,6 +8282,150 @@ const App = () => {
                     onClose={() => setIsReceiptsModalOpen(false)}
                     receipts={receipts}
                     onDeleteReceipt={handleDeleteReceipt}
+                    onReconcileReceipt={handleReconcileReceipt}
+                />
+            )}
+
+            {isCatalogModalOpen && (
+                <ManageCatalogModal
+                    onClose={() => { setIsCatalogModalOpen(false); setCatalogMessage(''); }}
+                    catalog={catalog}
+                    itemsWithBarcodeCount={itemsWithBarcodeCount}
+                    onBuildFromItems={handleBuildCatalogFromItems}
+                    onExportCatalog={handleExportCatalog}
+                    onImportCatalog={handleImportCatalog}
+                    onDeleteEntry={handleDeleteCatalogEntry}
+                    message={catalogMessage}
+                />
+            )}
+
+            {isShoppingModeOpen && (
+                <ShoppingModeModal
+                    key={ledgerScope.ledgerId}
+                    onClose={() => setIsShoppingModeOpen(false)}
+                    ledgerId={ledgerScope.ledgerId}
+                    cartItems={cartItems}
+                    priceComparisonMode={priceComparisonMode}
+                    onFinish={handleFinishShopping}
+                />
+            )}
+
+            {pendingImport && pendingImport.encrypted && (
+                <PassphraseModal
+                    mode="import"
+                    fileName={pendingImport.fileName}
+                    onClose={() => setPendingImport(null)}
+                    onSubmit={handleDecryptImport}
+                />
+            )}
+
+            {isEncryptedExportOpen && (
+                <PassphraseModal
+                    mode="export"
+                    onClose={() => setIsEncryptedExportOpen(false)}
+                    onSubmit={handleExportEncrypted}
+                />
+            )}
+
+            {pendingImport && !pendingImport.encrypted && (
+                <ImportPreviewModal
+                    onClose={() => setPendingImport(null)}
+                    fileName={pendingImport.fileName}
+                    error={pendingImport.error}
+                    source={pendingImport.source}
+                    invalidRecords={pendingImport.invalid || []}
+                    plan={importPlan}
+                    stores={stores}
+                    replaceUnlinkedCount={replaceImportLink ? replaceImportLink.linked.unlinkedCount : 0}
+                    hasData={hasData}
+                    onMerge={handleMergeImport}
+                    onReplace={handleReplaceImport}
+                />
+            )}
+
+            {snackbar && (
+                <UndoSnackbar
+                    message={snackbar.message}
+                    actionLabel={snackbar.action === 'undo' ? 'Undo' : 'Redo'}
+                    onAction={snackbar.action && (snackbar.action === 'undo' ? handleUndo : handleRedo)}
+                    onDismiss={() => setSnackbar(null)}
+                />
+            )}
+
+            {isSnapshotsModalOpen && (
+                <SnapshotsModal
+                    onClose={() => setIsSnapshotsModalOpen(false)}
+                    snapshots={snapshots}
+                    retention={snapshotRetention}
+                    onChangeRetention={handleChangeSnapshotRetention}
+                    onTakeSnapshot={() => takeSnapshot('manual')}
+                    onRestore={handleRestoreSnapshot}
+                    onDelete={handleDeleteSnapshot}
+                />
+            )}
+
+            {isSpreadsheetModalOpen && (
+                <SpreadsheetModal
+                    onClose={() => setIsSpreadsheetModalOpen(false)}
+                    items={items}
+                    stores={stores}
+                    receipts={receipts}
+                    categories={categoryNames}
+                    onExport={handleExportCSV}
+                    onImportItems={handleImportItemsCSV}
+                />
+            )}
+
+            {isAnalyticsModalOpen && (
+                <SpendingAnalyticsModal
+                    onClose={() => setIsAnalyticsModalOpen(false)}
+                    receipts={receipts}
+                    items={items}
+                />
+            )}
+
+            {isLedgersModalOpen && (
+                <ManageLedgersModal
+                    onClose={() => setIsLedgersModalOpen(false)}
+                    ledgers={ledgers}
+                    activeLedgerId={scopeLedgerId}
+                    counts={{ ...ledgerCounts, [scopeLedgerId]: { items: items.length, receipts: receipts.length } }}
+                    onSwitch={handleSwitchLedger}
+                    onCreate={handleCreateLedger}
+                    onRename={handleRenameLedger}
+                    onDuplicate={handleDuplicateLedger}
+                    onDelete={handleDeleteLedger}
+                    onExport={handleExportLedger}
+                />
+            )}
+
+            {isCategoriesModalOpen && (
+                <ManageCategoriesModal
+                    onClose={() => setIsCategoriesModalOpen(false)}
+                    categories={categoryList}
+                    items={items}
+                    onSaveCategories={handleSaveCategories}
+                    onReassignCategory={handleReassignCategory}
+                />
+            )}
+
+            {isBudgetsModalOpen && (
+                <BudgetsModal
+                    onClose={() => setIsBudgetsModalOpen(false)}
+                    budgets={budgets}
+                    categories={categoryNames}
+                    onSave={handleSaveBudgets}
+                    budgetStatuses={budgetStatuses}
+                />
+            )}
+
+            {isTripPlannerOpen && (
+                <TripPlannerModal
+                    onClose={() => setIsTripPlannerOpen(false)}
+                    cartItems={filteredAndSortedItems}
+                    storeCount={stores.length}
+                    taxContext={taxContext}
+                    today={today}
                 />
             )}
 
@@ -1708,13 +8434,24 @@ const App = () => {
                 isOpen={isMenuOpen}
                 onClose={() => setIsMenuOpen(false)}
                 receiptsCount={receipts.length}
+                ledgerCount={ledgers.length}
+                onOpenLedgers={() => setIsLedgersModalOpen(true)}
                 hasData={hasData} // Pass data presence state
                 onOpenReceipts={() => setIsReceiptsModalOpen(true)}
                 onExportData={handleExportData}
+                onExportEncrypted={() => setIsEncryptedExportOpen(true)}
                 onImportClick={() => importInputRef.current?.click()}
                 importInputRef={importInputRef}
                 stores={stores}
                 setIsManageStoresModalOpen={setIsManageStoresModalOpen}
+                catalogCount={catalog.length}
+                onOpenCatalog={() => setIsCatalogModalOpen(true)}
+                onOpenBudgets={() => setIsBudgetsModalOpen(true)}
+                categoryCount={categoryList.length}
+                onOpenCategories={() => setIsCategoriesModalOpen(true)}
+                onOpenAnalytics={() => setIsAnalyticsModalOpen(true)}
+                onOpenSpreadsheet={() => setIsSpreadsheetModalOpen(true)}
+                onOpenSnapshots={() => setIsSnapshotsModalOpen(true)}
             />
         </div>
     );